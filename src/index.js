@@ -9,11 +9,51 @@ require('dotenv').config();
 const TransactionMonitor = require('./services/transactionMonitor');
 const ThreatAnalyzer = require('./services/threatAnalyzer');
 const EmergencyActions = require('./services/emergencyActions');
-
-// Enhanced storage
-const userWallets = new Map();
-const userSettings = new Map();
-const threatAlerts = new Map();
+const BalanceChangeAnalyzer = require('./services/balanceChanges');
+const { createPriceOracle, SOL_MINT } = require('./services/priceOracle');
+const ProgramRegistry = require('./services/programRegistry');
+const SettingsManager = require('./services/settingsManager');
+const AlertPipeline = require('./services/alertPipeline');
+const ReportExporter = require('./services/reportExporter');
+const ReportScheduler = require('./services/reportScheduler');
+const SigningLinks = require('./services/signingLinks');
+const SafeHarbor = require('./services/safeHarbor');
+const TransactionSimulator = require('./services/transactionSimulator');
+const { STATUSES: INCIDENT_STATUSES } = AlertPipeline;
+const { PRESETS, MIN_RISK_SCORE_OPTIONS, REPORT_FREQUENCIES } = SettingsManager;
+const { FORMATS: EXPORT_FORMATS } = ReportExporter;
+const { PersistentMap, createStorage } = require('./services/storage');
+
+// Persistent storage (survives restarts)
+const storage = createStorage();
+const userWallets = new PersistentMap(storage, 'userWallets');
+const userSettings = new PersistentMap(storage, 'userSettings');
+const groupWallets = new PersistentMap(storage, 'groupWallets'); // chatId -> wallets shared by a group
+const threatAlerts = new PersistentMap(storage, 'threatAlerts');
+const programOverrides = new PersistentMap(storage, 'programOverrides');
+const alertFeedback = new PersistentMap(storage, 'alertFeedback'); // `${ownerId}:${wallet}` -> false positives
+const emergencyHistory = new PersistentMap(storage, 'emergencyHistory'); // `${ownerId}:${wallet}` -> emergency actions taken
+const reportState = new PersistentMap(storage, 'reportState'); // userId -> last health report sent
+const monitorState = new PersistentMap(storage, 'monitorState'); // 'uptime' -> monitoring start, outages, last sign of life
+const safeHarbors = new PersistentMap(storage, 'safeHarbors'); // userId -> pre-registered evacuation wallet
+
+const MAX_LABEL_LENGTH = 32;
+const MAX_NOTE_LENGTH = 200;
+const SAFE_HARBOR_CONFIRM_CHARS = 6; // Characters of the address the user retypes to confirm it
+const MAX_LISTED_PERMISSIONS = 10; // Per revoke guide message
+
+// Alert history
+const ALERTS_PAGE_SIZE = 5;
+const ALERT_SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const ALERT_RANGES = {
+  '1d': { label: 'Last 24h', ms: 24 * 60 * 60 * 1000 },
+  '7d': { label: 'Last 7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+  '30d': { label: 'Last 30 days', ms: 30 * 24 * 60 * 60 * 1000 }
+};
+const EXPLORER_TX_URL = 'https://solscan.io/tx/';
+
+// Telegram rejects photo captions longer than this
+const CAPTION_LIMIT = 1024;
 
 class RedAlertBotWithButtons {
   constructor() {
@@ -32,9 +72,76 @@ class RedAlertBotWithButtons {
     this.solanaConnection = new Connection(this.rpcUrl, 'confirmed');
     
     // Initialize advanced services
-    this.transactionMonitor = new TransactionMonitor(this.rpcUrl);
+    this.settings = new SettingsManager(userSettings);
+    this.priceOracle = createPriceOracle();
+    this.programRegistry = new ProgramRegistry(process.env.PROGRAM_REGISTRY_FILE, programOverrides);
+    this.transactionMonitor = new TransactionMonitor(this.rpcUrl, {
+      priceOracle: this.priceOracle,
+      programRegistry: this.programRegistry,
+      stateStore: monitorState,
+      settingsProvider: (userId, walletAddress) => ({
+        ...this.settings.getRuleOptions(userId, (this.findUserWallet(userId, walletAddress) || {}).sensitivity),
+        feedback: this.alertPipeline.getFeedback(userId, walletAddress)
+      })
+    });
     this.threatAnalyzer = new ThreatAnalyzer(process.env.OPENAI_API_KEY);
-    this.emergencyActions = new EmergencyActions(this.rpcUrl);
+    this.transactionSimulator = new TransactionSimulator(this.rpcUrl, {
+      transactionMonitor: this.transactionMonitor
+    });
+    this.emergencyActions = new EmergencyActions(this.rpcUrl, {
+      priceOracle: this.priceOracle,
+      programRegistry: this.programRegistry,
+      historyStore: emergencyHistory,
+      priorityFee: parseInt(process.env.PRIORITY_FEE_MICROLAMPORTS) || null
+    });
+    this.reportExporter = new ReportExporter();
+    this.safeHarbor = new SafeHarbor(safeHarbors, {
+      coolingOffMs: parseInt(process.env.SAFE_HARBOR_COOLING_OFF_HOURS) * 60 * 60 * 1000 || undefined,
+      onActivated: (userId, entry) => this.sendWithOctopus(
+        { telegram: this.bot.telegram, chatId: userId },
+        entry.address
+          ? `*🛟 Safe Harbor Updated*\n\nYour safe harbor is now\n\`${entry.address}\`\n\nIf you didn't request this, cancel any evacuation and contact support.`
+          : `*🛟 Safe Harbor Removed*\n\nEvacuations will ask for a destination from now on.`,
+        Markup.inlineKeyboard([[Markup.button.callback('🛟 Safe Harbor Settings', 'emergency_settings')]])
+      ).catch(error => console.error('Failed to announce safe harbor change:', error.message))
+    });
+    this.signingLinks = new SigningLinks(this.rpcUrl, {
+      baseUrl: process.env.PUBLIC_URL || process.env.RENDER_EXTERNAL_URL,
+      icon: process.env.SIGNING_ICON_URL
+    });
+    this.reportScheduler = new ReportScheduler({
+      stateStore: reportState,
+      settings: this.settings,
+      walletStore: userWallets,
+      alertStore: threatAlerts,
+      transactionMonitor: this.transactionMonitor,
+      threatAnalyzer: this.threatAnalyzer,
+      connection: this.solanaConnection,
+      reportHour: process.env.REPORT_HOUR ? parseInt(process.env.REPORT_HOUR) : undefined,
+      formatWalletName: wallet => this.formatWalletName(wallet),
+      send: (userId, message) => this.sendWithOctopus(
+        { telegram: this.bot.telegram, chatId: userId },
+        message,
+        Markup.inlineKeyboard([
+          [
+            Markup.button.callback('🚨 View Alerts', 'alerts'),
+            Markup.button.callback('📊 Report Settings', 'report_settings')
+          ]
+        ])
+      )
+    });
+    this.balanceAnalyzer = new BalanceChangeAnalyzer();
+    this.alertPipeline = new AlertPipeline(threatAlerts, {
+      feedbackStore: alertFeedback,
+      correlationWindowMs: parseInt(process.env.ALERT_CORRELATION_WINDOW_MS) || undefined,
+      cooldownMs: parseInt(process.env.ALERT_COOLDOWN_MS) || undefined
+    });
+    
+    // Free-text replies we're waiting for (userId -> { type: 'label' | 'note', address })
+    this.pendingInputs = new Map();
+    
+    // Last /alerts filters per chat, for the detail view's back button
+    this.alertQueries = new Map();
     
     // Load octopus image
     this.octopusImagePath = path.join(__dirname, 'images', 'redalert-octopus.jpg');
@@ -43,7 +150,7 @@ class RedAlertBotWithButtons {
     this.setupCallbackHandlers();
   }
 
-  // Helper to send messages with octopus image and buttons
+  // Helper to send messages with octopus image and buttons; resolves to the sent message
   async sendWithOctopus(ctx, message, buttons = null, options = {}) {
     try {
       // Handle different context types
@@ -68,9 +175,9 @@ class RedAlertBotWithButtons {
 
       const keyboard = buttons || this.getMainMenuButtons();
 
-      // Check if image exists
-      if (fs.existsSync(this.octopusImagePath)) {
-        await telegram.sendPhoto(
+      // Check if image exists (long messages go out as text, captions are capped)
+      if (fs.existsSync(this.octopusImagePath) && message.length <= CAPTION_LIMIT) {
+        return await telegram.sendPhoto(
           chatId,
           { source: this.octopusImagePath },
           {
@@ -84,7 +191,7 @@ class RedAlertBotWithButtons {
         // Fallback to text with octopus emoji
         const octopusHeader = `🚨🐙 **REDALERT SECURITY** 🐙🚨\n\n`;
         
-        await telegram.sendMessage(
+        return await telegram.sendMessage(
           chatId,
           octopusHeader + message,
           {
@@ -110,7 +217,7 @@ class RedAlertBotWithButtons {
         }
         
         if (telegram && chatId) {
-          await telegram.sendMessage(chatId, `🐙 ${message}`, { parse_mode: 'Markdown' });
+          return await telegram.sendMessage(chatId, `🐙 ${message}`, { parse_mode: 'Markdown' });
         }
       } catch (fallbackError) {
         console.error('Fallback send also failed:', fallbackError);
@@ -118,6 +225,26 @@ class RedAlertBotWithButtons {
     }
   }
 
+  // Rewrites a message sent by sendWithOctopus; returns false if it can't be edited
+  async editWithOctopus(notification, message, buttons) {
+    const extra = { parse_mode: 'Markdown', reply_markup: buttons.reply_markup };
+
+    try {
+      if (notification.isPhoto) {
+        await this.bot.telegram.editMessageCaption(notification.chatId, notification.messageId, undefined, message, extra);
+      } else {
+        const octopusHeader = `🚨🐙 **REDALERT SECURITY** 🐙🚨\n\n`;
+        await this.bot.telegram.editMessageText(notification.chatId, notification.messageId, undefined, octopusHeader + message, extra);
+      }
+      return true;
+    } catch (error) {
+      // Nothing changed on screen counts as success
+      if (error.description && error.description.includes('message is not modified')) return true;
+      console.error('Error editing alert message:', error.message);
+      return false;
+    }
+  }
+
   // Main menu buttons
   getMainMenuButtons() {
     return Markup.inlineKeyboard([
@@ -174,6 +301,19 @@ class RedAlertBotWithButtons {
     ]);
   }
 
+  // Buttons for group chats, where personal wallet flows don't apply
+  getGroupAlertButtons() {
+    return Markup.inlineKeyboard([
+      [
+        Markup.button.callback('📊 Group Status', 'group_status'),
+        Markup.button.callback('🚨 Group Alerts', 'alerts')
+      ],
+      [
+        Markup.button.callback('💬 Private Chat', 'private_chat')
+      ]
+    ]);
+  }
+
   // Wallet management buttons
   getWalletButtons() {
     return Markup.inlineKeyboard([
@@ -210,7 +350,8 @@ I'm now protecting this group from wallet threats!
 
 *📋 Group Commands:*
 /groupstatus - Check group protection
-/addgroupwallet <address> - Monitor community wallet
+/addgroupwallet <address> [label] - Monitor community wallet (admins)
+/removegroupwallet <address> - Stop monitoring it (admins)
 /alerts - Recent group threats
 /help - All commands
 
@@ -272,6 +413,17 @@ I'm your AI-powered wallet security guardian with real-time threat detection!
       await this.handleAddGroupWallet(ctx);
     });
 
+    this.bot.command('removegroupwallet', async (ctx) => {
+      const isGroup = ctx.chat.type === 'group' || ctx.chat.type === 'supergroup';
+      
+      if (!isGroup) {
+        await ctx.reply('🔒 This command is only available in groups. Use /status to manage personal wallets.');
+        return;
+      }
+      
+      await this.handleRemoveGroupWallet(ctx, ctx.message.text.split(' ')[1]);
+    });
+
     // Enhanced add wallet command with group/private detection
     this.bot.command('addwallet', async (ctx) => {
       const isGroup = ctx.chat.type === 'group' || ctx.chat.type === 'supergroup';
@@ -283,7 +435,7 @@ I'm your AI-powered wallet security guardian with real-time threat detection!
       
       const args = ctx.message.text.split(' ');
       if (args.length >= 2) {
-        await this.handleAddWallet(ctx, args[1]);
+        await this.handleAddWallet(ctx, args[1], args.slice(2).join(' '));
       } else {
         await this.sendWithOctopus(
           ctx,
@@ -292,6 +444,7 @@ I'm your AI-powered wallet security guardian with real-time threat detection!
 Please provide a wallet address to monitor:
 
 *Example:* \`7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU\`
+*With a label:* \`/addwallet <address> cold storage\`
 
 *Reply with your Solana wallet address*`,
           Markup.inlineKeyboard([
@@ -305,7 +458,7 @@ Please provide a wallet address to monitor:
     this.bot.command('addwallet', async (ctx) => {
       const args = ctx.message.text.split(' ');
       if (args.length >= 2) {
-        await this.handleAddWallet(ctx, args[1]);
+        await this.handleAddWallet(ctx, args[1], args.slice(2).join(' '));
       } else {
         await this.sendWithOctopus(
           ctx,
@@ -314,6 +467,7 @@ Please provide a wallet address to monitor:
 Please provide a wallet address to monitor:
 
 *Example:* \`7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU\`
+*With a label:* \`/addwallet <address> cold storage\`
 
 *Reply with your Solana wallet address*`,
           Markup.inlineKeyboard([
@@ -334,12 +488,71 @@ Please provide a wallet address to monitor:
       }
     });
 
+    // /emergency [analyze|revoke|move]
     this.bot.command('emergency', async (ctx) => {
-      await this.handleEmergency(ctx);
+      const action = (ctx.message.text.split(' ')[1] || '').toLowerCase();
+      if (action === 'move') {
+        await this.handleEmergencyMove(ctx);
+      } else if (action === 'revoke') {
+        await this.handleEmergencyRevoke(ctx);
+      } else if (action === 'analyze') {
+        await this.handleEmergencyAnalysis(ctx);
+      } else {
+        await this.handleEmergency(ctx);
+      }
+    });
+
+    this.bot.command('safeharbor', async (ctx) => {
+      if (ctx.chat.type !== 'private') {
+        await ctx.reply('🔒 Set your safe harbor in a private chat with me.');
+        return;
+      }
+      await this.handleSafeHarborCommand(ctx, ctx.message.text.split(' ')[1]);
+    });
+
+    // /check <base64 transaction>: simulate and score before signing
+    this.bot.command('check', async (ctx) => {
+      await this.handleCheck(ctx, ctx.message.text.split(/\s+/)[1]);
     });
 
     this.bot.command('alerts', async (ctx) => {
-      await this.handleAlerts(ctx);
+      let query;
+      try {
+        query = this.parseAlertQuery(ctx.message.text.split(' ').slice(1));
+      } catch (error) {
+        await ctx.reply(`❌ ${error.message}`);
+        return;
+      }
+      await this.handleAlerts(ctx, query);
+    });
+
+    this.bot.command('export', async (ctx) => {
+      let query;
+      try {
+        query = this.parseExportQuery(ctx.message.text.split(' ').slice(1));
+      } catch (error) {
+        await ctx.reply(`❌ ${error.message}`);
+        return;
+      }
+      await this.handleExport(ctx, query);
+    });
+
+    this.bot.command('timezone', async (ctx) => {
+      await this.handleTimezone(ctx, ctx.message.text.split(' ')[1]);
+    });
+
+    this.bot.command('settings', async (ctx) => {
+      await this.handleSettings(ctx);
+    });
+
+    // Per-user threat rule toggles
+    this.bot.command('rules', async (ctx) => {
+      await this.handleRules(ctx);
+    });
+
+    // Admin: manage the program registry
+    this.bot.command('program', async (ctx) => {
+      await this.handleProgramCommand(ctx);
     });
 
     // Handle text messages (for wallet addresses) with group awareness
@@ -357,6 +570,12 @@ Please provide a wallet address to monitor:
         }
       }
       
+      // Replies to a "rename wallet" / "add note" prompt
+      if (!isGroup && this.pendingInputs.has(ctx.from.id.toString())) {
+        await this.handlePendingInput(ctx, text);
+        return;
+      }
+      
       // Check if it's a Solana address
       if (/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(text)) {
         if (isGroup) {
@@ -454,6 +673,28 @@ Example: \`7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU\`
       await this.handleAlerts(ctx);
     });
 
+    // Alert history pages and filters (see encodeAlertQuery)
+    this.bot.action(/^al_([aokrf])_(a|\d+)_([achml])_(a|\d+d|\d{8}-\d{8})_(\d+)$/, async (ctx) => {
+      await ctx.answerCbQuery();
+      await this.handleAlerts(ctx, this.decodeAlertQuery(ctx.match));
+    });
+
+    this.bot.action(/^alert_view_([0-9a-f]{8})$/, async (ctx) => {
+      await ctx.answerCbQuery();
+      await this.handleAlertDetail(ctx, ctx.match[1]);
+    });
+
+    // Export menu and downloads (see encodeExportQuery)
+    this.bot.action(/^ex_(m|csv|json|html)_(a|\d+)_(a|\d+d|\d{8}-\d{8})$/, async (ctx) => {
+      await ctx.answerCbQuery();
+      await this.handleExport(ctx, this.decodeExportQuery(ctx.match));
+    });
+
+    // Incident lifecycle buttons on each alert
+    this.bot.action(/^inc_(ack|resolve|fp|open)_([0-9a-f]{8})$/, async (ctx) => {
+      await this.handleIncidentStatus(ctx, ctx.match[1], ctx.match[2]);
+    });
+
     // AI Analysis callback
     this.bot.action('analyze', async (ctx) => {
       await ctx.answerCbQuery();
@@ -538,6 +779,26 @@ Example: \`7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU\`
       await this.handleGroupStatus(ctx);
     });
 
+    this.bot.action(/^group_remove_(\d+)$/, async (ctx) => {
+      await ctx.answerCbQuery();
+      const wallet = (groupWallets.get(ctx.chat.id.toString()) || [])[parseInt(ctx.match[1])];
+      await this.handleRemoveGroupWallet(ctx, wallet ? wallet.address : null);
+    });
+
+    // Stop watching a group's wallets when the bot is removed from it
+    this.bot.on('my_chat_member', async (ctx) => {
+      const status = ctx.myChatMember.new_chat_member.status;
+      const chatId = ctx.chat.id.toString();
+      
+      if ((status === 'left' || status === 'kicked') && groupWallets.has(chatId)) {
+        for (const wallet of groupWallets.get(chatId)) {
+          await this.transactionMonitor.stopMonitoring(wallet.address, chatId);
+        }
+        groupWallets.delete(chatId);
+        console.log(`👋 Removed from group ${chatId}, stopped monitoring its wallets`);
+      }
+    });
+
     this.bot.action('private_chat', async (ctx) => {
       await ctx.answerCbQuery();
       const botUsername = this.bot.botInfo?.username || 'redalert_bot';
@@ -563,6 +824,136 @@ Example: \`7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU\`
       );
     });
 
+    // Settings sub-menus
+    this.bot.action('alert_settings', async (ctx) => {
+      await ctx.answerCbQuery();
+      await this.handleAlertSettings(ctx);
+    });
+
+    this.bot.action('report_settings', async (ctx) => {
+      await ctx.answerCbQuery();
+      await this.handleReportSettings(ctx);
+    });
+
+    this.bot.action('ai_settings', async (ctx) => {
+      await ctx.answerCbQuery();
+      await this.handleAISettings(ctx);
+    });
+
+    // Only valid values match, so the setters below can't throw on a stale or forged button
+    this.bot.action(new RegExp(`^set_sensitivity_(${Object.keys(PRESETS).join('|')})$`), async (ctx) => {
+      await ctx.answerCbQuery('Sensitivity updated');
+      this.settings.setSensitivity(ctx.from.id.toString(), ctx.match[1]);
+      await this.handleAlertSettings(ctx);
+    });
+
+    this.bot.action(new RegExp(`^set_min_score_(${MIN_RISK_SCORE_OPTIONS.join('|')})$`), async (ctx) => {
+      await ctx.answerCbQuery('Minimum risk score updated');
+      this.settings.setMinRiskScore(ctx.from.id.toString(), parseInt(ctx.match[1]));
+      await this.handleAlertSettings(ctx);
+    });
+
+    this.bot.action(new RegExp(`^set_reports_(${REPORT_FREQUENCIES.join('|')})$`), async (ctx) => {
+      await ctx.answerCbQuery('Report frequency updated');
+      this.settings.setReportFrequency(ctx.from.id.toString(), ctx.match[1]);
+      await this.handleReportSettings(ctx);
+    });
+
+    this.bot.action('report_preview', async (ctx) => {
+      await ctx.answerCbQuery('Building your report...');
+      await this.handleReportPreview(ctx);
+    });
+
+    this.bot.action('toggle_ai', async (ctx) => {
+      await ctx.answerCbQuery();
+      this.settings.toggleAI(ctx.from.id.toString());
+      await this.handleAISettings(ctx);
+    });
+
+    this.bot.action('rules', async (ctx) => {
+      await ctx.answerCbQuery();
+      await this.handleRules(ctx);
+    });
+
+    // Wallet picker for analysis and emergency flows
+    this.bot.action(/^pick_(analyze|emergency_analysis|emergency_revoke|emergency_move)_(\d+|all)$/, async (ctx) => {
+      await ctx.answerCbQuery();
+      const target = ctx.match[2] === 'all' ? 'all' : parseInt(ctx.match[2]);
+      const handlers = {
+        analyze: this.handleAnalyze,
+        emergency_analysis: this.handleEmergencyAnalysis,
+        emergency_revoke: this.handleEmergencyRevoke,
+        emergency_move: this.handleEmergencyMove
+      };
+      await handlers[ctx.match[1]].call(this, ctx, target);
+    });
+
+    // Per-wallet management
+    this.bot.action(/^wallet_view_(\d+)$/, async (ctx) => {
+      await ctx.answerCbQuery();
+      await this.handleWalletDetail(ctx, parseInt(ctx.match[1]));
+    });
+
+    this.bot.action(/^wallet_(label|note)_(\d+)$/, async (ctx) => {
+      await ctx.answerCbQuery();
+      await this.handleWalletInputPrompt(ctx, ctx.match[1], parseInt(ctx.match[2]));
+    });
+
+    this.bot.action(/^wallet_(pause|resume)_(\d+)$/, async (ctx) => {
+      await ctx.answerCbQuery();
+      await this.handleWalletToggle(ctx, ctx.match[1], parseInt(ctx.match[2]));
+    });
+
+    // Emergency evacuation of a wallet to a safe address
+    this.bot.action(/^sweep_(\d+)$/, async (ctx) => {
+      await ctx.answerCbQuery();
+      await this.handleSweepPrompt(ctx, parseInt(ctx.match[1]));
+    });
+
+    this.bot.action(/^sweep_harbor_(\d+)$/, async (ctx) => {
+      await ctx.answerCbQuery();
+      const userId = ctx.from.id.toString();
+      const wallet = (userWallets.get(userId) || [])[parseInt(ctx.match[1])];
+      const harbor = this.safeHarbor.getAddress(userId);
+      if (!wallet || !harbor) {
+        await ctx.reply('❌ Wallet or safe harbor not found. Open /safeharbor to check your settings.');
+        return;
+      }
+      await this.handleSweep(ctx, wallet, harbor);
+    });
+
+    // Safe harbor settings
+    this.bot.action('emergency_settings', async (ctx) => {
+      await ctx.answerCbQuery();
+      await this.handleEmergencySettings(ctx);
+    });
+
+    this.bot.action('harbor_set', async (ctx) => {
+      await ctx.answerCbQuery();
+      await this.handleSafeHarborPrompt(ctx);
+    });
+
+    this.bot.action('harbor_remove', async (ctx) => {
+      await ctx.answerCbQuery();
+      await this.handleSafeHarborRemove(ctx);
+    });
+
+    this.bot.action('harbor_cancel', async (ctx) => {
+      await ctx.answerCbQuery();
+      await this.handleSafeHarborCancel(ctx);
+    });
+
+    this.bot.action(/^wallet_sens_(\d+)_(\w+)$/, async (ctx) => {
+      await ctx.answerCbQuery('Wallet sensitivity updated');
+      await this.handleWalletSensitivity(ctx, parseInt(ctx.match[1]), ctx.match[2]);
+    });
+
+    // Threat rule toggles
+    this.bot.action(/^rule_toggle_(.+)$/, async (ctx) => {
+      await ctx.answerCbQuery();
+      await this.handleRuleToggle(ctx, ctx.match[1]);
+    });
+
     // Remove wallet callback
     this.bot.action('remove_wallet', async (ctx) => {
       await ctx.answerCbQuery();
@@ -571,7 +962,192 @@ Example: \`7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU\`
   }
 
   // Handler implementations
-  async handleAddWallet(ctx, walletAddress) {
+  // Only the group's creator and administrators manage its wallets
+  async isGroupAdmin(ctx) {
+    try {
+      const member = await ctx.telegram.getChatMember(ctx.chat.id, ctx.from.id);
+      return member.status === 'creator' || member.status === 'administrator';
+    } catch (error) {
+      console.error(`Admin check failed in chat ${ctx.chat.id}:`, error.message);
+      return false;
+    }
+  }
+
+  async startGroupMonitoring(chatId, wallet) {
+    return this.transactionMonitor.startMonitoring(
+      wallet.address,
+      chatId,
+      (address, threat) => this.handleThreatDetected(address, threat, chatId, null),
+      this.getMonitoringOptions(chatId, wallet, groupWallets)
+    );
+  }
+
+  async handleAddGroupWallet(ctx) {
+    const chatId = ctx.chat.id.toString();
+    const [, walletAddress, ...labelParts] = ctx.message.text.split(' ');
+
+    if (!(await this.isGroupAdmin(ctx))) {
+      await ctx.reply('🔒 Only group admins can add community wallets.');
+      return;
+    }
+
+    if (!walletAddress) {
+      await this.sendWithOctopus(
+        ctx,
+        `*Add Community Wallet* 🔍
+
+*Usage:* \`/addgroupwallet <address> [label]\`
+*Example:* \`/addgroupwallet 7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU treasury\`
+
+_Only add public wallets (treasury, community funds) - everyone in the group sees their alerts._`,
+        this.getGroupAlertButtons()
+      );
+      return;
+    }
+
+    try {
+      new PublicKey(walletAddress);
+    } catch (error) {
+      await ctx.reply('❌ That is not a valid Solana wallet address.');
+      return;
+    }
+
+    const wallets = groupWallets.get(chatId) || [];
+    if (wallets.some(w => w.address === walletAddress)) {
+      await ctx.reply('⚠️ This wallet is already protected in this group.');
+      return;
+    }
+
+    const newWallet = {
+      address: walletAddress,
+      label: labelParts.join(' ').trim().slice(0, MAX_LABEL_LENGTH) || null,
+      isActive: true,
+      addedBy: ctx.from.id.toString(),
+      addedAt: new Date(),
+      healthScore: 100
+    };
+
+    wallets.push(newWallet);
+    groupWallets.set(chatId, wallets);
+
+    const success = await this.startGroupMonitoring(chatId, newWallet);
+    console.log(`Group wallet ${walletAddress} added in ${ctx.chat.title} (${chatId}) by ${ctx.from.username || ctx.from.id}`);
+
+    await this.sendWithOctopus(
+      ctx,
+      `*🎉 Community Wallet Protected!*
+
+*Wallet:* ${this.formatWalletName(newWallet)}
+*Monitoring:* ${success ? '🟢 Real-time' : '🔴 Failed to start - will retry on restart'}
+
+Threat alerts for this wallet will be posted in this group.
+
+*🐙 The group octopus is watching!*`,
+      this.getGroupAlertButtons()
+    );
+  }
+
+  async handleRemoveGroupWallet(ctx, walletAddress) {
+    const chatId = ctx.chat.id.toString();
+
+    if (!(await this.isGroupAdmin(ctx))) {
+      await ctx.reply('🔒 Only group admins can remove community wallets.');
+      return;
+    }
+
+    const wallets = groupWallets.get(chatId) || [];
+    const index = wallets.findIndex(w => w.address === walletAddress);
+
+    if (!walletAddress || index === -1) {
+      await ctx.reply('❌ Wallet not found. Usage: /removegroupwallet <address> (see /groupstatus)');
+      return;
+    }
+
+    const [removed] = wallets.splice(index, 1);
+    if (wallets.length > 0) {
+      groupWallets.set(chatId, wallets);
+    } else {
+      groupWallets.delete(chatId);
+    }
+    await this.transactionMonitor.stopMonitoring(removed.address, chatId);
+
+    await this.sendWithOctopus(
+      ctx,
+      `*🗑️ Community Wallet Removed*
+
+*Removed:* ${this.formatWalletName(removed)}
+
+Alerts for this wallet will no longer be posted here.`,
+      this.getGroupAlertButtons()
+    );
+  }
+
+  async handleGroupStatus(ctx) {
+    try {
+      const chatId = ctx.chat.id.toString();
+      const wallets = groupWallets.get(chatId) || [];
+
+      if (wallets.length === 0) {
+        await this.sendWithOctopus(
+          ctx,
+          `*No Community Wallets* 📱
+
+This group isn't protecting any wallets yet.
+
+*🚨 Group admins can add one with:*
+\`/addgroupwallet <address> [label]\`
+
+*🐙 Treasury and community fund wallets are a great start!*`,
+          this.getGroupAlertButtons()
+        );
+        return;
+      }
+
+      let statusMessage = `*🔍 Group Protection Status 🔍*\n\n`;
+      const subscriptionsHealthy = this.transactionMonitor.isHealthy();
+
+      for (let i = 0; i < wallets.length; i++) {
+        const wallet = wallets[i];
+        const healthEmoji = this.getHealthEmoji(wallet.healthScore || 100);
+        const isMonitored = this.transactionMonitor.isWatching(wallet.address, chatId);
+
+        statusMessage += `${healthEmoji} *${wallet.label ? this.escapeMarkdown(wallet.label) : `Wallet ${i + 1}`}* ${isMonitored ? '📡' : '⭕'}\n`;
+        statusMessage += `   \`${wallet.address}\`\n`;
+        statusMessage += `   Value: ${await this.getWalletValueText(wallet.address)}\n`;
+        statusMessage += `   Monitoring: ${!isMonitored ? '🔴 Basic' : subscriptionsHealthy ? '🟢 Real-time' : '🟡 Reconnecting'}\n`;
+        statusMessage += `   Alerts: ${this.getRecentAlerts(wallet.address, chatId)}\n\n`;
+      }
+
+      const stats = this.transactionMonitor.getMonitoringStats();
+      statusMessage += `*📊 System Status:*\n`;
+      statusMessage += `• Live Feed: ${stats.subscriptionsHealthy ? '🟢 Connected' : `🟡 Reconnecting (attempt ${stats.reconnectAttempts})`}\n`;
+      statusMessage += `• Emergency System: 🟢 Ready\n\n`;
+      statusMessage += `_Admins can remove a wallet with the buttons below._\n\n`;
+      statusMessage += `*🐙 The group octopus is watching!*`;
+
+      const removeButtons = wallets.map((wallet, i) => [
+        Markup.button.callback(`🗑️ Remove ${wallet.label || `${wallet.address.slice(0, 8)}...`}`, `group_remove_${i}`)
+      ]);
+
+      await this.sendWithOctopus(
+        ctx,
+        statusMessage,
+        Markup.inlineKeyboard([
+          ...removeButtons,
+          [
+            Markup.button.callback('🚨 Group Alerts', 'alerts'),
+            Markup.button.callback('💬 Private Chat', 'private_chat')
+          ]
+        ])
+      );
+
+    } catch (error) {
+      console.error('Error in handleGroupStatus:', error);
+      await ctx.reply('❌ Failed to check group status.');
+    }
+  }
+
+  async handleAddWallet(ctx, walletAddress, label = '') {
     try {
       // Validate Solana address
       try {
@@ -635,6 +1211,9 @@ This wallet is already under octopus protection!
       // Add new wallet
       const newWallet = {
         address: walletAddress,
+        label: label.trim().slice(0, MAX_LABEL_LENGTH) || null,
+        note: null,
+        sensitivity: null,
         isActive: true,
         addedAt: new Date(),
         healthScore: 100,
@@ -648,7 +1227,8 @@ This wallet is already under octopus protection!
       const success = await this.transactionMonitor.startMonitoring(
         walletAddress,
         userId,
-        (address, threat) => this.handleThreatDetected(address, threat, userId, ctx)
+        (address, threat) => this.handleThreatDetected(address, threat, userId, ctx),
+        this.getMonitoringOptions(userId, newWallet)
       );
 
       if (success) {
@@ -656,7 +1236,7 @@ This wallet is already under octopus protection!
           ctx,
           `*🎉 Wallet Successfully Added! 🎉*
 
-*Address:* \`${walletAddress.slice(0, 8)}...${walletAddress.slice(-8)}\`
+*Wallet:* ${this.formatWalletName(newWallet)}
 
 *✅ PROTECTION ACTIVATED:*
 • **Real-time transaction monitoring**
@@ -673,7 +1253,10 @@ This wallet is already under octopus protection!
               Markup.button.callback('🧠 AI Analysis', 'analyze')
             ],
             [
-              Markup.button.callback('⚙️ Settings', 'settings'),
+              Markup.button.callback('✏️ Name This Wallet', `wallet_label_${wallets.length - 1}`),
+              Markup.button.callback('⚙️ Settings', 'settings')
+            ],
+            [
               Markup.button.callback('🏠 Main Menu', 'main_menu')
             ]
           ])
@@ -747,32 +1330,47 @@ Ready to start protecting your assets?
       }
 
       let statusMessage = `*🔍 Advanced Protection Status 🔍*\n\n`;
+      const subscriptionsHealthy = this.transactionMonitor.isHealthy();
       
       for (let i = 0; i < wallets.length; i++) {
         const wallet = wallets[i];
         const healthEmoji = this.getHealthEmoji(wallet.healthScore || 100);
-        const isMonitored = this.transactionMonitor.monitoredWallets.has(wallet.address);
-        const recentAlerts = this.getRecentAlerts(wallet.address);
+        const isMonitored = this.transactionMonitor.isWatching(wallet.address, userId);
+        const recentAlerts = this.getRecentAlerts(wallet.address, userId);
         
-        statusMessage += `${healthEmoji} *Wallet ${i + 1}* ${isMonitored ? '📡' : '⭕'}\n`;
+        statusMessage += `${healthEmoji} *${wallet.label ? this.escapeMarkdown(wallet.label) : `Wallet ${i + 1}`}* ${isMonitored ? '📡' : '⭕'}\n`;
         statusMessage += `   \`${wallet.address.slice(0, 8)}...${wallet.address.slice(-8)}\`\n`;
+        if (wallet.note) {
+          statusMessage += `   📝 _${this.escapeMarkdown(wallet.note)}_\n`;
+        }
         statusMessage += `   Status: ${wallet.isActive ? '🟢 Active' : '🔴 Paused'}\n`;
+        if (wallet.sensitivity) {
+          statusMessage += `   Sensitivity: ${PRESETS[wallet.sensitivity].label}\n`;
+        }
         statusMessage += `   Health: ${wallet.healthScore || 100}/100\n`;
-        statusMessage += `   Monitoring: ${isMonitored ? '🟢 Real-time' : '🔴 Basic'}\n`;
+        statusMessage += `   Value: ${await this.getWalletValueText(wallet.address)}\n`;
+        statusMessage += `   Monitoring: ${!isMonitored ? '🔴 Basic' : subscriptionsHealthy ? '🟢 Real-time' : '🟡 Reconnecting'}\n`;
         statusMessage += `   Alerts: ${recentAlerts}\n\n`;
       }
 
       const stats = this.transactionMonitor.getMonitoringStats();
       statusMessage += `*📊 System Status:*\n`;
       statusMessage += `• Monitored: ${stats.totalWallets} wallets\n`;
+      statusMessage += `• Live Feed: ${stats.subscriptionsHealthy ? '🟢 Connected' : `🟡 Reconnecting (attempt ${stats.reconnectAttempts})`}\n`;
       statusMessage += `• AI Analysis: ${process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your_openai_key_here' ? '🟢 Active' : '🔴 Disabled'}\n`;
       statusMessage += `• Emergency System: 🟢 Ready\n\n`;
       statusMessage += `*🐙 Your octopus is watching!*`;
 
+      // One manage button per wallet
+      const walletButtons = wallets.map((wallet, i) => [
+        Markup.button.callback(`${wallet.isActive ? '🟢' : '⏸️'} Manage ${wallet.label || `Wallet ${i + 1}`}`, `wallet_view_${i}`)
+      ]);
+
       await this.sendWithOctopus(
         ctx,
         statusMessage,
         Markup.inlineKeyboard([
+          ...walletButtons,
           [
             Markup.button.callback('🚨 View Alerts', 'alerts'),
             Markup.button.callback('🧠 AI Analysis', 'analyze')
@@ -793,15 +1391,23 @@ Ready to start protecting your assets?
     }
   }
 
-  async handleAlerts(ctx) {
+  // query: { status, wallet (index), severity, range, page } - see parseAlertQuery
+  async handleAlerts(ctx, query = {}) {
     try {
-      const userId = ctx.from.id.toString();
-      const userAlerts = Array.from(threatAlerts.entries())
-        .filter(([key, alert]) => alert.userId === userId)
-        .slice(-10)
-        .sort((a, b) => b[1].timestamp - a[1].timestamp);
+      const isGroup = ctx.chat && (ctx.chat.type === 'group' || ctx.chat.type === 'supergroup');
+      const userId = isGroup ? ctx.chat.id.toString() : ctx.from.id.toString();
+      const wallets = userWallets.get(userId) || groupWallets.get(userId) || [];
+      const filter = { status: null, wallet: null, severity: null, range: null, page: 0, ...query };
+
+      if (filter.wallet !== null && !wallets[filter.wallet]) {
+        await ctx.reply('❌ Wallet not found. Open /status to see your wallets.');
+        return;
+      }
+      this.alertQueries.set(userId, filter);
 
-      if (userAlerts.length === 0) {
+      const allAlerts = Array.from(threatAlerts.values()).filter(alert => alert.userId === userId);
+
+      if (allAlerts.length === 0) {
         await this.sendWithOctopus(
           ctx,
           `*No Recent Threat Alerts* 📱
@@ -829,28 +1435,72 @@ All monitored wallets are secure. Your octopus will alert you immediately if any
         return;
       }
 
-      let alertsMessage = `*🚨 Recent Threat Alerts 🚨*\n\n`;
-      
-      userAlerts.forEach(([alertId, alert], index) => {
+      const walletFilter = filter.wallet !== null ? wallets[filter.wallet] : null;
+      const [from, to] = this.getAlertRangeBounds(filter.range);
+      const matching = allAlerts
+        .filter(alert => !filter.status || (alert.status || 'open') === filter.status)
+        .filter(alert => !walletFilter || alert.walletAddress === walletFilter.address)
+        .filter(alert => !filter.severity || this.getAlertSeverity(alert.riskScore) === filter.severity)
+        .filter(alert => new Date(alert.timestamp) >= from && new Date(alert.timestamp) <= to)
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+      const totalPages = Math.max(1, Math.ceil(matching.length / ALERTS_PAGE_SIZE));
+      const page = Math.min(Math.max(filter.page, 0), totalPages - 1);
+      const pageAlerts = matching.slice(page * ALERTS_PAGE_SIZE, (page + 1) * ALERTS_PAGE_SIZE);
+
+      let alertsMessage = `*🚨 Threat Alerts 🚨*\n\n`;
+      alertsMessage += `🔎 ${this.describeAlertQuery(filter, walletFilter)}\n`;
+      alertsMessage += `📄 ${matching.length} alerts - page ${page + 1}/${totalPages}\n\n`;
+
+      if (pageAlerts.length === 0) {
+        alertsMessage += `_No alerts match these filters._\n\n`;
+      }
+
+      pageAlerts.forEach((alert, index) => {
         const emoji = alert.riskScore >= 80 ? '🔴' : alert.riskScore >= 60 ? '🟡' : '🟢';
-        alertsMessage += `${emoji} *Alert ${index + 1}* - ${alert.timestamp.toLocaleString()}\n`;
-        alertsMessage += `   Wallet: \`${alert.walletAddress.slice(0, 8)}...\`\n`;
-        alertsMessage += `   Risk: ${alert.riskScore}/100\n`;
-        alertsMessage += `   Threat: ${alert.threats[0] || 'Unknown'}\n\n`;
+        const extra = alert.threats.length > 1 ? ` (+${alert.threats.length - 1} more)` : '';
+        alertsMessage += `${emoji} *Alert ${page * ALERTS_PAGE_SIZE + index + 1}* - ${new Date(alert.timestamp).toLocaleString()}\n`;
+        alertsMessage += `   Wallet: ${this.formatWalletName(this.findUserWallet(userId, alert.walletAddress) || { address: alert.walletAddress })}\n`;
+        alertsMessage += `   Risk: ${alert.riskScore}/100 · ${this.formatIncidentStatus(alert.status || 'open')}\n`;
+        alertsMessage += `   Threat: ${alert.threats[0] || 'Unknown'}${extra}\n\n`;
       });
 
-      alertsMessage += `*🐙 Emergency actions available below*`;
+      alertsMessage += `_Filter: /alerts [open|ack|resolved|fp] [critical|high|medium|low] [24h|7d|30d|YYYY-MM-DD..YYYY-MM-DD] [wallet number]_`;
+
+      // Detail buttons for alerts on this page (older alerts stored before incidents have no short ID)
+      const detailButtons = pageAlerts
+        .map((alert, index) => alert.id
+          ? Markup.button.callback(`🔍 ${page * ALERTS_PAGE_SIZE + index + 1}`, `alert_view_${alert.id}`)
+          : null)
+        .filter(Boolean);
+
+      const withPage = value => this.encodeAlertQuery({ ...filter, page: value });
+      const withFilter = changes => this.encodeAlertQuery({ ...filter, ...changes, page: 0 });
+      const cycle = (options, current) => options[(options.indexOf(current) + 1) % options.length];
+
+      const navigation = [];
+      if (page > 0) navigation.push(Markup.button.callback('⬅️ Newer', withPage(page - 1)));
+      if (page < totalPages - 1) navigation.push(Markup.button.callback('Older ➡️', withPage(page + 1)));
+
+      const walletOptions = [null, ...wallets.map((wallet, index) => index)];
+      const walletLabel = walletFilter ? (walletFilter.label || `Wallet ${filter.wallet + 1}`) : 'All';
 
       await this.sendWithOctopus(
         ctx,
         alertsMessage,
         Markup.inlineKeyboard([
+          ...(detailButtons.length > 0 ? [detailButtons] : []),
+          ...(navigation.length > 0 ? [navigation] : []),
           [
-            Markup.button.callback('🆘 Emergency Response', 'emergency'),
-            Markup.button.callback('🧠 Deep Analysis', 'analyze')
+            Markup.button.callback(`📌 ${filter.status ? this.formatIncidentStatus(filter.status) : 'Any state'}`, withFilter({ status: cycle([null, ...INCIDENT_STATUSES], filter.status) })),
+            Markup.button.callback(`🎚️ ${filter.severity ? this.capitalize(filter.severity) : 'Any risk'}`, withFilter({ severity: cycle([null, ...ALERT_SEVERITIES], filter.severity) }))
+          ],
+          [
+            Markup.button.callback(`👛 ${walletLabel}`, withFilter({ wallet: cycle(walletOptions, filter.wallet) })),
+            Markup.button.callback(`📅 ${ALERT_RANGES[filter.range] ? ALERT_RANGES[filter.range].label : filter.range ? 'Custom' : 'All time'}`, withFilter({ range: cycle([null, ...Object.keys(ALERT_RANGES)], ALERT_RANGES[filter.range] ? filter.range : null) }))
           ],
           [
-            Markup.button.callback('📊 Check Status', 'status'),
+            Markup.button.callback('🆘 Emergency Response', 'emergency'),
             Markup.button.callback('🏠 Main Menu', 'main_menu')
           ]
         ])
@@ -862,8 +1512,294 @@ All monitored wallets are secure. Your octopus will alert you immediately if any
     }
   }
 
+  async handleAlertDetail(ctx, incidentId) {
+    const alert = this.alertPipeline.getIncident(incidentId);
+    const isGroup = ctx.chat && (ctx.chat.type === 'group' || ctx.chat.type === 'supergroup');
+    const userId = isGroup ? ctx.chat.id.toString() : ctx.from.id.toString();
+
+    if (!alert || alert.userId !== userId) {
+      await ctx.reply('❌ Alert not found.');
+      return;
+    }
+
+    let message = `*🔍 Alert \`${alert.id}\`*\n\n`;
+    message += `🐙 **Wallet**: ${this.formatWalletName(this.findUserWallet(userId, alert.walletAddress) || { address: alert.walletAddress })}\n`;
+    message += `📊 **Risk Score**: ${alert.riskScore}/100 (${this.capitalize(this.getAlertSeverity(alert.riskScore))})\n`;
+    message += `📌 **Status**: ${this.formatIncidentStatus(alert.status || 'open')}\n`;
+    message += `⏰ **First Seen**: ${new Date(alert.timestamp).toLocaleString()}\n`;
+    if (alert.eventCount > 1) {
+      message += `🔗 **Related Events**: ${alert.eventCount} (last ${new Date(alert.updatedAt).toLocaleString()})\n`;
+    }
+    message += `📡 **Sources**: ${(alert.sources || [alert.source]).join(', ')}\n\n`;
+
+    message += `⚡ **Threats**:\n`;
+    alert.threats.forEach(threat => {
+      message += `• ${threat}\n`;
+    });
+    message += `\n`;
+
+    if (alert.firedRules && alert.firedRules.length > 0) {
+      message += `📐 **Rules Fired**:\n`;
+      alert.firedRules.forEach(rule => {
+        message += `• \`${rule.id}\` +${rule.score} (${rule.severity})\n`;
+      });
+      message += `\n`;
+    }
+
+    const outflowLines = this.balanceAnalyzer.formatSummary(alert.balanceChanges);
+    if (outflowLines.length > 0) {
+      message += `💸 **Balance Changes**:\n${outflowLines.join('\n')}\n\n`;
+    }
+
+    if (alert.aiAnalysis) {
+      message += `🧠 **AI Analysis** (${alert.aiAnalysis.confidence}% confidence):\n${alert.aiAnalysis.explanation}\n\n`;
+    }
+
+    const signatures = alert.signatures || (alert.signature ? [alert.signature] : []);
+    if (signatures.length > 0) {
+      message += `🔗 **Transactions**:\n`;
+      signatures.slice(0, 5).forEach(signature => {
+        message += `• [${signature.slice(0, 8)}...${signature.slice(-8)}](${EXPLORER_TX_URL}${signature})\n`;
+      });
+    }
+
+    const backQuery = this.encodeAlertQuery(this.alertQueries.get(userId) || {});
+    await this.sendWithOctopus(
+      ctx,
+      message,
+      Markup.inlineKeyboard([
+        this.getIncidentButtons(alert),
+        ...(signatures.length > 0 ? [[Markup.button.url('🌐 View on Solscan', `${EXPLORER_TX_URL}${signatures[0]}`)]] : []),
+        [Markup.button.callback('⬅️ Back to Alerts', backQuery)]
+      ])
+    );
+  }
+
+  // "/alerts open critical 7d 2" -> { status: 'open', severity: 'critical', range: '7d', wallet: 1 }.
+  // Throws with a message for the user on a wallet number below 1 or an impossible date range
+  parseAlertQuery(args) {
+    const query = {};
+    args.forEach(arg => {
+      const value = arg.toLowerCase();
+      const status = this.parseIncidentStatus(value);
+      if (status) query.status = status;
+      else if (ALERT_SEVERITIES.includes(value)) query.severity = value;
+      else if (value === '24h') query.range = '1d';
+      else if (ALERT_RANGES[value]) query.range = value;
+      else if (/^\d{4}-\d{2}-\d{2}\.\.\d{4}-\d{2}-\d{2}$/.test(value)) query.range = this.parseDateRange(value);
+      else if (/^\d+$/.test(value)) query.wallet = this.parseWalletNumber(value);
+    });
+    return query;
+  }
+
+  // "/alerts 2" or "/export 2" -> wallet index 1; wallets are numbered from 1 as in /status
+  parseWalletNumber(value) {
+    const number = parseInt(value, 10);
+    if (number < 1) {
+      throw new Error(`There is no wallet ${value}. Wallets are numbered from 1, as in /status.`);
+    }
+    return number - 1;
+  }
+
+  // "2024-01-01..2024-01-31" -> "20240101-20240131", the compact form getAlertRangeBounds reads
+  parseDateRange(value) {
+    const range = value.replace(/-/g, '').replace('..', '-');
+    if (!this.isValidDateRange(range)) {
+      throw new Error(`${value} is not a valid date range. Use real dates, earliest first: 2024-01-01..2024-01-31`);
+    }
+    return range;
+  }
+
+  // Both "YYYYMMDD" days exist (no 2024-13-99 or Feb 30) and the range doesn't end before it starts
+  isValidDateRange(range) {
+    const days = range.split('-');
+    const valid = days.every(day => {
+      const iso = `${day.slice(0, 4)}-${day.slice(4, 6)}-${day.slice(6, 8)}`;
+      const date = new Date(`${iso}T00:00:00Z`);
+      return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === iso;
+    });
+    return valid && days[0] <= days[1];
+  }
+
+  // Compact callback data: al_<status>_<wallet>_<severity>_<range>_<page>
+  encodeAlertQuery(query) {
+    const status = { open: 'o', acknowledged: 'k', resolved: 'r', false_positive: 'f' }[query.status] || 'a';
+    const wallet = query.wallet !== null && query.wallet !== undefined ? query.wallet : 'a';
+    const severity = query.severity ? query.severity[0] : 'a';
+    return `al_${status}_${wallet}_${severity}_${query.range || 'a'}_${query.page || 0}`;
+  }
+
+  decodeAlertQuery(match) {
+    const [, status, wallet, severity, range, page] = match;
+    return {
+      status: { o: 'open', k: 'acknowledged', r: 'resolved', f: 'false_positive' }[status] || null,
+      wallet: wallet === 'a' ? null : parseInt(wallet),
+      severity: ALERT_SEVERITIES.find(value => value[0] === severity) || null,
+      range: range === 'a' || (!ALERT_RANGES[range] && !this.isValidDateRange(range)) ? null : range,
+      page: parseInt(page)
+    };
+  }
+
+  describeAlertQuery(filter, wallet) {
+    const parts = [];
+    if (filter.status) parts.push(this.formatIncidentStatus(filter.status));
+    if (filter.severity) parts.push(`${this.capitalize(filter.severity)} risk`);
+    if (wallet) parts.push(wallet.label ? this.escapeMarkdown(wallet.label) : `Wallet ${filter.wallet + 1}`);
+    if (filter.range) {
+      parts.push(ALERT_RANGES[filter.range]
+        ? ALERT_RANGES[filter.range].label
+        : this.getAlertRangeBounds(filter.range).map(date => date.toLocaleDateString()).join(' - '));
+    }
+    return parts.length > 0 ? parts.join(' · ') : 'All alerts';
+  }
+
+  // Preset ranges ("7d") or a custom "YYYYMMDD-YYYYMMDD" span, inclusive of the end day
+  getAlertRangeBounds(range) {
+    if (!range) return [new Date(0), new Date(8640000000000000)];
+    if (ALERT_RANGES[range]) return [new Date(Date.now() - ALERT_RANGES[range].ms), new Date()];
+
+    const [start, end] = range.split('-').map(value => new Date(`${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}T00:00:00Z`));
+    return [start, new Date(end.getTime() + 24 * 60 * 60 * 1000 - 1)];
+  }
+
+  getAlertSeverity(riskScore) {
+    if (riskScore >= 80) return 'critical';
+    if (riskScore >= 60) return 'high';
+    if (riskScore >= 40) return 'medium';
+    return 'low';
+  }
+
+  capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  // query: { format, wallet (index), range } - without a format, shows the export menu
+  async handleExport(ctx, query = {}) {
+    try {
+      const isGroup = ctx.chat && (ctx.chat.type === 'group' || ctx.chat.type === 'supergroup');
+      const ownerId = isGroup ? ctx.chat.id.toString() : ctx.from.id.toString();
+      const wallets = userWallets.get(ownerId) || groupWallets.get(ownerId) || [];
+      const filter = { format: null, wallet: null, range: null, ...query };
+
+      if (wallets.length === 0) {
+        await ctx.reply(isGroup
+          ? '❌ This group has no monitored wallets to export. Admins can add one with /addgroupwallet.'
+          : '❌ You have no wallets to export. Add one with /addwallet.');
+        return;
+      }
+
+      if (filter.wallet !== null && !wallets[filter.wallet]) {
+        await ctx.reply('❌ Wallet not found. Open /status to see your wallets.');
+        return;
+      }
+
+      const selected = filter.wallet !== null ? [wallets[filter.wallet]] : wallets;
+      const periodLabel = ALERT_RANGES[filter.range]
+        ? ALERT_RANGES[filter.range].label
+        : filter.range ? this.getAlertRangeBounds(filter.range).map(date => date.toLocaleDateString()).join(' - ') : 'All time';
+      const walletLabel = selected.length === 1 ? this.formatWalletName(selected[0]) : `All ${wallets.length} wallets`;
+
+      if (!filter.format) {
+        const withFilter = changes => this.encodeExportQuery({ ...filter, ...changes });
+        const cycle = (options, current) => options[(options.indexOf(current) + 1) % options.length];
+
+        await this.sendWithOctopus(
+          ctx,
+          `*📤 Export Security Report*
+
+*👛 Wallets:* ${walletLabel}
+*📅 Period:* ${periodLabel}
+
+Pick a format to receive alert history and emergency actions as a file:
+• *CSV* - spreadsheets and claims forms
+• *JSON* - full detail for tooling
+• *HTML* - printable report (save as PDF from your browser)
+
+_Shortcut: /export [csv|json|html] [wallet number] [7d|30d|YYYY-MM-DD..YYYY-MM-DD]_`,
+          Markup.inlineKeyboard([
+            Object.entries(EXPORT_FORMATS).map(([format, info]) =>
+              Markup.button.callback(`📄 ${info.label}`, withFilter({ format }))),
+            [
+              Markup.button.callback(`👛 ${filter.wallet !== null ? (wallets[filter.wallet].label || `Wallet ${filter.wallet + 1}`) : 'All'}`,
+                withFilter({ wallet: cycle([null, ...wallets.map((wallet, index) => index)], filter.wallet) })),
+              Markup.button.callback(`📅 ${ALERT_RANGES[filter.range] ? ALERT_RANGES[filter.range].label : filter.range ? 'Custom' : 'All time'}`,
+                withFilter({ range: cycle([null, ...Object.keys(ALERT_RANGES)], ALERT_RANGES[filter.range] ? filter.range : null) }))
+            ],
+            [Markup.button.callback('🏠 Main Menu', 'main_menu')]
+          ])
+        );
+        return;
+      }
+
+      const addresses = selected.map(wallet => wallet.address);
+      const [from, to] = this.getAlertRangeBounds(filter.range);
+      const inPeriod = item => new Date(item.timestamp) >= from && new Date(item.timestamp) <= to;
+
+      const alerts = Array.from(threatAlerts.values())
+        .filter(alert => alert.userId === ownerId && addresses.includes(alert.walletAddress) && inPeriod(alert))
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      const emergencyActions = addresses
+        .flatMap(address => this.emergencyActions.getEmergencyHistory(ownerId, address))
+        .filter(inPeriod)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+      const { filename, content } = this.reportExporter.build(filter.format, {
+        ownerId,
+        wallets: selected,
+        from: filter.range ? from : null,
+        to: filter.range ? to : null,
+        alerts,
+        emergencyActions
+      });
+
+      console.log(`📤 Exported ${alerts.length} alerts and ${emergencyActions.length} emergency actions as ${filter.format} for ${ownerId}`);
+
+      await ctx.replyWithDocument(
+        { source: content, filename },
+        {
+          caption: `*📤 ${EXPORT_FORMATS[filter.format].label} export*\n👛 ${walletLabel}\n📅 ${periodLabel}\n🚨 ${alerts.length} alerts · 🆘 ${emergencyActions.length} emergency actions`,
+          parse_mode: 'Markdown'
+        }
+      );
+
+    } catch (error) {
+      console.error('Error in handleExport:', error);
+      await ctx.reply('❌ Failed to build the export. Please try again.');
+    }
+  }
+
+  // "/export html 2 30d" -> { format: 'html', wallet: 1, range: '30d' }. Throws like parseAlertQuery
+  parseExportQuery(args) {
+    const query = {};
+    args.forEach(arg => {
+      const value = arg.toLowerCase();
+      if (EXPORT_FORMATS[value]) query.format = value;
+      else if (value === 'all') query.wallet = null;
+      else if (value === '24h') query.range = '1d';
+      else if (ALERT_RANGES[value]) query.range = value;
+      else if (/^\d{4}-\d{2}-\d{2}\.\.\d{4}-\d{2}-\d{2}$/.test(value)) query.range = this.parseDateRange(value);
+      else if (/^\d+$/.test(value)) query.wallet = this.parseWalletNumber(value);
+    });
+    return query;
+  }
+
+  // Compact callback data: ex_<format|m for menu>_<wallet>_<range>
+  encodeExportQuery(query) {
+    const wallet = query.wallet !== null && query.wallet !== undefined ? query.wallet : 'a';
+    return `ex_${query.format || 'm'}_${wallet}_${query.range || 'a'}`;
+  }
+
+  decodeExportQuery(match) {
+    const [, format, wallet, range] = match;
+    return {
+      format: format === 'm' ? null : format,
+      wallet: wallet === 'a' ? null : parseInt(wallet),
+      range: range === 'a' || (!ALERT_RANGES[range] && !this.isValidDateRange(range)) ? null : range
+    };
+  }
+
   // Additional handlers...
-  async handleAnalyze(ctx) {
+  async handleAnalyze(ctx, target = null) {
     const userId = ctx.from.id.toString();
     const wallets = userWallets.get(userId) || [];
     
@@ -883,6 +1819,9 @@ Add a wallet first to use AI analysis features.
       return;
     }
 
+    const selected = await this.selectWallets(ctx, 'analyze', target, '🧠 Which wallet should I analyze?');
+    if (!selected) return;
+
     await this.sendWithOctopus(
       ctx,
       `*🧠 AI Analysis Starting...* 
@@ -895,24 +1834,27 @@ Add a wallet first to use AI analysis features.
       null
     );
 
-    // Perform analysis on first wallet (could be extended for multiple)
-    const walletAddress = wallets[0].address;
-    
     try {
       // Basic analysis implementation
       let analysisMessage = `*🧠 AI Analysis Complete 🧠*\n\n`;
-      analysisMessage += `*🐙 Wallet:* \`${walletAddress.slice(0, 8)}...${walletAddress.slice(-8)}\`\n`;
       analysisMessage += `*⏰ Analysis Time:* ${new Date().toLocaleString()}\n\n`;
       
-      const riskProfile = this.threatAnalyzer.getWalletRiskProfile(walletAddress);
-      
-      if (riskProfile) {
-        analysisMessage += `*📊 Risk Profile:*\n`;
-        analysisMessage += `• Account Age: ${riskProfile.accountAge} days\n`;
-        analysisMessage += `• Transactions: ${riskProfile.totalTransactions}\n`;
-        analysisMessage += `• Risk Score: ${riskProfile.riskScore}/100\n`;
-        analysisMessage += `• Patterns: ${riskProfile.patterns.join(', ') || 'Standard'}\n\n`;
-      }
+      selected.forEach(wallet => {
+        analysisMessage += `*🐙 Wallet:* ${this.formatWalletName(wallet)}\n`;
+        
+        const riskProfile = this.threatAnalyzer.getWalletRiskProfile(wallet.address);
+        
+        if (riskProfile) {
+          analysisMessage += `*📊 Risk Profile:*\n`;
+          analysisMessage += `• Account Age: ${riskProfile.accountAge} days\n`;
+          analysisMessage += `• Transactions: ${riskProfile.totalTransactions}\n`;
+          analysisMessage += `• Risk Score: ${riskProfile.riskScore}/100\n`;
+          analysisMessage += `• Patterns: ${riskProfile.patterns.join(', ') || 'Standard'}\n`;
+        } else {
+          analysisMessage += `• No activity recorded yet\n`;
+        }
+        analysisMessage += `\n`;
+      });
       
       analysisMessage += `*🛡️ Security Status:* All systems operational\n`;
       analysisMessage += `*🎯 Recommendation:* Continue monitoring\n\n`;
@@ -956,7 +1898,7 @@ Choose your emergency response:`;
     await this.sendWithOctopus(ctx, message, this.getEmergencyButtons());
   }
 
-  async handleEmergencyAnalysis(ctx) {
+  async handleEmergencyAnalysis(ctx, target = null) {
     const userId = ctx.from.id.toString();
     const wallets = userWallets.get(userId) || [];
     
@@ -974,6 +1916,9 @@ Add a wallet first to use emergency features.`,
       return;
     }
 
+    const selected = await this.selectWallets(ctx, 'emergency_analysis', target, '🚨 Which wallet needs emergency analysis?');
+    if (!selected) return;
+
     await this.sendWithOctopus(
       ctx,
       `*🚨 EMERGENCY ANALYSIS INITIATED 🚨*
@@ -987,9 +1932,18 @@ Add a wallet first to use emergency features.`,
     );
 
     try {
-      const walletAddress = wallets[0].address;
-      const analysis = await this.emergencyActions.performEmergencyAnalysis(walletAddress);
-      const response = this.emergencyActions.formatEmergencyResponse(analysis);
+      let response;
+      if (selected.length === 1) {
+        const analysis = await this.emergencyActions.performEmergencyAnalysis(userId, selected[0].address);
+        response = this.emergencyActions.formatEmergencyResponse(analysis);
+      } else {
+        // Combined report across every selected wallet
+        const analyses = await this.emergencyActions.performCombinedEmergencyAnalysis(userId, selected.map(w => w.address));
+        const labels = Object.fromEntries(
+          selected.filter(w => w.label).map(w => [w.address, this.escapeMarkdown(w.label)])
+        );
+        response = this.emergencyActions.formatCombinedEmergencyResponse(analyses, labels);
+      }
 
       await this.sendWithOctopus(
         ctx,
@@ -1012,6 +1966,88 @@ Add a wallet first to use emergency features.`,
 
   // ... Additional handlers can be implemented similarly
 
+  async handleRules(ctx) {
+    const userId = ctx.from.id.toString();
+    const { disabledRules } = this.settings.get(userId);
+    const rules = this.transactionMonitor.ruleEngine.rules;
+
+    let message = `*📐 Threat Detection Rules*\n\n`;
+    message += `Tap a rule to turn it on or off for your wallets.\n\n`;
+    rules.forEach(rule => {
+      const enabled = !disabledRules.includes(rule.id);
+      message += `${enabled ? '🟢' : '⚪'} \`${rule.id}\` (+${rule.score}, ${rule.severity})\n   ${rule.description}\n`;
+    });
+
+    const buttons = rules.map(rule => {
+      const enabled = !disabledRules.includes(rule.id);
+      return [Markup.button.callback(`${enabled ? '🟢' : '⚪'} ${rule.id}`, `rule_toggle_${rule.id}`)];
+    });
+    buttons.push([Markup.button.callback('⬅️ Back to Alert Settings', 'alert_settings')]);
+
+    await this.sendWithOctopus(ctx, message, Markup.inlineKeyboard(buttons));
+  }
+
+  async handleRuleToggle(ctx, ruleId) {
+    const userId = ctx.from.id.toString();
+    if (!this.transactionMonitor.ruleEngine.getRule(ruleId)) {
+      await ctx.reply('❌ Unknown rule.');
+      return;
+    }
+
+    this.settings.toggleRule(userId, ruleId);
+    await this.handleRules(ctx);
+  }
+
+  isAdmin(ctx) {
+    const adminIds = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+    return adminIds.includes(ctx.from.id.toString());
+  }
+
+  async handleProgramCommand(ctx) {
+    if (!this.isAdmin(ctx)) {
+      await ctx.reply('🔒 Only RedAlert admins can manage the program registry.');
+      return;
+    }
+
+    const [, subcommand, programId, ...rest] = ctx.message.text.trim().split(/\s+/);
+    const usage = `*📚 Program Registry*\n\n` +
+      `\`/program info <programId>\`\n` +
+      `\`/program add <programId> <category> <name>\`\n` +
+      `\`/program remove <programId>\`\n` +
+      `\`/program list [category]\`\n\n` +
+      `*Categories:* ${ProgramRegistry.CATEGORIES.join(', ')}`;
+
+    try {
+      if (subcommand === 'info' && programId) {
+        const info = this.programRegistry.lookup(programId);
+        await ctx.reply(
+          `*📚 ${info.name || 'Unknown program'}*\n\n\`${programId}\`\nCategory: ${info.category}${info.flagged ? ' 🚩' : ''}`,
+          { parse_mode: 'Markdown' }
+        );
+      } else if (subcommand === 'add' && programId && rest.length >= 2) {
+        const [category, ...nameParts] = rest;
+        const info = this.programRegistry.set(programId, category, nameParts.join(' '), ctx.from.id.toString());
+        console.log(`📚 Program ${programId} set to ${category} by ${ctx.from.id}`);
+        await ctx.reply(`✅ *${info.name}* registered as *${info.category}*${info.flagged ? ' 🚩' : ''}`, { parse_mode: 'Markdown' });
+      } else if (subcommand === 'remove' && programId) {
+        const existed = this.programRegistry.remove(programId, ctx.from.id.toString());
+        console.log(`📚 Program ${programId} removed by ${ctx.from.id}`);
+        await ctx.reply(existed ? '🗑️ Program removed from the registry.' : '⚠️ Program was not in the registry.');
+      } else if (subcommand === 'list') {
+        const programs = this.programRegistry.list(programId || null);
+        let message = `*📚 Registered Programs* (${programs.length})\n\n`;
+        programs.slice(0, 40).forEach(info => {
+          message += `• ${info.flagged ? '🚩 ' : ''}${info.name} (${info.category})\n  \`${info.programId}\`\n`;
+        });
+        await ctx.reply(message, { parse_mode: 'Markdown' });
+      } else {
+        await ctx.reply(usage, { parse_mode: 'Markdown' });
+      }
+    } catch (error) {
+      await ctx.reply(`❌ ${error.message}`);
+    }
+  }
+
   // Helper methods
   getHealthEmoji(score) {
     if (score >= 90) return '🟢';
@@ -1019,9 +2055,34 @@ Add a wallet first to use emergency features.`,
     return '🔴';
   }
 
-  getRecentAlerts(walletAddress) {
+  // SOL plus cached token balances, valued in USD where prices are known
+  async getWalletValueText(walletAddress) {
+    try {
+      const lamports = await this.solanaConnection.getBalance(new PublicKey(walletAddress));
+      const sol = lamports / 1e9;
+      const holdings = this.transactionMonitor.getTokenHoldings(walletAddress)
+        .filter(holding => holding.amount !== '0' && holding.decimals !== null);
+
+      const prices = await this.priceOracle.getPrices([SOL_MINT, ...holdings.map(holding => holding.mint)]);
+
+      let totalUsd = prices[SOL_MINT] !== undefined ? sol * prices[SOL_MINT] : null;
+      holdings.forEach(holding => {
+        const price = prices[holding.mint];
+        if (price === undefined) return;
+        const uiAmount = parseFloat(this.balanceAnalyzer.toUiAmount(holding.amount, holding.decimals));
+        totalUsd = (totalUsd || 0) + uiAmount * price;
+      });
+
+      return `${sol.toFixed(4)} SOL${totalUsd !== null ? ` (≈ ${this.priceOracle.formatUsd(totalUsd)} total)` : ''}`;
+    } catch (error) {
+      console.error(`Failed to value wallet ${walletAddress}:`, error.message);
+      return 'unavailable';
+    }
+  }
+
+  getRecentAlerts(walletAddress, ownerId) {
     const recentAlerts = Array.from(threatAlerts.values())
-      .filter(alert => alert.walletAddress === walletAddress && 
+      .filter(alert => alert.walletAddress === walletAddress && alert.userId === ownerId &&
                      Date.now() - alert.timestamp.getTime() < 24 * 60 * 60 * 1000)
       .length;
     
@@ -1033,62 +2094,34 @@ Add a wallet first to use emergency features.`,
     try {
       console.log(`🚨 Threat detected for wallet ${walletAddress}`);
       
+      // Fold into an open incident for this wallet, or drop repeats inside the cooldown
+      const { action, incident } = this.alertPipeline.ingest(userId, walletAddress, basicThreat);
+      if (action === 'suppress') {
+        console.log(`🔁 Suppressed repeat alert for ${walletAddress.slice(0, 8)}... (incident ${incident.id})`);
+        return;
+      }
+      
+      const settings = this.settings.get(userId);
+
       // Enhance threat with AI analysis
       const enhancedThreat = await this.threatAnalyzer.analyzeTransactionWithAI(
         walletAddress,
         basicThreat.transaction,
         { logs: basicThreat.threats },
-        basicThreat
+        basicThreat,
+        { useAI: settings.aiEnabled }
       );
+      this.alertPipeline.attachAnalysis(incident, enhancedThreat);
 
-      // Store alert
-      const alertId = `${walletAddress}-${Date.now()}`;
-      threatAlerts.set(alertId, {
-        ...enhancedThreat,
-        userId,
-        walletAddress,
-        alertId
-      });
-
-      // Format threat alert with action buttons
-      const urgencyEmoji = enhancedThreat.riskScore >= 80 ? '🚨🚨🚨' : enhancedThreat.riskScore >= 60 ? '⚠️⚠️' : '👀';
-      const urgencyLevel = enhancedThreat.riskScore >= 80 ? 'CRITICAL THREAT' : enhancedThreat.riskScore >= 60 ? 'HIGH RISK' : 'SUSPICIOUS ACTIVITY';
-      
-      let alertMessage = `${urgencyEmoji} **${urgencyLevel} DETECTED** ${urgencyEmoji}\n\n`;
-      alertMessage += `🐙 **Wallet**: \`${walletAddress.slice(0, 8)}...${walletAddress.slice(-8)}\`\n`;
-      alertMessage += `📊 **Risk Score**: ${enhancedThreat.riskScore}/100\n`;
-      alertMessage += `⏰ **Time**: ${enhancedThreat.timestamp.toLocaleTimeString()}\n\n`;
-      
-      // Add threats
-      alertMessage += `⚡ **Detected Threats**:\n`;
-      enhancedThreat.threats.slice(0, 3).forEach(t => {
-        alertMessage += `• ${t}\n`;
-      });
-      alertMessage += `\n`;
-      
-      // Add AI analysis if available
-      if (enhancedThreat.aiAnalysis) {
-        alertMessage += `🧠 **AI Analysis** (${enhancedThreat.aiAnalysis.confidence}% confidence):\n`;
-        alertMessage += `${enhancedThreat.aiAnalysis.explanation}\n\n`;
+      // Respect the user's minimum risk score; the incident stays in history either way
+      if (!this.settings.shouldNotify(userId, incident)) {
+        console.log(`🔕 Alert below ${settings.minRiskScore} for user ${userId} (score ${incident.riskScore}), not notifying`);
+        return;
       }
-      
-      alertMessage += `🐙 **Take immediate action below!**`;
 
-      // Create threat-specific action buttons
-      const threatButtons = Markup.inlineKeyboard([
-        [
-          Markup.button.callback('🆘 Emergency Response', 'emergency_analysis'),
-          Markup.button.callback('🚫 Revoke Tokens', 'emergency_revoke')
-        ],
-        [
-          Markup.button.callback('💸 Move Assets', 'emergency_move'),
-          Markup.button.callback('📞 Get Help', 'emergency_contact')
-        ],
-        [
-          Markup.button.callback('📊 Check Status', 'status'),
-          Markup.button.callback('🔍 Full Analysis', 'analyze')
-        ]
-      ]);
+      const isGroupAlert = groupWallets.has(userId);
+      const alertMessage = this.formatThreatAlert(incident, userId);
+      const threatButtons = this.getThreatButtons(incident, userId, isGroupAlert);
 
       // Create proper context for threat alert
       const customCtx = {
@@ -1096,12 +2129,23 @@ Add a wallet first to use emergency features.`,
         chatId: userId
       };
 
-      // Send threat alert with octopus image and action buttons
-      await this.sendWithOctopus(customCtx, alertMessage, threatButtons);
+      // Update the incident's existing message with new findings instead of sending another
+      const edited = incident.notification && await this.editWithOctopus(incident.notification, alertMessage, threatButtons);
+      if (!edited) {
+        const sent = await this.sendWithOctopus(customCtx, alertMessage, threatButtons);
+        if (sent) {
+          this.alertPipeline.setNotification(incident, {
+            chatId: sent.chat.id,
+            messageId: sent.message_id,
+            isPhoto: Boolean(sent.photo)
+          });
+        }
+      }
 
-      // Trigger emergency alert if critical
-      if (enhancedThreat.riskScore >= 80) {
-        await this.emergencyActions.triggerEmergencyAlert(userId, walletAddress, enhancedThreat);
+      // Trigger emergency alert once per incident if critical (the follow-up's buttons act on personal wallets)
+      if (incident.riskScore >= 80 && !incident.criticalSent && !isGroupAlert) {
+        this.alertPipeline.markCriticalSent(incident);
+        await this.emergencyActions.triggerEmergencyAlert(userId, walletAddress, incident);
         
         // Send additional critical alert
         await this.sendWithOctopus(
@@ -1138,6 +2182,179 @@ Your wallet may be under active attack!
     }
   }
 
+  formatThreatAlert(incident, userId) {
+    const urgencyEmoji = incident.riskScore >= 80 ? '🚨🚨🚨' : incident.riskScore >= 60 ? '⚠️⚠️' : '👀';
+    const urgencyLevel = incident.riskScore >= 80 ? 'CRITICAL THREAT' : incident.riskScore >= 60 ? 'HIGH RISK' : 'SUSPICIOUS ACTIVITY';
+    
+    let alertMessage = `${urgencyEmoji} **${urgencyLevel} DETECTED** ${urgencyEmoji}\n\n`;
+    alertMessage += `🐙 **Wallet**: ${this.formatWalletName(this.findUserWallet(userId, incident.walletAddress) || { address: incident.walletAddress })}\n`;
+    alertMessage += `📊 **Risk Score**: ${incident.riskScore}/100\n`;
+    alertMessage += `⏰ **Time**: ${new Date(incident.timestamp).toLocaleTimeString()}\n`;
+    alertMessage += `🆔 **Incident**: \`${incident.id}\``;
+    if (incident.eventCount > 1) {
+      alertMessage += ` (${incident.eventCount} related events, updated ${new Date(incident.updatedAt).toLocaleTimeString()})`;
+    }
+    alertMessage += `\n`;
+    alertMessage += `📌 **Status**: ${this.formatIncidentStatus(incident.status || 'open')}`;
+    const lastChange = (incident.statusHistory || []).slice(-1)[0];
+    if (lastChange) {
+      alertMessage += ` (${new Date(lastChange.at).toLocaleString()})`;
+    }
+    alertMessage += `\n`;
+    if (incident.lateDetection) {
+      alertMessage += `⏪ **Late Detection**: happened while monitoring was offline\n`;
+    }
+    alertMessage += `\n`;
+    
+    // Add threats
+    alertMessage += `⚡ **Detected Threats**:\n`;
+    incident.threats.slice(0, 5).forEach(t => {
+      alertMessage += `• ${t}\n`;
+    });
+    alertMessage += `\n`;
+    
+    // Add what left the wallet and where it went
+    const outflowLines = this.balanceAnalyzer.formatSummary(incident.balanceChanges);
+    if (outflowLines.length > 0) {
+      alertMessage += `💸 **What Left This Wallet**:\n`;
+      alertMessage += outflowLines.join('\n') + `\n\n`;
+    }
+    
+    // Add authority changes (ownership takeovers)
+    if (incident.authorityChanges && incident.authorityChanges.length > 0) {
+      alertMessage += `👑 **Authority Changed**:\n`;
+      incident.authorityChanges.forEach(change => {
+        alertMessage += `• ${change.description}\n`;
+        alertMessage += `   New authority: \`${change.newAuthority}\`\n`;
+      });
+      alertMessage += `\n`;
+    }
+    
+    // Add delegation details for new approvals
+    if (incident.delegations && incident.delegations.length > 0) {
+      alertMessage += `🔑 **New Token Delegation**:\n`;
+      incident.delegations.forEach(d => {
+        const amountText = d.unlimited ? '♾️ **UNLIMITED**' : d.uiAmount;
+        alertMessage += `• ${amountText} of \`${d.mint ? d.mint.slice(0, 8) + '...' : 'unknown mint'}\`\n`;
+        alertMessage += `   Delegate: \`${d.delegate}\`\n`;
+      });
+      alertMessage += `\n_If you did not approve this, revoke it now._\n\n`;
+    }
+    
+    // Add which rules fired
+    if (incident.firedRules && incident.firedRules.length > 0) {
+      alertMessage += `📐 **Rules**: ${incident.firedRules.map(rule => `\`${rule.id}\``).join(', ')}\n\n`;
+    }
+    
+    // Add AI analysis if available
+    if (incident.aiAnalysis) {
+      alertMessage += `🧠 **AI Analysis** (${incident.aiAnalysis.confidence}% confidence):\n`;
+      alertMessage += `${incident.aiAnalysis.explanation}\n\n`;
+    }
+    
+    alertMessage += `🐙 **Take immediate action below!**`;
+    return alertMessage;
+  }
+
+  // Threat-specific action buttons, aimed at the wallet the incident is about
+  getThreatButtons(incident, userId, isGroupAlert) {
+    const lifecycleRow = this.getIncidentButtons(incident);
+    if (isGroupAlert) {
+      return Markup.inlineKeyboard([lifecycleRow, ...this.getGroupAlertButtons().reply_markup.inline_keyboard]);
+    }
+
+    const walletIndex = (userWallets.get(userId) || []).findIndex(w => w.address === incident.walletAddress);
+    const forWallet = flow => (walletIndex >= 0 ? `pick_${flow}_${walletIndex}` : flow);
+
+    return Markup.inlineKeyboard([
+      lifecycleRow,
+      [
+        Markup.button.callback('🆘 Emergency Response', forWallet('emergency_analysis')),
+        Markup.button.callback('🚫 Revoke Tokens', forWallet('emergency_revoke'))
+      ],
+      [
+        Markup.button.callback('💸 Move Assets', forWallet('emergency_move')),
+        Markup.button.callback('📞 Get Help', 'emergency_contact')
+      ],
+      [
+        Markup.button.callback('📊 Check Status', 'status'),
+        Markup.button.callback('🔍 Full Analysis', forWallet('analyze'))
+      ]
+    ]);
+  }
+
+  // Lifecycle buttons for an incident in its current state
+  getIncidentButtons(incident) {
+    const status = incident.status || 'open';
+
+    if (status === 'resolved' || status === 'false_positive') {
+      return [Markup.button.callback('🔄 Reopen', `inc_open_${incident.id}`)];
+    }
+
+    return [
+      ...(status === 'open' ? [Markup.button.callback('👀 Acknowledge', `inc_ack_${incident.id}`)] : []),
+      Markup.button.callback('✅ Resolved', `inc_resolve_${incident.id}`),
+      Markup.button.callback('🙋 That Was Me', `inc_fp_${incident.id}`)
+    ];
+  }
+
+  // Accepts the state names plus short forms ("ack", "fp"); anything else means all states
+  parseIncidentStatus(value) {
+    const aliases = { ack: 'acknowledged', fp: 'false_positive', falsepositive: 'false_positive' };
+    const normalized = (value || '').toLowerCase();
+    const status = aliases[normalized] || normalized;
+    return INCIDENT_STATUSES.includes(status) ? status : null;
+  }
+
+  formatIncidentStatus(status) {
+    return {
+      open: '🔴 Open',
+      acknowledged: '👀 Acknowledged',
+      resolved: '✅ Resolved',
+      false_positive: '🙋 False Positive'
+    }[status] || status;
+  }
+
+  async handleIncidentStatus(ctx, action, incidentId) {
+    const incident = this.alertPipeline.getIncident(incidentId);
+    const chatId = ctx.chat ? ctx.chat.id.toString() : ctx.from.id.toString();
+
+    // Incidents belong to a user (private chat) or a group chat
+    if (!incident || incident.userId !== chatId) {
+      await ctx.answerCbQuery('Incident not found');
+      return;
+    }
+
+    const isGroupAlert = groupWallets.has(incident.userId);
+    if (isGroupAlert && !(await this.isGroupAdmin(ctx))) {
+      await ctx.answerCbQuery('Only group admins can update group incidents');
+      return;
+    }
+
+    const status = { ack: 'acknowledged', resolve: 'resolved', fp: 'false_positive', open: 'open' }[action];
+    this.alertPipeline.setStatus(incidentId, status, ctx.from.id.toString());
+
+    await ctx.answerCbQuery(
+      status === 'false_positive'
+        ? 'Marked as you - similar activity will score lower for this wallet'
+        : `Incident ${this.formatIncidentStatus(status)}`
+    );
+
+    // Refresh the alert in place so the state and buttons match
+    const notification = incident.notification || {
+      chatId: ctx.callbackQuery.message.chat.id,
+      messageId: ctx.callbackQuery.message.message_id,
+      isPhoto: Boolean(ctx.callbackQuery.message.photo)
+    };
+    await this.editWithOctopus(
+      notification,
+      this.formatThreatAlert(incident, incident.userId),
+      this.getThreatButtons(incident, incident.userId, isGroupAlert)
+    );
+
+    console.log(`📌 Incident ${incidentId} -> ${status} by ${ctx.from.id}`);
+  }
+
   async performInitialAnalysis(walletAddress, userId, ctx) {
     try {
       console.log(`🔍 Performing initial analysis for ${walletAddress}`);
@@ -1195,14 +2412,18 @@ Your wallet may be under active attack!
 
   // Additional handlers
   async handleSettings(ctx) {
+    const settings = this.settings.get(ctx.from.id.toString());
+    const preset = PRESETS[settings.sensitivity] || PRESETS.normal;
+
     const settingsMessage = `*⚙️ RedAlert Settings ⚙️*
 
 *🔧 Current Configuration:*
-🔔 Threat Alerts: **Enabled**
-📱 Telegram Notifications: **Enabled** 
-📊 Health Reports: **Daily**
+🎚️ Sensitivity: **${preset.label}**
+🔔 Notify From Risk Score: **${settings.minRiskScore > 0 ? `${settings.minRiskScore}+` : 'All alerts'}**
+📐 Disabled Rules: **${settings.disabledRules.length}**
+📊 Health Reports: **${this.formatReportFrequency(settings.reportFrequency)}**
 🚨 Emergency Mode: **Active**
-🧠 AI Analysis: **${process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your_openai_key_here' ? 'Enabled' : 'Disabled'}**
+🧠 AI Analysis: **${this.getAIStatusText(settings)}**
 
 *⚡ Quick Settings:*`;
 
@@ -1225,6 +2446,126 @@ Your wallet may be under active attack!
     );
   }
 
+  async handleAlertSettings(ctx) {
+    const settings = this.settings.get(ctx.from.id.toString());
+    const preset = PRESETS[settings.sensitivity] || PRESETS.normal;
+
+    let message = `*🔔 Alert Settings*\n\n`;
+    message += `🎚️ **Sensitivity**: ${preset.label} - ${preset.description}\n`;
+    message += `🔔 **Notify From Risk Score**: ${settings.minRiskScore > 0 ? `${settings.minRiskScore}+` : 'All alerts'}\n`;
+    message += `📐 **Disabled Rules**: ${settings.disabledRules.length}\n\n`;
+    message += `_Authority changes and new token approvals are always sent, whatever the minimum score._`;
+
+    const mark = (selected, label) => (selected ? `✅ ${label}` : label);
+
+    await this.sendWithOctopus(
+      ctx,
+      message,
+      Markup.inlineKeyboard([
+        Object.entries(PRESETS).map(([key, option]) =>
+          Markup.button.callback(mark(settings.sensitivity === key, option.label), `set_sensitivity_${key}`)
+        ),
+        MIN_RISK_SCORE_OPTIONS.map(score =>
+          Markup.button.callback(mark(settings.minRiskScore === score, score > 0 ? `${score}+` : 'All'), `set_min_score_${score}`)
+        ),
+        [Markup.button.callback('📐 Detection Rules', 'rules')],
+        [Markup.button.callback('⬅️ Back to Settings', 'settings')]
+      ])
+    );
+  }
+
+  async handleReportSettings(ctx) {
+    const settings = this.settings.get(ctx.from.id.toString());
+
+    const message = `*📊 Report Settings*
+
+Health reports summarize your wallets' balances, new delegations, alerts and monitoring uptime.
+
+📅 **Frequency**: ${this.formatReportFrequency(settings.reportFrequency)}
+🕘 **Delivery**: ${this.reportScheduler.reportHour}:00 ${settings.reportFrequency === 'weekly' ? 'on Mondays' : 'every day'}
+🌍 **Timezone**: ${settings.timezone}
+
+_Change the timezone with /timezone Europe/Berlin (any IANA name)._`;
+
+    await this.sendWithOctopus(
+      ctx,
+      message,
+      Markup.inlineKeyboard([
+        REPORT_FREQUENCIES.map(frequency =>
+          Markup.button.callback(
+            `${settings.reportFrequency === frequency ? '✅ ' : ''}${this.formatReportFrequency(frequency)}`,
+            `set_reports_${frequency}`
+          )
+        ),
+        [Markup.button.callback('👀 Preview Report', 'report_preview')],
+        [Markup.button.callback('⬅️ Back to Settings', 'settings')]
+      ])
+    );
+  }
+
+  async handleAISettings(ctx) {
+    const settings = this.settings.get(ctx.from.id.toString());
+    const available = this.threatAnalyzer.isAIAvailable();
+
+    let message = `*🤖 AI Configuration*\n\n`;
+    message += `🧠 **AI Analysis**: ${this.getAIStatusText(settings)}\n\n`;
+    message += available
+      ? `_When enabled, alerts include an AI explanation of the suspicious transaction._`
+      : `_AI analysis is not configured on this bot (no OpenAI API key)._`;
+
+    const buttons = [];
+    if (available) {
+      buttons.push([Markup.button.callback(settings.aiEnabled ? '⏸️ Turn Off AI Analysis' : '▶️ Turn On AI Analysis', 'toggle_ai')]);
+    }
+    buttons.push([Markup.button.callback('⬅️ Back to Settings', 'settings')]);
+
+    await this.sendWithOctopus(ctx, message, Markup.inlineKeyboard(buttons));
+  }
+
+  getAIStatusText(settings) {
+    if (!this.threatAnalyzer.isAIAvailable()) return 'Unavailable';
+    return settings.aiEnabled ? 'Enabled' : 'Disabled';
+  }
+
+  async handleTimezone(ctx, timezone) {
+    const userId = ctx.from.id.toString();
+
+    if (!timezone) {
+      await ctx.reply(`🌍 Your timezone is ${this.settings.get(userId).timezone}.\n\nUsage: /timezone <IANA name>, e.g. /timezone America/New_York`);
+      return;
+    }
+
+    try {
+      const settings = this.settings.setTimezone(userId, timezone);
+      await ctx.reply(`✅ Timezone set to ${settings.timezone}. Health reports arrive at ${this.reportScheduler.reportHour}:00 your time.`);
+    } catch (error) {
+      await ctx.reply(`❌ ${error.message}`);
+    }
+  }
+
+  async handleReportPreview(ctx) {
+    const userId = ctx.from.id.toString();
+
+    if ((userWallets.get(userId) || []).length === 0) {
+      await ctx.reply('❌ Add a wallet with /addwallet to get health reports.');
+      return;
+    }
+
+    try {
+      const message = await this.reportScheduler.previewReport(userId);
+      await this.sendWithOctopus(ctx, message, Markup.inlineKeyboard([
+        [Markup.button.callback('⬅️ Back to Reports', 'report_settings')]
+      ]));
+    } catch (error) {
+      console.error('Error building report preview:', error);
+      await ctx.reply('❌ Failed to build the report. Please try again.');
+    }
+  }
+
+  formatReportFrequency(frequency) {
+    return { off: 'Off', daily: 'Daily', weekly: 'Weekly' }[frequency] || frequency;
+  }
+
   async handleHelp(ctx) {
     const isGroup = ctx.chat.type === 'group' || ctx.chat.type === 'supergroup';
     
@@ -1234,9 +2575,11 @@ Your wallet may be under active attack!
       helpMessage = `*❓ RedAlert Group Commands ❓*
 
 *🛡️ Group Protection:*
-• /addgroupwallet <address> - Monitor community wallet
+• /addgroupwallet <address> [label] - Monitor community wallet (admins)
+• /removegroupwallet <address> - Stop monitoring it (admins)
 • /groupstatus - Check group protection status
 • /alerts - View recent group threats
+• /export - Download the group's alert history
 • /emergency - Group emergency response
 
 *📋 Information:*
@@ -1272,7 +2615,9 @@ Your wallet may be under active attack!
 
 **🧠 Analysis:**  
 • /analyze - Deep AI security scan
-• /alerts - View your recent threats
+• /alerts [open|critical|7d|...] - Browse and filter your threats
+• /check <transaction> - Simulate a transaction before you sign it
+• /export [csv|json|html] - Download alerts and emergency actions
 • /emergency - Crisis response tools
 
 **👥 Group Features:**
@@ -1282,6 +2627,9 @@ Your wallet may be under active attack!
 
 **⚙️ Controls:**
 • /settings - Configure your alerts
+• /rules - Turn detection rules on or off
+• /timezone - Set when health reports arrive
+• /safeharbor - Register your emergency evacuation wallet
 • /help - This guide
 • /about - Bot information
 
@@ -1337,88 +2685,313 @@ Your wallet may be under active attack!
 • **Emergency**: Instant response
 • **Predictive**: Behavior alerts
 
-**🔗 Technology:**
-• Solana blockchain integration
-• OpenAI GPT-4 analysis
-• WebSocket monitoring
-• Advanced pattern recognition
+**🔗 Technology:**
+• Solana blockchain integration
+• OpenAI GPT-4 analysis
+• WebSocket monitoring
+• Advanced pattern recognition
+
+*🐙 Trust the advanced octopus. Maximum protection.*
+
+**Coming Soon:** $REDALERT token utility`;
+
+    await this.sendWithOctopus(
+      ctx,
+      aboutMessage,
+      Markup.inlineKeyboard([
+        [
+          Markup.button.callback('🌐 Website', 'website'),
+          Markup.button.callback('💬 Community', 'community')
+        ],
+        [
+          Markup.button.callback('🐦 Twitter', 'twitter'),
+          Markup.button.callback('📱 Telegram', 'telegram_channel')
+        ],
+        [
+          Markup.button.callback('⬅️ Back to Menu', 'main_menu')
+        ]
+      ])
+    );
+  }
+
+  async handleMonitorControl(ctx, action) {
+    const userId = ctx.from.id.toString();
+    const wallets = userWallets.get(userId) || [];
+
+    if (action === 'start') {
+      let started = 0;
+      for (const wallet of wallets) {
+        if (!this.transactionMonitor.isWatching(wallet.address, userId)) {
+          const success = await this.transactionMonitor.startMonitoring(
+            wallet.address,
+            userId,
+            (address, threat) => this.handleThreatDetected(address, threat, userId, ctx),
+            this.getMonitoringOptions(userId, wallet)
+          );
+          if (success) started++;
+        }
+        wallet.isActive = true;
+      }
+      userWallets.set(userId, wallets);
+      
+      await this.sendWithOctopus(
+        ctx,
+        `*🟢 Monitoring Started*
+
+Started real-time monitoring for ${started} wallets.
+
+*🚨 Active protection features:*
+• Live transaction monitoring
+• AI threat detection
+• Emergency alerts
+
+*🐙 Your octopus is now watching!*`,
+        this.getMonitorButtons()
+      );
+      
+    } else if (action === 'stop') {
+      let stopped = 0;
+      for (const wallet of wallets) {
+        if (this.transactionMonitor.isWatching(wallet.address, userId)) {
+          await this.transactionMonitor.stopMonitoring(wallet.address, userId);
+          stopped++;
+        }
+        wallet.isActive = false;
+      }
+      userWallets.set(userId, wallets);
+      
+      await this.sendWithOctopus(
+        ctx,
+        `*🔴 Monitoring Stopped*
+
+Stopped monitoring for ${stopped} wallets.
+
+*⚠️ Protection reduced to basic mode*
+
+*🐙 Restart anytime with the button below*`,
+        this.getMonitorButtons()
+      );
+    }
+  }
+
+  async handleWalletDetail(ctx, index) {
+    const userId = ctx.from.id.toString();
+    const wallets = userWallets.get(userId) || [];
+    const wallet = wallets[index];
+
+    if (!wallet) {
+      await ctx.reply('❌ Wallet not found. Open /status to see your wallets.');
+      return;
+    }
+
+    const isMonitored = this.transactionMonitor.isWatching(wallet.address, userId);
+    const userSensitivity = PRESETS[this.settings.get(userId).sensitivity] || PRESETS.normal;
+
+    let message = `*🐙 ${wallet.label ? this.escapeMarkdown(wallet.label) : `Wallet ${index + 1}`}*\n\n`;
+    message += `\`${wallet.address}\`\n\n`;
+    message += `📝 **Note**: ${wallet.note ? this.escapeMarkdown(wallet.note) : '_none_'}\n`;
+    message += `📡 **Monitoring**: ${wallet.isActive ? (isMonitored ? '🟢 Active' : '🟡 Starting') : '⏸️ Paused'}\n`;
+    message += `🎚️ **Sensitivity**: ${wallet.sensitivity ? PRESETS[wallet.sensitivity].label : `Default (${userSensitivity.label})`}\n`;
+    message += `📅 **Added**: ${new Date(wallet.addedAt).toLocaleDateString()}\n`;
+
+    const sensitivityOptions = [['default', 'Default'], ...Object.entries(PRESETS).map(([key, preset]) => [key, preset.label])];
+    const current = wallet.sensitivity || 'default';
+
+    await this.sendWithOctopus(
+      ctx,
+      message,
+      Markup.inlineKeyboard([
+        [
+          Markup.button.callback('✏️ Rename', `wallet_label_${index}`),
+          Markup.button.callback('📝 Edit Note', `wallet_note_${index}`)
+        ],
+        [
+          wallet.isActive
+            ? Markup.button.callback('⏸️ Pause Monitoring', `wallet_pause_${index}`)
+            : Markup.button.callback('▶️ Resume Monitoring', `wallet_resume_${index}`)
+        ],
+        sensitivityOptions.map(([key, label]) =>
+          Markup.button.callback(`${current === key ? '✅ ' : ''}${label}`, `wallet_sens_${index}_${key}`)
+        ),
+        [
+          Markup.button.callback('🗑️ Remove', `confirm_remove_${index}`),
+          Markup.button.callback('⬅️ Back to Status', 'status')
+        ]
+      ])
+    );
+  }
+
+  async handleWalletInputPrompt(ctx, type, index) {
+    const userId = ctx.from.id.toString();
+    const wallet = (userWallets.get(userId) || [])[index];
+
+    if (!wallet) {
+      await ctx.reply('❌ Wallet not found. Open /status to see your wallets.');
+      return;
+    }
+
+    this.pendingInputs.set(userId, { type, address: wallet.address });
+
+    const prompt = type === 'label'
+      ? `*✏️ Rename Wallet*\n\nReply with a label for ${this.formatWalletName(wallet)} (up to ${MAX_LABEL_LENGTH} characters), e.g. _cold storage_ or _degen_.\n\nSend \`-\` to remove the label.`
+      : `*📝 Wallet Note*\n\nReply with a note for ${this.formatWalletName(wallet)} (up to ${MAX_NOTE_LENGTH} characters).\n\nSend \`-\` to remove the note.`;
+
+    await this.sendWithOctopus(
+      ctx,
+      prompt,
+      Markup.inlineKeyboard([
+        [Markup.button.callback('❌ Cancel', `wallet_view_${index}`)]
+      ])
+    );
+  }
+
+  // Dry-runs a serialized transaction and tells the user what signing it would do
+  async handleCheck(ctx, payload) {
+    const userId = ctx.from.id.toString();
+
+    if (!payload) {
+      if (ctx.chat.type !== 'private') {
+        await ctx.reply('🔬 Usage: /check <base64 transaction>');
+        return;
+      }
+      this.pendingInputs.set(userId, { type: 'check' });
+      await this.sendWithOctopus(ctx,
+        `*🔬 Check a Transaction*\n\nPaste the base64-encoded transaction you've been asked to sign. ` +
+        `I'll simulate it against the current chain state and show what it would do to your wallet - nothing is signed or sent.`
+      );
+      return;
+    }
+
+    await ctx.reply('🔬 Simulating transaction...');
+
+    try {
+      const simulation = await this.transactionSimulator.simulate(payload);
+      const settings = this.settings.get(userId);
+      // Judged by the default rules and thresholds: the signer may not be a watched wallet, and a
+      // rule muted or a false positive marked for live alerts mustn't soften a pre-signing verdict
+      const result = this.transactionMonitor.ruleEngine.evaluate(simulation.facts);
+
+      const basicThreat = {
+        type: result.type,
+        source: 'Transaction Simulation',
+        riskScore: result.riskScore,
+        threats: result.threats,
+        firedRules: result.firedRules,
+        shouldAlert: result.shouldAlert,
+        timestamp: new Date(),
+        delegations: simulation.facts.delegations,
+        authorityChanges: simulation.facts.authorityChanges,
+        balanceChanges: simulation.facts.balanceChanges,
+        programs: simulation.facts.programs
+      };
+      const verdict = await this.threatAnalyzer.analyzeTransactionWithAI(
+        simulation.signer,
+        simulation.transaction,
+        { logs: simulation.logs },
+        basicThreat,
+        { useAI: settings.aiEnabled, recordProfile: false }
+      );
+
+      await this.sendWithOctopus(ctx,
+        this.threatAnalyzer.formatSimulationVerdict(simulation.signer, verdict, simulation),
+        Markup.inlineKeyboard([
+          [Markup.button.callback('⬅️ Back to Menu', 'main_menu')]
+        ])
+      );
+    } catch (error) {
+      console.error('Transaction check failed:', error.message);
+      await ctx.reply(`❌ Could not check that transaction: ${error.message}`);
+    }
+  }
+
+  async handlePendingInput(ctx, text) {
+    const userId = ctx.from.id.toString();
+    const pending = this.pendingInputs.get(userId);
+    this.pendingInputs.delete(userId);
+
+    // Safe harbor replies aren't about a monitored wallet
+    if (pending.type === 'harbor_address') {
+      await this.handleSafeHarborAddress(ctx, text);
+      return;
+    }
+    if (pending.type === 'harbor_confirm') {
+      await this.handleSafeHarborConfirm(ctx, pending.harbor, text);
+      return;
+    }
+    if (pending.type === 'check') {
+      await this.handleCheck(ctx, text.trim());
+      return;
+    }
+
+    const wallets = userWallets.get(userId) || [];
+    const index = wallets.findIndex(w => w.address === pending.address);
+    if (index === -1) {
+      await ctx.reply('❌ That wallet is no longer monitored.');
+      return;
+    }
 
-*🐙 Trust the advanced octopus. Maximum protection.*
+    if (pending.type === 'sweep') {
+      await this.handleSweep(ctx, wallets[index], text.trim());
+      return;
+    }
 
-**Coming Soon:** $REDALERT token utility`;
+    const value = text.trim() === '-' ? null : text.trim();
+    if (pending.type === 'label') {
+      wallets[index].label = value ? value.slice(0, MAX_LABEL_LENGTH) : null;
+    } else {
+      wallets[index].note = value ? value.slice(0, MAX_NOTE_LENGTH) : null;
+    }
+    userWallets.set(userId, wallets);
 
-    await this.sendWithOctopus(
-      ctx,
-      aboutMessage,
-      Markup.inlineKeyboard([
-        [
-          Markup.button.callback('🌐 Website', 'website'),
-          Markup.button.callback('💬 Community', 'community')
-        ],
-        [
-          Markup.button.callback('🐦 Twitter', 'twitter'),
-          Markup.button.callback('📱 Telegram', 'telegram_channel')
-        ],
-        [
-          Markup.button.callback('⬅️ Back to Menu', 'main_menu')
-        ]
-      ])
-    );
+    await this.handleWalletDetail(ctx, index);
   }
 
-  async handleMonitorControl(ctx, action) {
+  async handleWalletToggle(ctx, action, index) {
     const userId = ctx.from.id.toString();
     const wallets = userWallets.get(userId) || [];
+    const wallet = wallets[index];
 
-    if (action === 'start') {
-      let started = 0;
-      for (const wallet of wallets) {
-        if (!this.transactionMonitor.monitoredWallets.has(wallet.address)) {
-          const success = await this.transactionMonitor.startMonitoring(
-            wallet.address,
-            userId,
-            (address, threat) => this.handleThreatDetected(address, threat, userId, ctx)
-          );
-          if (success) started++;
-        }
-      }
-      
-      await this.sendWithOctopus(
-        ctx,
-        `*🟢 Monitoring Started*
-
-Started real-time monitoring for ${started} wallets.
-
-*🚨 Active protection features:*
-• Live transaction monitoring
-• AI threat detection
-• Emergency alerts
+    if (!wallet) {
+      await ctx.reply('❌ Wallet not found. Open /status to see your wallets.');
+      return;
+    }
 
-*🐙 Your octopus is now watching!*`,
-        this.getMonitorButtons()
-      );
-      
-    } else if (action === 'stop') {
-      let stopped = 0;
-      for (const wallet of wallets) {
-        if (this.transactionMonitor.monitoredWallets.has(wallet.address)) {
-          await this.transactionMonitor.stopMonitoring(wallet.address);
-          stopped++;
-        }
+    if (action === 'pause') {
+      if (this.transactionMonitor.isWatching(wallet.address, userId)) {
+        await this.transactionMonitor.stopMonitoring(wallet.address, userId);
       }
-      
-      await this.sendWithOctopus(
-        ctx,
-        `*🔴 Monitoring Stopped*
+      wallet.isActive = false;
+    } else {
+      if (!this.transactionMonitor.isWatching(wallet.address, userId)) {
+        await this.transactionMonitor.startMonitoring(
+          wallet.address,
+          userId,
+          (address, threat) => this.handleThreatDetected(address, threat, userId, ctx),
+          this.getMonitoringOptions(userId, wallet)
+        );
+      }
+      wallet.isActive = true;
+    }
+    userWallets.set(userId, wallets);
 
-Stopped monitoring for ${stopped} wallets.
+    console.log(`${action === 'pause' ? '⏸️ Paused' : '▶️ Resumed'} monitoring for ${wallet.address} (user: ${userId})`);
+    await this.handleWalletDetail(ctx, index);
+  }
 
-*⚠️ Protection reduced to basic mode*
+  async handleWalletSensitivity(ctx, index, sensitivity) {
+    const userId = ctx.from.id.toString();
+    const wallets = userWallets.get(userId) || [];
+    const wallet = wallets[index];
 
-*🐙 Restart anytime with the button below*`,
-        this.getMonitorButtons()
-      );
+    if (!wallet || (sensitivity !== 'default' && !PRESETS[sensitivity])) {
+      await ctx.reply('❌ Wallet not found. Open /status to see your wallets.');
+      return;
     }
+
+    wallet.sensitivity = sensitivity === 'default' ? null : sensitivity;
+    userWallets.set(userId, wallets);
+
+    await this.handleWalletDetail(ctx, index);
   }
 
   async handleMonitorStats(ctx) {
@@ -1448,7 +3021,7 @@ Stopped monitoring for ${stopped} wallets.
     );
   }
 
-  async handleEmergencyRevoke(ctx) {
+  async handleEmergencyRevoke(ctx, target = null) {
     const userId = ctx.from.id.toString();
     const wallets = userWallets.get(userId) || [];
     
@@ -1466,6 +3039,9 @@ Add a wallet first to use emergency revoke features.`,
       return;
     }
 
+    const selected = await this.selectWallets(ctx, 'emergency_revoke', target, '🚫 Which wallet\'s approvals should I check?');
+    if (!selected) return;
+
     await this.sendWithOctopus(
       ctx,
       `*🔍 Analyzing Token Approvals...* ⏳
@@ -1478,12 +3054,18 @@ Add a wallet first to use emergency revoke features.`,
       null
     );
 
+    for (const wallet of selected) {
+      await this.sendRevokeGuide(ctx, wallet, wallets.indexOf(wallet));
+    }
+  }
+
+  async sendRevokeGuide(ctx, wallet, index) {
     try {
-      const walletAddress = wallets[0].address;
-      const revokeGuide = await this.emergencyActions.generateRevokeInstructions(walletAddress);
+      const walletAddress = wallet.address;
+      const revokeGuide = await this.emergencyActions.generateRevokeInstructions(ctx.from.id.toString(), walletAddress);
       
       let message = `*🚨 Emergency Revoke Guide*\n\n`;
-      message += `🐙 **Wallet**: \`${walletAddress.slice(0, 8)}...${walletAddress.slice(-8)}\`\n\n`;
+      message += `🐙 **Wallet**: ${this.formatWalletName(wallet)}\n\n`;
       
       if (revokeGuide.error) {
         message += `❌ ${revokeGuide.error}\n\n`;
@@ -1493,13 +3075,51 @@ Add a wallet first to use emergency revoke features.`,
         message += `• Revoke ALL approvals\n\n`;
       } else {
         message += `📊 **Found**: ${revokeGuide.totalApprovals} active approvals\n\n`;
+
+        // Everything anyone else can do with this wallet's tokens, riskiest first
+        if (revokeGuide.permissions.length > 0) {
+          message += `*🗂️ Outstanding Permissions (${revokeGuide.permissions.length})*\n`;
+          revokeGuide.permissions.slice(0, MAX_LISTED_PERMISSIONS).forEach(permission => {
+            const emoji = { CRITICAL: '🔴', HIGH: '🟠', MEDIUM: '🟡', LOW: '🟢' }[permission.risk];
+            message += `${emoji} ${this.escapeMarkdown(this.emergencyActions.describePermission(permission))}` +
+              `${permission.revocable ? '' : ' - _not revocable here_'}\n`;
+          });
+          if (revokeGuide.permissions.length > MAX_LISTED_PERMISSIONS) {
+            message += `_+${revokeGuide.permissions.length - MAX_LISTED_PERMISSIONS} more_\n`;
+          }
+          message += `\n`;
+
+          const other = revokeGuide.permissions.filter(permission => !permission.revocable);
+          if (other.some(permission => permission.kind === 'PNFT_DELEGATE')) {
+            message += `🖼️ Programmable NFT delegates must be revoked where they were granted (marketplace or staking app).\n`;
+          }
+          if (other.some(permission => permission.kind === 'PERMANENT_DELEGATE')) {
+            message += `⛔ Permanent delegates can't be revoked - move those tokens out if you don't trust the issuer.\n`;
+          }
+          if (other.length > 0) message += `\n`;
+        }
         
-        if (revokeGuide.totalApprovals > 0) {
+        const unsigned = revokeGuide.automatedOption && revokeGuide.automatedOption.method === 'UNSIGNED_TRANSACTION'
+          ? revokeGuide.automatedOption
+          : null;
+
+        if (revokeGuide.totalApprovals > 0 && unsigned) {
+          message += `*🆘 IMMEDIATE ACTION REQUIRED*\n\n`;
+          message += `🔐 **One-tap revoke**: ${unsigned.transactions.length} unsigned transaction${unsigned.transactions.length > 1 ? 's' : ''} below revoke every approval.\n`;
+          message += this.signingLinks.isEnabled()
+            ? `• Tap *Sign* to open it in your own wallet, or import the base64 payload\n`
+            : `• Import the base64 payload into your own wallet and sign it there\n`;
+          message += `• Check it only contains *Revoke* instructions before signing\n`;
+          message += `• It expires in about a minute - tap *Re-analyze* for a fresh one\n\n`;
+          message += `_RedAlert never holds your keys. Prefer revoke.cash? The button below still works._\n`;
+        } else if (revokeGuide.totalApprovals > 0) {
           message += `*🆘 IMMEDIATE ACTION REQUIRED*\n\n`;
           message += `**Quick Steps:**\n`;
           revokeGuide.manualSteps.slice(0, 6).forEach(step => {
             message += `${step}\n`;
           });
+        } else if (revokeGuide.permissions.length > 0) {
+          message += `✅ No token approvals to revoke, but review the permissions above.\n`;
         } else {
           message += `*✅ Good news!* No dangerous approvals found.\n`;
         }
@@ -1512,16 +3132,21 @@ Add a wallet first to use emergency revoke features.`,
         message,
         Markup.inlineKeyboard([
           [
-            Markup.button.callback('🔗 Open Revoke.cash', 'revoke_cash'),
+            Markup.button.url('🔗 Open Revoke.cash', 'https://revoke.cash'),
             Markup.button.callback('📞 Get Help', 'emergency_contact')
           ],
           [
-            Markup.button.callback('🔍 Re-analyze', 'emergency_revoke'),
+            Markup.button.callback('🔍 Re-analyze', `pick_emergency_revoke_${index}`),
             Markup.button.callback('⬅️ Back', 'emergency')
           ]
         ])
       );
 
+      const unsignedTransactions = revokeGuide.automatedOption && revokeGuide.automatedOption.transactions;
+      if (unsignedTransactions) {
+        await this.sendUnsignedTransactions(ctx, walletAddress, unsignedTransactions, 'Revoke transaction');
+      }
+
     } catch (error) {
       await this.sendWithOctopus(
         ctx,
@@ -1538,7 +3163,241 @@ Visit revoke.cash and revoke all approvals immediately.
     }
   }
 
-  async handleEmergencyMove(ctx) {
+  // Each payload in its own message so it can be copied in one tap, with a wallet signing link when available
+  async sendUnsignedTransactions(ctx, walletAddress, transactions, title) {
+    for (const [txIndex, transaction] of transactions.entries()) {
+      const name = `${title} ${txIndex + 1}/${transactions.length}`;
+      const extra = { parse_mode: 'Markdown' };
+
+      if (this.signingLinks.isEnabled()) {
+        const token = this.signingLinks.create(walletAddress, transaction.instructions, {
+          label: 'RedAlert Emergency',
+          message: name
+        });
+        extra.reply_markup = Markup.inlineKeyboard([
+          [Markup.button.url(`✍️ Sign ${name} in wallet`, this.signingLinks.getOpenUrl(token))]
+        ]).reply_markup;
+      }
+
+      await ctx.reply(`🔐 *${name}*\n\n\`\`\`\n${transaction.base64}\n\`\`\``, extra);
+    }
+  }
+
+  async handleEmergencySettings(ctx) {
+    const userId = ctx.from.id.toString();
+    const entry = this.safeHarbor.get(userId);
+
+    let message = `*🛟 Safe Harbor*\n\n`;
+    message += `Register a wallet you control (ideally a fresh one, kept offline) ahead of time. Emergency evacuations then send everything there in a few taps.\n\n`;
+
+    if (entry && entry.address) {
+      message += `✅ **Current**: \`${entry.address}\`\n`;
+      message += `📅 Set ${new Date(entry.confirmedAt).toLocaleString()}\n`;
+    } else {
+      message += `⚪ **Current**: Not set\n`;
+    }
+
+    if (entry && entry.pending) {
+      message += `\n⏳ **Pending change**: ${entry.pending.address ? `\`${entry.pending.address}\`` : 'remove safe harbor'}\n`;
+      message += `Takes effect ${new Date(entry.pending.activatesAt).toLocaleString()}\n`;
+    }
+
+    message += `\n_Changes to an existing safe harbor wait ${Math.round(this.safeHarbor.coolingOffMs / 3600000)}h before they apply, and you're alerted right away._`;
+
+    const buttons = [];
+    if (entry && entry.pending) {
+      buttons.push([Markup.button.callback('🚫 Cancel Pending Change', 'harbor_cancel')]);
+    }
+    buttons.push([Markup.button.callback(entry && entry.address ? '✏️ Change Safe Harbor' : '🛟 Set Safe Harbor', 'harbor_set')]);
+    if (entry && entry.address && !(entry.pending && !entry.pending.address)) {
+      buttons.push([Markup.button.callback('🗑️ Remove Safe Harbor', 'harbor_remove')]);
+    }
+    buttons.push([Markup.button.callback('⬅️ Back to Settings', 'settings')]);
+
+    await this.sendWithOctopus(ctx, message, Markup.inlineKeyboard(buttons));
+  }
+
+  async handleSafeHarborCommand(ctx, argument) {
+    if (!argument) {
+      await this.handleEmergencySettings(ctx);
+    } else if (argument.toLowerCase() === 'remove') {
+      await this.handleSafeHarborRemove(ctx);
+    } else if (argument.toLowerCase() === 'cancel') {
+      await this.handleSafeHarborCancel(ctx);
+    } else {
+      await this.handleSafeHarborAddress(ctx, argument);
+    }
+  }
+
+  async handleSafeHarborPrompt(ctx) {
+    this.pendingInputs.set(ctx.from.id.toString(), { type: 'harbor_address' });
+    await ctx.reply(
+      `*🛟 Set Safe Harbor*\n\nReply with the address of the wallet emergency evacuations should go to. Use a wallet you control that isn't connected to any dapps.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  // Step 1: check the address, then ask the user to retype its ending to confirm it
+  async handleSafeHarborAddress(ctx, text) {
+    const userId = ctx.from.id.toString();
+    const monitored = (userWallets.get(userId) || []).map(wallet => wallet.address);
+
+    let address;
+    try {
+      address = this.safeHarbor.validate(text.trim(), monitored);
+    } catch (error) {
+      await ctx.reply(`❌ ${error.message}`);
+      return;
+    }
+
+    this.pendingInputs.set(userId, { type: 'harbor_confirm', harbor: address });
+    await ctx.reply(
+      `*🔍 Confirm Safe Harbor*\n\n\`${address}\`\n\nCheck this address character by character against your wallet, then reply with its *last ${SAFE_HARBOR_CONFIRM_CHARS} characters* to confirm.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  // Step 2: apply (first address) or schedule (change) once the ending matches
+  async handleSafeHarborConfirm(ctx, address, text) {
+    const userId = ctx.from.id.toString();
+
+    if (text.trim() !== address.slice(-SAFE_HARBOR_CONFIRM_CHARS)) {
+      await ctx.reply('❌ That doesn\'t match the address. Nothing was changed - start again with /safeharbor.');
+      return;
+    }
+
+    const result = this.safeHarbor.request(userId, address);
+    if (result.applied) {
+      console.log(`🛟 Safe harbor set for user ${userId}`);
+      await this.sendWithOctopus(
+        ctx,
+        `*✅ Safe Harbor Set*\n\n\`${address}\`\n\nEmergency evacuations will default to this wallet.`,
+        Markup.inlineKeyboard([[Markup.button.callback('⬅️ Back to Settings', 'settings')]])
+      );
+      return;
+    }
+
+    await this.sendSafeHarborChangeAlert(ctx, `change your safe harbor to\n\`${address}\``, result.activatesAt);
+  }
+
+  async handleSafeHarborRemove(ctx) {
+    const userId = ctx.from.id.toString();
+
+    if (!this.safeHarbor.getAddress(userId)) {
+      await ctx.reply('⚪ You have no safe harbor set.');
+      return;
+    }
+
+    const result = this.safeHarbor.requestRemoval(userId);
+    await this.sendSafeHarborChangeAlert(ctx, 'remove your safe harbor', result.activatesAt);
+  }
+
+  async handleSafeHarborCancel(ctx) {
+    const userId = ctx.from.id.toString();
+
+    if (this.safeHarbor.cancelPending(userId)) {
+      console.log(`🛟 Pending safe harbor change cancelled for user ${userId}`);
+      await ctx.reply('✅ Pending safe harbor change cancelled. Your current safe harbor stays in place.');
+    } else {
+      await ctx.reply('⚪ There is no pending safe harbor change.');
+    }
+  }
+
+  // Any change attempt is announced loudly, in case someone else has access to this chat
+  async sendSafeHarborChangeAlert(ctx, description, activatesAt) {
+    const userId = ctx.from.id.toString();
+    console.log(`🛟 Safe harbor change requested for user ${userId}, applies ${activatesAt.toISOString()}`);
+
+    await this.sendWithOctopus(
+      ctx,
+      `*🚨 SAFE HARBOR CHANGE REQUESTED 🚨*
+
+A request was made to ${description}
+
+⏳ It takes effect ${activatesAt.toLocaleString()}. Until then, evacuations keep using your current safe harbor.
+
+*Wasn't you?* Cancel now and secure your Telegram account (Settings → Devices).`,
+      Markup.inlineKeyboard([
+        [Markup.button.callback('🚫 Cancel Change', 'harbor_cancel')],
+        [Markup.button.callback('🛟 Safe Harbor Settings', 'emergency_settings')]
+      ])
+    );
+  }
+
+  async handleSweepPrompt(ctx, index) {
+    const userId = ctx.from.id.toString();
+    const wallet = (userWallets.get(userId) || [])[index];
+
+    if (!wallet) {
+      await ctx.reply('❌ Wallet not found. Open /status to see your wallets.');
+      return;
+    }
+
+    this.pendingInputs.set(userId, { type: 'sweep', address: wallet.address });
+    await ctx.reply(
+      `*🧹 Evacuate ${this.formatWalletName(wallet)}*\n\nReply with the address of a *safe* wallet you control (ideally brand new). Every token and the remaining SOL will be moved there.\n\n⚠️ Double-check it: transfers can't be undone.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  async handleSweep(ctx, wallet, destination) {
+    await ctx.reply('🧹 Building evacuation transactions...');
+
+    try {
+      const sweep = await this.emergencyActions.generateSweepTransactions(ctx.from.id.toString(), wallet.address, destination);
+
+      if (sweep.transactions.length === 0) {
+        await ctx.reply('✅ Nothing to move: the wallet holds no tokens and not enough SOL to cover fees.');
+        return;
+      }
+
+      const transfers = sweep.transactions.flatMap(transaction => transaction.transfers);
+      let message = `*🧹 Evacuation Ready*\n\n`;
+      message += `🐙 **From**: ${this.formatWalletName(wallet)}\n`;
+      const harbor = this.safeHarbor.getAddress(ctx.from.id.toString());
+      message += `🛟 **To**: \`${destination}\`${destination === harbor ? ' (your safe harbor)' : ''}\n`;
+      if (harbor && destination !== harbor) {
+        message += `⚠️ _This is not your registered safe harbor._\n`;
+      }
+      if (sweep.totalUsd !== null) {
+        message += `💰 **Value**: ≈ ${this.priceOracle.formatUsd(sweep.totalUsd)}\n`;
+      }
+      message += `⛽ **Rent + fees**: ${((sweep.rentLamports + sweep.feeLamports) / 1e9).toFixed(6)} SOL\n\n`;
+
+      message += `*Most valuable first:*\n`;
+      transfers.slice(0, 8).forEach(transfer => {
+        const value = transfer.usdValue !== null ? ` ≈ ${this.priceOracle.formatUsd(transfer.usdValue)}` : '';
+        message += transfer.type === 'SOL'
+          ? `• ${transfer.amount} SOL${value} (last, it pays the fees)\n`
+          : `• ${transfer.amount} of ${transfer.mint.slice(0, 8)}...${value}\n`;
+      });
+      if (transfers.length > 8) {
+        message += `• +${transfers.length - 8} more\n`;
+      }
+      if (sweep.skippedSol) {
+        message += `\n_Not enough SOL left to move after fees._\n`;
+      }
+
+      message += `\n*Sign the ${sweep.transactions.length} transaction${sweep.transactions.length > 1 ? 's' : ''} below in order*`;
+      message += this.signingLinks.isEnabled()
+        ? ` - tap each *Sign* button to open your wallet.`
+        : ` by importing each base64 payload into your own wallet.`;
+      message += `\nThey expire in about a minute; build new ones if signing takes longer.\n\n_RedAlert never holds your keys._`;
+
+      await this.sendWithOctopus(ctx, message, Markup.inlineKeyboard([
+        [Markup.button.callback('🔄 Build Again', `sweep_${(userWallets.get(ctx.from.id.toString()) || []).indexOf(wallet)}`)],
+        [Markup.button.callback('⬅️ Back', 'emergency')]
+      ]));
+
+      await this.sendUnsignedTransactions(ctx, wallet.address, sweep.transactions, 'Evacuation transaction');
+
+    } catch (error) {
+      console.error(`Sweep failed for ${wallet.address}:`, error);
+      await ctx.reply(`❌ Could not build the evacuation: ${error.message}`);
+    }
+  }
+
+  async handleEmergencyMove(ctx, target = null) {
     const userId = ctx.from.id.toString();
     const wallets = userWallets.get(userId) || [];
     
@@ -1556,6 +3415,9 @@ Add a wallet first to use emergency move features.`,
       return;
     }
 
+    const selected = await this.selectWallets(ctx, 'emergency_move', target, '💸 Which wallet\'s assets should I move?');
+    if (!selected) return;
+
     await this.sendWithOctopus(
       ctx,
       `*🔍 Analyzing Assets for Emergency Move...* ⏳
@@ -1568,27 +3430,40 @@ Add a wallet first to use emergency move features.`,
       null
     );
 
+    for (const wallet of selected) {
+      await this.sendMoveGuide(ctx, wallet, wallets.indexOf(wallet));
+    }
+  }
+
+  async sendMoveGuide(ctx, wallet, index) {
     try {
-      const walletAddress = wallets[0].address;
-      const moveGuide = await this.emergencyActions.generateMoveAssetsInstructions(walletAddress);
+      const userId = ctx.from.id.toString();
+      const walletAddress = wallet.address;
+      const harbor = this.safeHarbor.getAddress(userId);
+      const moveGuide = await this.emergencyActions.generateMoveAssetsInstructions(userId, walletAddress, { safeHarbor: harbor });
       
       let message = `*🚨 Emergency Asset Protection*\n\n`;
-      message += `🐙 **Wallet**: \`${walletAddress.slice(0, 8)}...${walletAddress.slice(-8)}\`\n\n`;
+      message += `🐙 **Wallet**: ${this.formatWalletName(wallet)}\n\n`;
       
       if (moveGuide.error) {
         message += `❌ ${moveGuide.error}\n\n`;
         message += `*🔍 Manual check:* Review your wallet and move valuable assets to safety.\n\n`;
       } else {
-        message += `📊 **Found**: ${moveGuide.totalAssets} assets\n\n`;
+        message += `📊 **Found**: ${moveGuide.totalAssets} assets`;
+        if (moveGuide.totalUsd !== null) {
+          message += ` (≈ ${this.priceOracle.formatUsd(moveGuide.totalUsd)})`;
+        }
+        message += `\n\n`;
         
         const highPriority = moveGuide.assets.filter(a => a.priority === 'HIGH');
         if (highPriority.length > 0) {
           message += `*🔴 HIGH PRIORITY ASSETS:*\n`;
           highPriority.slice(0, 5).forEach(asset => {
+            const value = asset.usdValue !== null ? ` ≈ ${this.priceOracle.formatUsd(asset.usdValue)}` : '';
             if (asset.type === 'SOL') {
-              message += `• ${asset.amount} SOL\n`;
+              message += `• ${asset.amount} SOL${value}\n`;
             } else {
-              message += `• ${asset.amount} tokens (${asset.mint.slice(0, 8)}...)\n`;
+              message += `• ${asset.amount} tokens (${asset.mint.slice(0, 8)}...)${value}\n`;
             }
           });
           message += `\n`;
@@ -1606,12 +3481,17 @@ Add a wallet first to use emergency move features.`,
         ctx,
         message,
         Markup.inlineKeyboard([
+          ...(moveGuide.error || moveGuide.totalAssets === 0 ? [] : harbor
+            ? [[Markup.button.callback('🛟 Evacuate to Safe Harbor', `sweep_harbor_${index}`)], [Markup.button.callback('🧹 Evacuate Elsewhere', `sweep_${index}`)]]
+            : [[Markup.button.callback('🧹 Evacuate Everything', `sweep_${index}`)]]),
           [
-            Markup.button.callback('🆕 Create New Wallet', 'new_wallet_guide'),
+            harbor
+              ? Markup.button.callback('🛟 Safe Harbor', 'emergency_settings')
+              : Markup.button.callback('🛟 Set Up Safe Harbor', 'emergency_settings'),
             Markup.button.callback('📞 Get Help', 'emergency_contact')
           ],
           [
-            Markup.button.callback('🔍 Re-analyze', 'emergency_move'),
+            Markup.button.callback('🔍 Re-analyze', `pick_emergency_move_${index}`),
             Markup.button.callback('⬅️ Back', 'emergency')
           ]
         ])
@@ -1704,7 +3584,7 @@ You don't have any wallets registered yet.
         `*Remove Wallet Confirmation* 🗑️
 
 *Wallet to remove:*
-\`${wallet.address.slice(0, 8)}...${wallet.address.slice(-8)}\`
+${this.formatWalletName(wallet)}
 
 *⚠️ This will:*
 • Stop real-time monitoring
@@ -1728,9 +3608,9 @@ You don't have any wallets registered yet.
     
     const walletButtons = [];
     wallets.forEach((wallet, index) => {
-      removeMessage += `${index + 1}. \`${wallet.address.slice(0, 8)}...${wallet.address.slice(-8)}\`\n`;
+      removeMessage += `${index + 1}. ${this.formatWalletName(wallet)}\n`;
       walletButtons.push([
-        Markup.button.callback(`${index + 1}. Remove ${wallet.address.slice(0, 8)}...`, `confirm_remove_${index}`)
+        Markup.button.callback(`${index + 1}. Remove ${wallet.label || `${wallet.address.slice(0, 8)}...`}`, `confirm_remove_${index}`)
       ]);
     });
     
@@ -1767,7 +3647,7 @@ Please choose a number between 1-${wallets.length}
       const walletToRemove = wallets[number - 1];
       
       // Stop monitoring
-      await this.transactionMonitor.stopMonitoring(walletToRemove.address);
+      await this.transactionMonitor.stopMonitoring(walletToRemove.address, userId);
       
       wallets.splice(number - 1, 1);
       userWallets.set(userId, wallets);
@@ -1776,7 +3656,7 @@ Please choose a number between 1-${wallets.length}
         ctx,
         `*🗑️ Wallet Removed Successfully*
 
-*Removed:* \`${walletToRemove.address.slice(0, 8)}...${walletToRemove.address.slice(-8)}\`
+*Removed:* ${this.formatWalletName(walletToRemove)}
 
 *✅ Actions completed:*
 • Monitoring stopped
@@ -1799,6 +3679,114 @@ Please choose a number between 1-${wallets.length}
     }
   }
 
+  async loadPersistedData() {
+    await Promise.all([
+      userWallets.load(),
+      userSettings.load(),
+      groupWallets.load(),
+      threatAlerts.load(),
+      programOverrides.load(),
+      alertFeedback.load(),
+      emergencyHistory.load(),
+      reportState.load(),
+      monitorState.load(),
+      safeHarbors.load()
+    ]);
+  }
+
+  // Resolves which wallets a flow runs on: an index, 'all', or (with several wallets) shows a picker and returns null
+  async selectWallets(ctx, flow, target, title) {
+    const wallets = userWallets.get(ctx.from.id.toString()) || [];
+
+    if (target === 'all') return wallets;
+    if (target !== null && target !== undefined) {
+      if (!wallets[target]) {
+        await ctx.reply('❌ Wallet not found. Open /status to see your wallets.');
+        return null;
+      }
+      return [wallets[target]];
+    }
+    if (wallets.length === 1) return wallets;
+
+    await this.showWalletPicker(ctx, flow, wallets, title);
+    return null;
+  }
+
+  async showWalletPicker(ctx, flow, wallets, title) {
+    let message = `*${title}*\n\n`;
+    wallets.forEach((wallet, index) => {
+      message += `${index + 1}. ${this.formatWalletName(wallet)}${wallet.isActive ? '' : ' ⏸️'}\n`;
+    });
+
+    const buttons = wallets.map((wallet, index) => [
+      Markup.button.callback(`${index + 1}. ${wallet.label || `${wallet.address.slice(0, 8)}...`}`, `pick_${flow}_${index}`)
+    ]);
+    buttons.push([Markup.button.callback(`🐙 All Wallets (${wallets.length})`, `pick_${flow}_all`)]);
+    buttons.push([Markup.button.callback('⬅️ Back', flow === 'analyze' ? 'main_menu' : 'emergency')]);
+
+    await this.sendWithOctopus(ctx, message, Markup.inlineKeyboard(buttons));
+  }
+
+  // ownerId is a user ID or, for group wallets, the group's chat ID
+  findUserWallet(ownerId, walletAddress) {
+    const wallets = userWallets.get(ownerId) || groupWallets.get(ownerId) || [];
+    return wallets.find(w => w.address === walletAddress) || null;
+  }
+
+  // "Label (`abcd...wxyz`)" when the wallet has a label, otherwise the shortened address
+  formatWalletName(wallet) {
+    const address = `\`${wallet.address.slice(0, 8)}...${wallet.address.slice(-8)}\``;
+    return wallet.label ? `${this.escapeMarkdown(wallet.label)} (${address})` : address;
+  }
+
+  // User-supplied text inside Markdown messages
+  escapeMarkdown(text) {
+    return String(text).replace(/([_*`\[])/g, '\\$1');
+  }
+
+  // Persist each wallet's signature cursor so restarts can backfill from it;
+  // store is userWallets for personal wallets, groupWallets for a group's
+  getMonitoringOptions(ownerId, wallet, store = userWallets) {
+    return {
+      lastSignature: wallet.lastSignature || null,
+      onCursorUpdate: (address, signature) => {
+        const wallets = store.get(ownerId) || [];
+        const stored = wallets.find(w => w.address === address);
+        if (stored && stored.lastSignature !== signature) {
+          stored.lastSignature = signature;
+          store.set(ownerId, wallets);
+        }
+      }
+    };
+  }
+
+  async restoreMonitoring() {
+    let restored = 0;
+
+    for (const [userId, wallets] of userWallets) {
+      for (const wallet of wallets) {
+        if (!wallet.isActive) continue;
+
+        const success = await this.transactionMonitor.startMonitoring(
+          wallet.address,
+          userId,
+          (address, threat) => this.handleThreatDetected(address, threat, userId, null),
+          this.getMonitoringOptions(userId, wallet)
+        );
+        if (success) restored++;
+      }
+    }
+
+    for (const [chatId, wallets] of groupWallets) {
+      for (const wallet of wallets) {
+        const success = await this.startGroupMonitoring(chatId, wallet);
+        if (success) restored++;
+      }
+    }
+
+    console.log(`🔄 Restored monitoring for ${restored} wallets`);
+  }
+
   // Add callback handlers for wallet removal confirmations
   setupRemovalCallbacks() {
     // Handle removal confirmations
@@ -1817,6 +3805,15 @@ Please choose a number between 1-${wallets.length}
       // Set up removal callbacks
       this.setupRemovalCallbacks();
       
+      // Reload persisted data and resume monitoring
+      await this.loadPersistedData();
+      await this.restoreMonitoring();
+
+      // Serve signing links from src/server.js when it started us
+      if (typeof global.registerHttpHandler === 'function') {
+        global.registerHttpHandler((req, res) => this.signingLinks.handleRequest(req, res));
+      }
+      
       // Test Solana connection
       try {
         const version = await this.solanaConnection.getVersion();
@@ -1843,6 +3840,8 @@ Please choose a number between 1-${wallets.length}
       if (process.env.NODE_ENV === 'production') {
         const http = require('http');
         const server = http.createServer((req, res) => {
+          if (this.signingLinks.handleRequest(req, res)) return;
+
           if (req.url === '/health' || req.url === '/') {
             res.writeHead(200, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ 
@@ -1901,6 +3900,12 @@ Please choose a number between 1-${wallets.length}
         }, 14 * 60 * 1000); // Ping every 14 minutes
       }
       
+      // Daily/weekly health reports
+      this.reportScheduler.start();
+
+      // Apply (and announce) safe harbor changes whose cooling-off period is over
+      setInterval(() => this.safeHarbor.applyDueChanges(), 10 * 60 * 1000);
+      
       // Start the bot
       await this.bot.launch();
       console.log('🐙 Enhanced RedAlert Bot v2.0 is now online!');
@@ -13,8 +13,15 @@ let botStats = {
   botOnline: false
 };
 
+// Extra routes registered by the bot (e.g. signing links); each returns true when it handled the request
+const httpHandlers = [];
+
 // Create HTTP server
 const server = http.createServer((req, res) => {
+  for (const handler of httpHandlers) {
+    if (handler(req, res)) return;
+  }
+  
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -120,6 +127,11 @@ process.on('unhandledRejection', (reason, promise) => {
   });
 });
 
+// Lets the bot serve its own routes on this server
+global.registerHttpHandler = (handler) => {
+  httpHandlers.push(handler);
+};
+
 // Update bot status function
 global.updateBotStatus = (status, online = false) => {
   botStats.status = status;
@@ -0,0 +1,271 @@
+// src/services/alertPipeline.js
+const crypto = require('crypto');
+const { extractPattern } = require('./ruleEngine');
+
+const DEFAULT_CORRELATION_WINDOW_MS = 2 * 60 * 1000;
+const DEFAULT_COOLDOWN_MS = 15 * 60 * 1000;
+const DEFAULT_MAX_INCIDENT_SPAN_MS = 30 * 60 * 1000; // how long after its first alert an incident still absorbs activity
+const MAX_THREATS = 10;
+const MAX_FEEDBACK_PER_WALLET = 50;
+
+const STATUSES = ['open', 'acknowledged', 'resolved', 'false_positive'];
+const ACTIVE_STATUSES = ['open', 'acknowledged'];
+
+// Folds raw threats into incidents: one incident per wallet and burst of related activity.
+// Incidents are persisted in the given store (the threatAlerts map), keyed by a short ID;
+// false-positive feedback goes to options.feedbackStore, keyed by owner and wallet.
+class AlertPipeline {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.feedbackStore = options.feedbackStore || new Map();
+    this.correlationWindowMs = options.correlationWindowMs || DEFAULT_CORRELATION_WINDOW_MS;
+    this.cooldownMs = options.cooldownMs || DEFAULT_COOLDOWN_MS;
+    this.maxIncidentSpanMs = options.maxIncidentSpanMs || DEFAULT_MAX_INCIDENT_SPAN_MS;
+    this.latestIncidents = new Map(); // `${ownerId}:${walletAddress}` -> incident ID
+  }
+
+  // Returns { action: 'new' | 'update' | 'suppress', incident }
+  ingest(ownerId, walletAddress, threat) {
+    const now = Date.now();
+    const fingerprint = this.fingerprint(threat);
+    const latest = this.getLatestIncident(ownerId, walletAddress);
+
+    // Closed incidents never absorb new activity
+    if (latest && ACTIVE_STATUSES.includes(latest.status || 'open')) {
+      // Windows run from the last time the owner was told something, so suppressed repeats can't keep
+      // an incident open; and however busy the wallet, an incident stops growing after maxIncidentSpanMs
+      const sinceAlert = now - new Date(latest.alertedAt || latest.updatedAt).getTime();
+      const sinceFirstAlert = now - new Date(latest.timestamp).getTime();
+      const sameSignature = threat.signature && latest.signatures.includes(threat.signature);
+
+      // Same transaction, or more activity while the incident is still unfolding
+      if (sameSignature || (sinceAlert <= this.correlationWindowMs && sinceFirstAlert <= this.maxIncidentSpanMs)) {
+        const changed = this.merge(latest, threat, fingerprint);
+        latest.updatedAt = new Date(now);
+        if (changed) {
+          latest.alertedAt = new Date(now);
+        } else {
+          latest.suppressedCount++;
+        }
+        this.save(latest);
+        return { action: changed ? 'update' : 'suppress', incident: latest };
+      }
+
+      // A repeat of a pattern we already alerted on recently. Only signature-less findings (balance
+      // watches, health checks) are dropped: a transaction we haven't seen gets its own incident
+      if (sinceAlert <= this.cooldownMs && latest.fingerprints.includes(fingerprint) && !threat.signature) {
+        latest.suppressedCount++;
+        this.save(latest);
+        return { action: 'suppress', incident: latest };
+      }
+    }
+
+    const incident = this.createIncident(ownerId, walletAddress, threat, fingerprint, now);
+    this.latestIncidents.set(this.key(ownerId, walletAddress), incident.id);
+    this.save(incident);
+    return { action: 'new', incident };
+  }
+
+  createIncident(ownerId, walletAddress, threat, fingerprint, now) {
+    const id = crypto.randomBytes(4).toString('hex');
+    return {
+      id,
+      alertId: id,
+      userId: ownerId,
+      walletAddress,
+      type: threat.type,
+      category: threat.category || null,
+      source: threat.source,
+      sources: [threat.source],
+      riskScore: threat.riskScore,
+      threats: [...threat.threats].slice(0, MAX_THREATS),
+      firedRules: [...(threat.firedRules || [])],
+      fingerprints: [fingerprint],
+      signature: threat.signature || null,
+      signatures: threat.signature ? [threat.signature] : [],
+      delegations: threat.delegations || [],
+      authorityChanges: threat.authorityChanges || [],
+      balanceChanges: threat.balanceChanges || null,
+      programs: threat.programs || [],
+      lateDetection: Boolean(threat.lateDetection),
+      status: 'open',
+      statusHistory: [],
+      eventCount: 1,
+      suppressedCount: 0,
+      timestamp: new Date(now),
+      updatedAt: new Date(now),
+      alertedAt: new Date(now), // last time the owner was notified (new or updated alert)
+      notification: null, // { chatId, messageId, isPhoto } once sent
+      criticalSent: false
+    };
+  }
+
+  // Adds a threat's findings to an incident; returns true if anything new was learned
+  merge(incident, threat, fingerprint) {
+    let changed = false;
+
+    incident.eventCount++;
+
+    if (threat.riskScore > incident.riskScore) {
+      incident.riskScore = threat.riskScore;
+      changed = true;
+    }
+    if (threat.type === 'CRITICAL' && incident.type !== 'CRITICAL') {
+      incident.type = 'CRITICAL';
+      changed = true;
+    }
+    if (threat.category && !incident.category) {
+      incident.category = threat.category;
+      changed = true;
+    }
+
+    if (!incident.sources.includes(threat.source)) incident.sources.push(threat.source);
+    if (!incident.fingerprints.includes(fingerprint)) incident.fingerprints.push(fingerprint);
+
+    threat.threats.forEach(text => {
+      if (!incident.threats.includes(text) && incident.threats.length < MAX_THREATS) {
+        incident.threats.push(text);
+        changed = true;
+      }
+    });
+
+    (threat.firedRules || []).forEach(rule => {
+      if (!incident.firedRules.some(existing => existing.id === rule.id)) {
+        incident.firedRules.push(rule);
+        changed = true;
+      }
+    });
+
+    if (threat.signature && !incident.signatures.includes(threat.signature)) {
+      incident.signatures.push(threat.signature);
+      if (!incident.signature) incident.signature = threat.signature;
+      changed = true;
+    }
+
+    // Transaction details only arrive with the transaction-level alert
+    ['delegations', 'authorityChanges', 'programs'].forEach(field => {
+      if (threat[field] && threat[field].length > 0 && incident[field].length === 0) {
+        incident[field] = threat[field];
+        changed = true;
+      }
+    });
+    if (threat.balanceChanges && !incident.balanceChanges) {
+      incident.balanceChanges = threat.balanceChanges;
+      changed = true;
+    }
+
+    return changed;
+  }
+
+  // Copies AI insights (and any score change they bring) onto the incident
+  attachAnalysis(incident, enhancedThreat) {
+    if (enhancedThreat.aiAnalysis) incident.aiAnalysis = enhancedThreat.aiAnalysis;
+    if (enhancedThreat.walletProfile) incident.walletProfile = enhancedThreat.walletProfile;
+    if (enhancedThreat.riskScore > incident.riskScore) incident.riskScore = enhancedThreat.riskScore;
+    this.save(incident);
+    return incident;
+  }
+
+  setNotification(incident, notification) {
+    incident.notification = notification;
+    this.save(incident);
+  }
+
+  markCriticalSent(incident) {
+    incident.criticalSent = true;
+    this.save(incident);
+  }
+
+  // Moves an incident through open -> acknowledged -> resolved / false_positive (or back to open)
+  setStatus(incidentId, status, changedBy) {
+    if (!STATUSES.includes(status)) {
+      throw new Error(`Unknown incident status "${status}". Use one of: ${STATUSES.join(', ')}`);
+    }
+
+    const incident = this.store.get(incidentId);
+    if (!incident) return null;
+
+    const previous = incident.status || 'open';
+    incident.status = status;
+    incident.statusHistory = [...(incident.statusHistory || []), { from: previous, to: status, by: changedBy, at: new Date() }];
+
+    if (status === 'false_positive') {
+      this.recordFalsePositive(incident);
+    } else if (previous === 'false_positive') {
+      this.removeFalsePositive(incident);
+    }
+
+    this.save(incident);
+    return incident;
+  }
+
+  recordFalsePositive(incident) {
+    const key = this.key(incident.userId, incident.walletAddress);
+    const pattern = extractPattern(incident);
+    const entries = (this.feedbackStore.get(key) || []).filter(entry => entry.incidentId !== incident.id);
+
+    entries.push({
+      incidentId: incident.id,
+      ruleIds: (incident.firedRules || []).map(rule => rule.id),
+      programs: pattern.programs,
+      counterparties: pattern.counterparties,
+      markedAt: new Date()
+    });
+
+    this.feedbackStore.set(key, entries.slice(-MAX_FEEDBACK_PER_WALLET));
+  }
+
+  removeFalsePositive(incident) {
+    const key = this.key(incident.userId, incident.walletAddress);
+    const entries = (this.feedbackStore.get(key) || []).filter(entry => entry.incidentId !== incident.id);
+
+    if (entries.length > 0) {
+      this.feedbackStore.set(key, entries);
+    } else {
+      this.feedbackStore.delete(key);
+    }
+  }
+
+  // Past false positives for a wallet, handed to RuleEngine.evaluate as options.feedback
+  getFeedback(ownerId, walletAddress) {
+    return this.feedbackStore.get(this.key(ownerId, walletAddress)) || [];
+  }
+
+  getIncident(incidentId) {
+    return this.store.get(incidentId) || null;
+  }
+
+  getLatestIncident(ownerId, walletAddress) {
+    const key = this.key(ownerId, walletAddress);
+
+    if (!this.latestIncidents.has(key)) {
+      // After a restart, find the newest stored incident for this wallet
+      let newest = null;
+      for (const incident of this.store.values()) {
+        if (incident.userId !== ownerId || incident.walletAddress !== walletAddress || !incident.id) continue;
+        if (!newest || new Date(incident.updatedAt) > new Date(newest.updatedAt)) newest = incident;
+      }
+      if (!newest) return null;
+      this.latestIncidents.set(key, newest.id);
+    }
+
+    return this.store.get(this.latestIncidents.get(key)) || null;
+  }
+
+  // Which rules fired (or which detector spoke) identifies a repeat of the same pattern
+  fingerprint(threat) {
+    const ruleIds = (threat.firedRules || []).map(rule => rule.id).sort();
+    return ruleIds.length > 0 ? ruleIds.join(',') : threat.source;
+  }
+
+  key(ownerId, walletAddress) {
+    return `${ownerId}:${walletAddress}`;
+  }
+
+  save(incident) {
+    this.store.set(incident.id, incident);
+  }
+}
+
+module.exports = AlertPipeline;
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,257 @@
+// src/services/approvalAudit.js
+const { PublicKey, SystemProgram } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } = require('@solana/spl-token');
+
+const TOKEN_METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
+const TOKEN_PROGRAMS = [
+  { programId: TOKEN_PROGRAM_ID, name: 'spl-token' },
+  { programId: TOKEN_2022_PROGRAM_ID, name: 'token-2022' }
+];
+const MAX_ACCOUNTS_PER_REQUEST = 100;
+const U64_MAX = '18446744073709551615';
+
+// Metaplex TokenRecord layout: key, bump, state, then borsh Options
+const TOKEN_RECORD_KEY = 11; // Key::TokenRecord
+const TOKEN_RECORD_STATES = ['Unlocked', 'Locked', 'Listed'];
+const TOKEN_DELEGATE_ROLES = ['Sale', 'Transfer', 'Utility', 'Staking', 'Standard', 'LockedTransfer', 'Migration'];
+
+const RISK_ORDER = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+
+// Every outstanding permission someone else holds over a wallet's tokens:
+// - TOKEN_DELEGATE: an SPL or Token-2022 approval (revocable with a plain Revoke)
+// - PNFT_DELEGATE: a Metaplex programmable NFT delegate, kept in the token record (revoked through Metaplex)
+// - CLOSE_AUTHORITY: someone else may close the token account and take its rent
+// - PERMANENT_DELEGATE: a Token-2022 mint whose delegate can move anyone's balance (can't be revoked)
+class ApprovalAudit {
+  constructor(options = {}) {
+    this.connection = options.connection;
+    this.programRegistry = options.programRegistry || null;
+  }
+
+  // Returns { walletAddress, timestamp, permissions, tokenAccounts }, permissions sorted riskiest first
+  async audit(walletAddress) {
+    const owner = new PublicKey(walletAddress);
+    const tokenAccounts = await this.getTokenAccounts(owner);
+    const permissions = [];
+
+    const tokenRecords = await this.getTokenRecords(tokenAccounts.filter(account => account.isNft));
+    const permanentDelegates = await this.getPermanentDelegates(tokenAccounts.filter(account => account.program === 'token-2022'));
+
+    for (const account of tokenAccounts) {
+      const record = tokenRecords.get(account.address);
+
+      // A pNFT mirrors its delegate onto the frozen token account; report it once, as the Metaplex delegate
+      if (record && record.delegate) {
+        permissions.push({
+          kind: 'PNFT_DELEGATE',
+          program: 'metaplex',
+          tokenAccount: account.address,
+          mint: account.mint,
+          delegate: record.delegate,
+          role: record.role,
+          locked: record.state !== 'Unlocked',
+          uiAmount: account.uiAmount,
+          unlimited: true,
+          isNft: true,
+          revocable: false
+        });
+      } else if (account.delegate && BigInt(account.delegatedAmount.amount) > 0n) {
+        permissions.push({
+          kind: 'TOKEN_DELEGATE',
+          program: account.program,
+          programId: account.programId,
+          tokenAccount: account.address,
+          mint: account.mint,
+          delegate: account.delegate,
+          amount: account.delegatedAmount.amount,
+          uiAmount: account.delegatedAmount.uiAmountString,
+          unlimited: account.delegatedAmount.amount === U64_MAX,
+          isNft: account.isNft,
+          // A plain Revoke fails on frozen accounts (pNFTs, frozen by their mint's freeze authority)
+          revocable: !record && account.state !== 'frozen'
+        });
+      }
+
+      if (account.closeAuthority && account.closeAuthority !== walletAddress) {
+        permissions.push({
+          kind: 'CLOSE_AUTHORITY',
+          program: account.program,
+          tokenAccount: account.address,
+          mint: account.mint,
+          delegate: account.closeAuthority,
+          isNft: account.isNft,
+          revocable: false
+        });
+      }
+
+      const permanentDelegate = permanentDelegates.get(account.mint);
+      if (permanentDelegate && BigInt(account.amount) > 0n) {
+        permissions.push({
+          kind: 'PERMANENT_DELEGATE',
+          program: account.program,
+          tokenAccount: account.address,
+          mint: account.mint,
+          delegate: permanentDelegate,
+          uiAmount: account.uiAmount,
+          unlimited: true,
+          isNft: account.isNft,
+          revocable: false
+        });
+      }
+    }
+
+    await this.classify(permissions);
+    permissions.sort((a, b) => RISK_ORDER.indexOf(a.risk) - RISK_ORDER.indexOf(b.risk));
+
+    return { walletAddress, timestamp: new Date(), permissions, tokenAccounts };
+  }
+
+  // Parsed token accounts under both token programs
+  async getTokenAccounts(owner) {
+    const accounts = [];
+
+    for (const { programId, name } of TOKEN_PROGRAMS) {
+      const response = await this.connection.getParsedTokenAccountsByOwner(owner, { programId });
+
+      for (const tokenAccount of response.value) {
+        const info = tokenAccount.account.data.parsed.info;
+        accounts.push({
+          address: tokenAccount.pubkey.toString(),
+          program: name,
+          programId: programId.toString(),
+          mint: info.mint,
+          amount: info.tokenAmount.amount,
+          decimals: info.tokenAmount.decimals,
+          uiAmount: info.tokenAmount.uiAmountString,
+          state: info.state,
+          delegate: info.delegate || null,
+          delegatedAmount: info.delegatedAmount || null,
+          closeAuthority: info.closeAuthority || null,
+          isNft: info.tokenAmount.decimals === 0 && info.tokenAmount.amount === '1'
+        });
+      }
+    }
+
+    return accounts;
+  }
+
+  // tokenAccount -> { state, delegate, role } for NFTs that have a Metaplex token record (pNFTs)
+  async getTokenRecords(nftAccounts) {
+    const records = new Map();
+    if (nftAccounts.length === 0) return records;
+
+    const addresses = nftAccounts.map(account => PublicKey.findProgramAddressSync(
+      [
+        Buffer.from('metadata'),
+        TOKEN_METADATA_PROGRAM_ID.toBuffer(),
+        new PublicKey(account.mint).toBuffer(),
+        Buffer.from('token_record'),
+        new PublicKey(account.address).toBuffer()
+      ],
+      TOKEN_METADATA_PROGRAM_ID
+    )[0]);
+
+    const infos = await this.getMultipleAccounts(addresses);
+    infos.forEach((info, index) => {
+      if (!info || !info.owner.equals(TOKEN_METADATA_PROGRAM_ID)) return;
+
+      const record = this.decodeTokenRecord(info.data);
+      if (record) records.set(nftAccounts[index].address, record);
+    });
+
+    return records;
+  }
+
+  decodeTokenRecord(data) {
+    if (data.length < 3 || data[0] !== TOKEN_RECORD_KEY) return null;
+
+    let offset = 3;
+    const readOption = size => {
+      const present = data[offset] === 1;
+      offset += 1;
+      const value = present ? data.subarray(offset, offset + size) : null;
+      if (present) offset += size;
+      return value;
+    };
+
+    readOption(8); // rule set revision
+    const delegate = readOption(32);
+    const role = readOption(1);
+
+    return {
+      state: TOKEN_RECORD_STATES[data[2]] || 'Unknown',
+      delegate: delegate ? new PublicKey(delegate).toString() : null,
+      role: role ? TOKEN_DELEGATE_ROLES[role[0]] || 'Unknown' : null
+    };
+  }
+
+  // mint -> permanent delegate, for Token-2022 mints with the PermanentDelegate extension
+  async getPermanentDelegates(token2022Accounts) {
+    const delegates = new Map();
+    const mints = Array.from(new Set(token2022Accounts.map(account => account.mint)));
+
+    for (let i = 0; i < mints.length; i += MAX_ACCOUNTS_PER_REQUEST) {
+      const chunk = mints.slice(i, i + MAX_ACCOUNTS_PER_REQUEST);
+      const { value } = await this.connection.getMultipleParsedAccounts(chunk.map(mint => new PublicKey(mint)));
+
+      value.forEach((account, index) => {
+        const extensions = account && account.data.parsed && account.data.parsed.info.extensions;
+        const extension = (extensions || []).find(entry => entry.extension === 'permanentDelegate');
+        if (extension && extension.state.delegate) {
+          delegates.set(chunk[index], extension.state.delegate);
+        }
+      });
+    }
+
+    return delegates;
+  }
+
+  // Labels each delegate from the program registry, either directly or through the program that owns it,
+  // and sets a risk level: CRITICAL for flagged programs, HIGH for unknown delegates, MEDIUM for known
+  // ones holding unlimited or irrevocable power, LOW otherwise
+  async classify(permissions) {
+    const delegates = Array.from(new Set(permissions.map(permission => permission.delegate)));
+    const infos = await this.getMultipleAccounts(delegates.map(delegate => new PublicKey(delegate)));
+    const owners = new Map(delegates.map((delegate, index) => [delegate, infos[index] ? infos[index].owner : null]));
+
+    for (const permission of permissions) {
+      permission.classification = this.classifyDelegate(permission.delegate, owners.get(permission.delegate));
+
+      const { known, flagged } = permission.classification;
+      permission.risk = flagged ? 'CRITICAL'
+        : !known ? 'HIGH'
+          : permission.unlimited || !permission.revocable ? 'MEDIUM'
+            : 'LOW';
+    }
+  }
+
+  classifyDelegate(delegate, ownerProgram) {
+    const direct = this.lookup(delegate);
+    if (direct.known) return { ...direct, via: null };
+
+    // Program-owned delegates (PDAs, escrow accounts) are as trustworthy as the program behind them
+    if (ownerProgram && !ownerProgram.equals(SystemProgram.programId)) {
+      const owner = this.lookup(ownerProgram.toString());
+      return { ...owner, via: owner.programId };
+    }
+
+    return { ...direct, via: null };
+  }
+
+  lookup(address) {
+    return this.programRegistry
+      ? this.programRegistry.lookup(address)
+      : { programId: address, name: null, category: 'unknown', known: false, flagged: false };
+  }
+
+  async getMultipleAccounts(publicKeys) {
+    const accounts = [];
+    for (let i = 0; i < publicKeys.length; i += MAX_ACCOUNTS_PER_REQUEST) {
+      accounts.push(...await this.connection.getMultipleAccountsInfo(publicKeys.slice(i, i + MAX_ACCOUNTS_PER_REQUEST)));
+    }
+    return accounts;
+  }
+}
+
+module.exports = ApprovalAudit;
+module.exports.TOKEN_METADATA_PROGRAM_ID = TOKEN_METADATA_PROGRAM_ID;
@@ -0,0 +1,207 @@
+// src/services/balanceChanges.js
+
+const SOL_DECIMALS = 9;
+
+// Works out what left a monitored wallet in a transaction and where it went
+class BalanceChangeAnalyzer {
+  analyze(walletAddress, transaction, accountKeys) {
+    const meta = transaction?.meta;
+    if (!meta) return null;
+
+    const preTokenBalances = meta.preTokenBalances || [];
+    const postTokenBalances = meta.postTokenBalances || [];
+
+    // Token accounts owned by the wallet count as the wallet's own funds
+    const ownAccounts = new Set([walletAddress]);
+    [...preTokenBalances, ...postTokenBalances]
+      .filter(balance => balance.owner === walletAddress)
+      .forEach(balance => ownAccounts.add(accountKeys[balance.accountIndex]));
+
+    const sol = this.analyzeSol(walletAddress, meta, accountKeys, ownAccounts);
+    const tokens = this.analyzeTokens(walletAddress, preTokenBalances, postTokenBalances, accountKeys);
+
+    const outflows = [];
+    if (BigInt(sol.netOutflow) > 0n) {
+      outflows.push({
+        asset: 'SOL',
+        mint: null,
+        decimals: SOL_DECIMALS,
+        amount: sol.netOutflow,
+        uiAmount: this.toUiAmount(sol.netOutflow, SOL_DECIMALS),
+        destinations: sol.destinations
+      });
+    }
+
+    tokens
+      .filter(token => BigInt(token.delta) < 0n)
+      .forEach(token => {
+        const amount = (-BigInt(token.delta)).toString();
+        outflows.push({
+          asset: token.mint,
+          mint: token.mint,
+          decimals: token.decimals,
+          amount,
+          uiAmount: this.toUiAmount(amount, token.decimals),
+          destinations: token.destinations
+        });
+      });
+
+    return {
+      walletAddress,
+      sol: {
+        pre: sol.pre,
+        post: sol.post,
+        delta: sol.delta,
+        fee: sol.fee,
+        feePaidByWallet: sol.feePaidByWallet,
+        netOutflow: sol.netOutflow,
+        uiNetOutflow: this.toUiAmount(sol.netOutflow, SOL_DECIMALS)
+      },
+      tokens: tokens.map(({ destinations, ...token }) => token),
+      outflows,
+      hasOutflow: outflows.length > 0
+    };
+  }
+
+  analyzeSol(walletAddress, meta, accountKeys, ownAccounts) {
+    const index = accountKeys.indexOf(walletAddress);
+    const preBalances = meta.preBalances || [];
+    const postBalances = meta.postBalances || [];
+
+    const pre = index >= 0 ? BigInt(preBalances[index] || 0) : 0n;
+    const post = index >= 0 ? BigInt(postBalances[index] || 0) : 0n;
+    const delta = post - pre;
+
+    // The fee payer is always the first account
+    const feePaidByWallet = index === 0;
+    const fee = feePaidByWallet ? BigInt(meta.fee || 0) : 0n;
+
+    // Outflow excluding the network fee; negative deltas only
+    const netOutflow = delta + fee < 0n ? -(delta + fee) : 0n;
+
+    // Accounts outside the wallet that gained SOL in this transaction
+    const destinations = [];
+    if (netOutflow > 0n) {
+      postBalances.forEach((postBalance, i) => {
+        const address = accountKeys[i];
+        const gain = BigInt(postBalance) - BigInt(preBalances[i] || 0);
+        if (gain > 0n && !ownAccounts.has(address)) {
+          destinations.push({ address, amount: gain.toString(), uiAmount: this.toUiAmount(gain, SOL_DECIMALS) });
+        }
+      });
+    }
+
+    return {
+      pre: pre.toString(),
+      post: post.toString(),
+      delta: delta.toString(),
+      fee: fee.toString(),
+      feePaidByWallet,
+      netOutflow: netOutflow.toString(),
+      destinations: this.sortByAmount(destinations)
+    };
+  }
+
+  analyzeTokens(walletAddress, preTokenBalances, postTokenBalances, accountKeys) {
+    const byMint = new Map(); // mint -> { decimals, pre, post, accounts: Map(account -> { owner, pre, post }) }
+
+    const track = (balance, field) => {
+      const mint = balance.mint;
+      if (!byMint.has(mint)) {
+        byMint.set(mint, { decimals: balance.uiTokenAmount.decimals, pre: 0n, post: 0n, accounts: new Map() });
+      }
+
+      const entry = byMint.get(mint);
+      const address = accountKeys[balance.accountIndex];
+      const account = entry.accounts.get(address) || { owner: balance.owner || null, pre: 0n, post: 0n };
+      const amount = BigInt(balance.uiTokenAmount.amount);
+
+      account[field] += amount;
+      entry.accounts.set(address, account);
+
+      if (balance.owner === walletAddress) {
+        entry[field] += amount;
+      }
+    };
+
+    preTokenBalances.forEach(balance => track(balance, 'pre'));
+    postTokenBalances.forEach(balance => track(balance, 'post'));
+
+    const tokens = [];
+    for (const [mint, entry] of byMint) {
+      const delta = entry.post - entry.pre;
+      if (delta === 0n) continue;
+
+      // Only the wallet's own accounts feed the delta; receivers are everyone else
+      const destinations = [];
+      if (delta < 0n) {
+        for (const [address, account] of entry.accounts) {
+          const gain = account.post - account.pre;
+          if (gain > 0n && account.owner !== walletAddress) {
+            destinations.push({
+              address: account.owner || address,
+              tokenAccount: address,
+              amount: gain.toString(),
+              uiAmount: this.toUiAmount(gain, entry.decimals)
+            });
+          }
+        }
+      }
+
+      tokens.push({
+        mint,
+        decimals: entry.decimals,
+        pre: entry.pre.toString(),
+        post: entry.post.toString(),
+        delta: delta.toString(),
+        uiDelta: (delta < 0n ? '-' : '+') + this.toUiAmount(delta < 0n ? -delta : delta, entry.decimals),
+        destinations: this.sortByAmount(destinations)
+      });
+    }
+
+    return tokens;
+  }
+
+  // Human-readable "what left and where it went" lines for alerts
+  formatSummary(balanceChanges, maxDestinations = 2) {
+    if (!balanceChanges || !balanceChanges.hasOutflow) return [];
+
+    const short = address => `${address.slice(0, 4)}...${address.slice(-4)}`;
+    const lines = [];
+
+    balanceChanges.outflows.forEach(outflow => {
+      const asset = outflow.asset === 'SOL' ? 'SOL' : `of ${short(outflow.mint)}`;
+      const value = typeof outflow.usdValue === 'number' ? ` (≈ $${outflow.usdValue.toFixed(2)})` : '';
+      lines.push(`• -${outflow.uiAmount} ${asset}${value}`);
+
+      outflow.destinations.slice(0, maxDestinations).forEach(destination => {
+        lines.push(`   → \`${short(destination.address)}\` (${destination.uiAmount})`);
+      });
+      if (outflow.destinations.length > maxDestinations) {
+        lines.push(`   → +${outflow.destinations.length - maxDestinations} more`);
+      }
+    });
+
+    if (typeof balanceChanges.totalUsd === 'number') {
+      lines.push(`Total: ≈ $${balanceChanges.totalUsd.toFixed(2)}`);
+    }
+
+    return lines;
+  }
+
+  toUiAmount(amount, decimals) {
+    const raw = BigInt(amount);
+    if (decimals === null || decimals === undefined) return raw.toString();
+
+    const divisor = 10n ** BigInt(decimals);
+    const whole = raw / divisor;
+    const fraction = (raw % divisor).toString().padStart(decimals, '0').replace(/0+$/, '');
+    return fraction ? `${whole}.${fraction}` : whole.toString();
+  }
+
+  sortByAmount(entries) {
+    return entries.sort((a, b) => (BigInt(b.amount) > BigInt(a.amount) ? 1 : BigInt(b.amount) < BigInt(a.amount) ? -1 : 0));
+  }
+}
+
+module.exports = BalanceChangeAnalyzer;
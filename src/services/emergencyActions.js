@@ -1,16 +1,50 @@
 // src/services/emergencyActions.js
-const { Connection, PublicKey, Transaction } = require('@solana/web3.js');
-const { TOKEN_PROGRAM_ID, getAssociatedTokenAddress } = require('@solana/spl-token');
+const { Connection, PublicKey, Transaction, SystemProgram, ComputeBudgetProgram, PACKET_DATA_SIZE } = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createRevokeInstruction,
+  createTransferCheckedInstruction,
+  unpackMint,
+  getExtensionTypes,
+  getAccountTypeOfMintType,
+  getAccountLen,
+  ExtensionType,
+  ACCOUNT_SIZE
+} = require('@solana/spl-token');
+const { SOL_MINT } = require('./priceOracle');
+const ApprovalAudit = require('./approvalAudit');
+
+const HIGH_PRIORITY_USD = 100; // Assets worth more than this are moved first
+const MAX_HISTORY_PER_WALLET = 100;
+
+// Unsigned transaction tuning
+const TOKEN_PROGRAMS = [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID];
+const BASE_COMPUTE_UNITS = 1000;
+const COMPUTE_UNITS_PER_REVOKE = 6000; // Token-2022 extensions cost more than a plain SPL revoke
+const COMPUTE_UNITS_PER_TRANSFER = 10000;
+const COMPUTE_UNITS_PER_ATA = 30000;
+const COMPUTE_UNITS_SOL_TRANSFER = 500;
+const BASE_FEE_LAMPORTS = 5000; // per signature
+const DEFAULT_PRIORITY_FEE = 50000; // micro-lamports per compute unit
+const MAX_PRIORITY_FEE = 2000000;
 
 class EmergencyActions {
-  constructor(rpcUrl) {
+  constructor(rpcUrl, options = {}) {
     this.connection = new Connection(rpcUrl, 'confirmed');
+    this.priceOracle = options.priceOracle || null;
+    this.approvalAudit = new ApprovalAudit({ connection: this.connection, programRegistry: options.programRegistry });
+    // Fixed priority fee in micro-lamports per CU; otherwise estimated from recent fees
+    this.priorityFee = options.priorityFee || null;
     this.emergencyContacts = new Map(); // userId -> contact info
-    this.emergencyHistory = new Map(); // walletAddress -> actions taken
+    // `${ownerId}:${walletAddress}` -> actions taken, oldest first (pass a PersistentMap to keep them across restarts)
+    this.emergencyHistory = options.historyStore || new Map();
   }
 
   // Emergency action: Analyze wallet for immediate threats
-  async performEmergencyAnalysis(walletAddress) {
+  async performEmergencyAnalysis(ownerId, walletAddress) {
     try {
       const publicKey = new PublicKey(walletAddress);
       const analysis = {
@@ -62,34 +96,33 @@ class EmergencyActions {
         analysis.recommendations.push('Review failed transactions for attack attempts');
       }
 
-      // 4. Analyze token accounts
-      const tokenAccounts = await this.connection.getParsedTokenAccountsByOwner(publicKey, {
-        programId: TOKEN_PROGRAM_ID
-      });
+      // 4. Audit every outstanding permission over the wallet's tokens
+      const audit = await this.approvalAudit.audit(walletAddress);
 
-      for (const tokenAccount of tokenAccounts.value) {
-        const tokenInfo = tokenAccount.account.data.parsed.info;
-        
-        // Check for unusual token approvals
-        if (tokenInfo.delegatedAmount && parseFloat(tokenInfo.delegatedAmount) > 0) {
-          analysis.findings.push({
-            severity: 'CRITICAL',
-            issue: 'Active token delegation found',
-            description: `Token ${tokenInfo.mint} has ${tokenInfo.delegatedAmount} tokens approved to ${tokenInfo.delegate}`,
-            mint: tokenInfo.mint,
-            delegate: tokenInfo.delegate,
-            amount: tokenInfo.delegatedAmount
-          });
-          analysis.recommendations.push(`URGENT: Revoke approval for token ${tokenInfo.mint.slice(0, 8)}...`);
-        }
+      for (const permission of audit.permissions) {
+        analysis.findings.push({
+          severity: permission.risk === 'CRITICAL' || permission.risk === 'HIGH' ? 'CRITICAL'
+            : permission.risk === 'MEDIUM' ? 'HIGH' : 'WARNING',
+          issue: this.describePermissionKind(permission),
+          description: this.describePermission(permission),
+          kind: permission.kind,
+          mint: permission.mint,
+          delegate: permission.delegate,
+          amount: permission.uiAmount || null
+        });
+        analysis.recommendations.push(permission.revocable
+          ? `URGENT: Revoke approval for token ${permission.mint.slice(0, 8)}...`
+          : `Review ${this.describePermissionKind(permission).toLowerCase()} on ${permission.mint.slice(0, 8)}...`);
+      }
 
-        // Check for zero balance tokens (potential drains)
-        if (parseFloat(tokenInfo.tokenAmount.amount) === 0 && tokenInfo.tokenAmount.decimals > 0) {
+      // Check for zero balance tokens (potential drains)
+      for (const tokenAccount of audit.tokenAccounts) {
+        if (tokenAccount.amount === '0' && tokenAccount.decimals > 0) {
           analysis.findings.push({
             severity: 'WARNING',
             issue: 'Empty token account',
-            description: `Token account for ${tokenInfo.mint} is empty`,
-            mint: tokenInfo.mint
+            description: `Token account for ${tokenAccount.mint} is empty`,
+            mint: tokenAccount.mint
           });
         }
       }
@@ -99,13 +132,27 @@ class EmergencyActions {
       analysis.status = 'COMPLETE';
 
       // Store analysis in history
-      this.emergencyHistory.set(walletAddress, analysis);
+      this.recordHistory(ownerId, walletAddress, {
+        type: 'analysis',
+        timestamp: analysis.timestamp,
+        status: analysis.status,
+        findings: analysis.findings,
+        recommendations: analysis.recommendations
+      });
 
       console.log(`✅ Emergency analysis complete for ${walletAddress}`);
       return analysis;
 
     } catch (error) {
       console.error(`Emergency analysis failed for ${walletAddress}:`, error);
+      this.recordHistory(ownerId, walletAddress, {
+        type: 'analysis',
+        timestamp: new Date(),
+        status: 'ERROR',
+        error: error.message,
+        findings: [],
+        recommendations: []
+      });
       return {
         timestamp: new Date(),
         walletAddress,
@@ -172,30 +219,23 @@ class EmergencyActions {
     return actions;
   }
 
-  async generateRevokeInstructions(walletAddress) {
+  async generateRevokeInstructions(ownerId, walletAddress) {
     try {
-      const publicKey = new PublicKey(walletAddress);
-      const instructions = [];
-
-      // Get all token accounts with approvals
-      const tokenAccounts = await this.connection.getParsedTokenAccountsByOwner(publicKey, {
-        programId: TOKEN_PROGRAM_ID
-      });
-
-      for (const tokenAccount of tokenAccounts.value) {
-        const tokenInfo = tokenAccount.account.data.parsed.info;
-        
-        if (tokenInfo.delegatedAmount && parseFloat(tokenInfo.delegatedAmount) > 0) {
-          instructions.push({
-            type: 'REVOKE_APPROVAL',
-            tokenMint: tokenInfo.mint,
-            tokenAccount: tokenAccount.pubkey.toString(),
-            delegate: tokenInfo.delegate,
-            amount: tokenInfo.delegatedAmount,
-            instructions: `Revoke approval for ${tokenInfo.mint.slice(0, 8)}... (${tokenInfo.delegatedAmount} tokens)`
-          });
-        }
-      }
+      const audit = await this.approvalAudit.audit(walletAddress);
+
+      // Plain SPL / Token-2022 approvals can be revoked in one transaction; the rest need their own steps
+      const instructions = audit.permissions
+        .filter(permission => permission.revocable)
+        .map(permission => ({
+          type: 'REVOKE_APPROVAL',
+          tokenMint: permission.mint,
+          tokenAccount: permission.tokenAccount,
+          programId: permission.programId,
+          delegate: permission.delegate,
+          amount: permission.uiAmount,
+          risk: permission.risk,
+          instructions: `Revoke approval for ${permission.mint.slice(0, 8)}... (${permission.uiAmount} tokens)`
+        }));
 
       // Generate step-by-step revoke guide
       const guide = {
@@ -203,10 +243,21 @@ class EmergencyActions {
         timestamp: new Date(),
         totalApprovals: instructions.length,
         instructions: instructions,
+        permissions: audit.permissions,
         manualSteps: this.generateManualRevokeSteps(instructions),
-        automatedOption: instructions.length > 0 ? this.generateRevokeTransaction(walletAddress, instructions) : null
+        automatedOption: instructions.length > 0 ? await this.generateRevokeTransaction(walletAddress, instructions) : null
       };
 
+      this.recordHistory(ownerId, walletAddress, {
+        type: 'revoke_guide',
+        timestamp: guide.timestamp,
+        status: 'COMPLETE',
+        approvals: instructions.map(inst => ({ mint: inst.tokenMint, delegate: inst.delegate, amount: inst.amount })),
+        otherPermissions: audit.permissions
+          .filter(permission => !permission.revocable)
+          .map(permission => ({ kind: permission.kind, mint: permission.mint, delegate: permission.delegate }))
+      });
+
       return guide;
 
     } catch (error) {
@@ -218,6 +269,28 @@ class EmergencyActions {
     }
   }
 
+  describePermissionKind(permission) {
+    switch (permission.kind) {
+      case 'PNFT_DELEGATE': return permission.role ? `Programmable NFT ${permission.role} delegate` : 'Programmable NFT delegate';
+      case 'CLOSE_AUTHORITY': return 'Foreign close authority';
+      case 'PERMANENT_DELEGATE': return 'Token-2022 permanent delegate';
+      default: return permission.isNft ? 'Active NFT delegation found' : 'Active token delegation found';
+    }
+  }
+
+  // One line per permission: who holds it (as the program registry knows them) and over what
+  describePermission(permission) {
+    const { name, category, known, flagged, via } = permission.classification;
+    const delegate = `${permission.delegate.slice(0, 8)}...`;
+    const holder = !known ? `Unknown address ${delegate}`
+      : `${flagged ? '⚠️ ' : ''}${name} (${category}) ${via ? 'account' : 'program'} ${delegate}`;
+    const power = permission.kind === 'CLOSE_AUTHORITY' ? 'can close the account holding'
+      : permission.unlimited ? 'has unlimited control over'
+        : `has ${permission.uiAmount} approved of`;
+
+    return `${holder} ${power} ${permission.mint.slice(0, 8)}... (${permission.program})${permission.locked ? ', NFT locked' : ''}`;
+  }
+
   generateManualRevokeSteps(instructions) {
     const steps = [
       '🔗 Go to revoke.cash or similar revoke tool',
@@ -236,22 +309,268 @@ class EmergencyActions {
     return steps;
   }
 
+  // Builds unsigned transactions revoking every delegation, for the user to sign in their own wallet.
+  // The wallet pays the fees; accounts are split over several transactions when they don't fit in one.
   async generateRevokeTransaction(walletAddress, instructions) {
-    // This would generate actual revoke transactions
-    // For MVP, we'll return instructions for manual revocation
-    return {
-      method: 'MANUAL_RECOMMENDED',
-      reason: 'Manual revocation via trusted tools is safer',
-      recommendedTools: [
-        'https://revoke.cash',
-        'https://app.phantom.app/revoke',
-        'Wallet built-in revoke features'
+    try {
+      const owner = new PublicKey(walletAddress);
+      const units = instructions.map(inst => ({
+        instructions: [createRevokeInstruction(new PublicKey(inst.tokenAccount), owner, [], new PublicKey(inst.programId || TOKEN_PROGRAM_ID))],
+        computeUnits: COMPUTE_UNITS_PER_REVOKE,
+        item: { tokenAccount: inst.tokenAccount, mint: inst.tokenMint, delegate: inst.delegate }
+      }));
+
+      const built = await this.buildUnsignedTransactions(owner, units);
+      console.log(`🔐 Built ${built.transactions.length} unsigned revoke transaction(s) for ${walletAddress} (${instructions.length} accounts)`);
+
+      return {
+        method: 'UNSIGNED_TRANSACTION',
+        ...built,
+        transactions: built.transactions.map(({ items, ...transaction }) => ({ ...transaction, revokes: items })),
+        warning: 'Sign only in your own wallet after checking it shows Revoke instructions. RedAlert never asks for your keys.'
+      };
+
+    } catch (error) {
+      console.error(`Failed to build revoke transaction for ${walletAddress}:`, error.message);
+      return {
+        method: 'MANUAL_RECOMMENDED',
+        reason: `Could not build a revoke transaction: ${error.message}`,
+        recommendedTools: [
+          'https://revoke.cash',
+          'https://app.phantom.app/revoke',
+          'Wallet built-in revoke features'
+        ],
+        warning: 'Never sign transactions from untrusted sources'
+      };
+    }
+  }
+
+  // mint -> rent for a new destination ATA. Token-2022 ATAs always carry ImmutableOwner, plus whatever
+  // account extensions the mint requires (transfer fees, transfer hooks...), so they are bigger than 165 bytes
+  async getAtaRents(holdings) {
+    const sizes = new Map(holdings.map(holding => [holding.mint.toString(), ACCOUNT_SIZE]));
+    const token2022Mints = Array.from(new Set(holdings
+      .filter(holding => holding.programId.equals(TOKEN_2022_PROGRAM_ID))
+      .map(holding => holding.mint.toString())));
+
+    const mintInfos = token2022Mints.length > 0
+      ? await this.connection.getMultipleAccountsInfo(token2022Mints.map(mint => new PublicKey(mint)))
+      : [];
+    token2022Mints.forEach((mint, index) => {
+      const extensions = new Set([ExtensionType.ImmutableOwner]);
+      try {
+        const mintState = unpackMint(new PublicKey(mint), mintInfos[index], TOKEN_2022_PROGRAM_ID);
+        getExtensionTypes(mintState.tlvData).map(getAccountTypeOfMintType).forEach(type => extensions.add(type));
+      } catch (error) {
+        console.error(`Could not read mint extensions for ${mint}:`, error.message);
+      }
+      extensions.delete(ExtensionType.Uninitialized); // mint-only extensions add nothing to the account
+      sizes.set(mint, getAccountLen(Array.from(extensions)));
+    });
+
+    const rentBySize = new Map();
+    for (const size of new Set(sizes.values())) {
+      rentBySize.set(size, await this.connection.getMinimumBalanceForRentExemption(size));
+    }
+    return new Map(Array.from(sizes.entries()).map(([mint, size]) => [mint, rentBySize.get(size)]));
+  }
+
+  // Unsigned transactions moving every token balance, then the remaining SOL, to a safe destination.
+  // Tokens go most valuable first; destination ATAs are created idempotently and paid for by the wallet.
+  async generateSweepTransactions(ownerId, walletAddress, destinationAddress) {
+    const owner = new PublicKey(walletAddress);
+    const destination = new PublicKey(destinationAddress); // Throws on invalid addresses
+
+    if (destination.equals(owner)) {
+      throw new Error('The destination must be a different wallet');
+    }
+
+    // Every non-empty, transferable token account under both token programs
+    const holdings = [];
+    for (const programId of TOKEN_PROGRAMS) {
+      const tokenAccounts = await this.connection.getParsedTokenAccountsByOwner(owner, { programId });
+      for (const tokenAccount of tokenAccounts.value) {
+        const tokenInfo = tokenAccount.account.data.parsed.info;
+        if (BigInt(tokenInfo.tokenAmount.amount) === 0n || tokenInfo.state === 'frozen') continue;
+
+        holdings.push({
+          tokenAccount: tokenAccount.pubkey,
+          mint: new PublicKey(tokenInfo.mint),
+          programId,
+          amount: BigInt(tokenInfo.tokenAmount.amount),
+          decimals: tokenInfo.tokenAmount.decimals,
+          uiAmount: tokenInfo.tokenAmount.uiAmountString
+        });
+      }
+    }
+
+    const prices = this.priceOracle
+      ? await this.priceOracle.getPrices([SOL_MINT, ...holdings.map(holding => holding.mint.toString())])
+      : {};
+    holdings.forEach(holding => {
+      const price = prices[holding.mint.toString()];
+      holding.usdValue = price !== undefined ? parseFloat(holding.uiAmount) * price : null;
+    });
+    holdings.sort((a, b) => (b.usdValue ?? -1) - (a.usdValue ?? -1));
+
+    // Destination ATAs that don't exist yet cost rent, paid by the wallet
+    const atas = holdings.map(holding => getAssociatedTokenAddressSync(holding.mint, destination, true, holding.programId));
+    const existing = atas.length > 0 ? await this.connection.getMultipleAccountsInfo(atas) : [];
+    const ataRents = await this.getAtaRents(holdings.filter((holding, index) => !existing[index]));
+
+    const units = holdings.map((holding, index) => ({
+      instructions: [
+        createAssociatedTokenAccountIdempotentInstruction(owner, atas[index], destination, holding.mint, holding.programId),
+        createTransferCheckedInstruction(holding.tokenAccount, holding.mint, atas[index], owner, holding.amount, holding.decimals, [], holding.programId)
       ],
-      warning: 'Never sign transactions from untrusted sources'
+      computeUnits: COMPUTE_UNITS_PER_ATA + COMPUTE_UNITS_PER_TRANSFER,
+      item: {
+        type: 'TOKEN',
+        mint: holding.mint.toString(),
+        amount: holding.uiAmount,
+        usdValue: holding.usdValue,
+        newAccountRent: existing[index] ? 0 : ataRents.get(holding.mint.toString())
+      }
+    }));
+
+    // SOL goes last: it pays for every transaction before it
+    const balance = await this.connection.getBalance(owner);
+    const solUnit = {
+      instructions: [SystemProgram.transfer({ fromPubkey: owner, toPubkey: destination, lamports: 0 })],
+      computeUnits: COMPUTE_UNITS_SOL_TRANSFER,
+      item: { type: 'SOL', mint: null, amount: '0', usdValue: null, newAccountRent: 0 }
+    };
+
+    const plan = await this.buildUnsignedTransactions(owner, [...units, solUnit]);
+    const rent = units.reduce((total, unit) => total + unit.item.newAccountRent, 0);
+    const fees = plan.transactions.reduce((total, transaction) => total + transaction.fee, 0);
+    const lamports = balance - rent - fees;
+
+    let transactions = plan.transactions;
+    if (lamports > 0) {
+      // Rebuild with the real amount now that fees are known (same size, so batching is unchanged)
+      solUnit.instructions = [SystemProgram.transfer({ fromPubkey: owner, toPubkey: destination, lamports })];
+      solUnit.item.amount = (lamports / 1e9).toFixed(9);
+      solUnit.item.usdValue = prices[SOL_MINT] !== undefined ? (lamports / 1e9) * prices[SOL_MINT] : null;
+      transactions = (await this.buildUnsignedTransactions(owner, [...units, solUnit], plan)).transactions;
+    } else {
+      transactions = units.length > 0 ? (await this.buildUnsignedTransactions(owner, units, plan)).transactions : [];
+    }
+
+    const totalUsd = [...units, solUnit]
+      .filter(unit => unit.item.usdValue !== null && (unit !== solUnit || lamports > 0))
+      .reduce((total, unit) => (total || 0) + unit.item.usdValue, null);
+
+    console.log(`🧹 Built ${transactions.length} unsigned sweep transaction(s) for ${walletAddress} -> ${destinationAddress}`);
+
+    this.recordHistory(ownerId, walletAddress, {
+      type: 'sweep',
+      timestamp: new Date(),
+      status: 'BUILT',
+      destination: destinationAddress,
+      totalAssets: units.length + (lamports > 0 ? 1 : 0),
+      totalUsd
+    });
+
+    return {
+      method: 'UNSIGNED_TRANSACTION',
+      walletAddress,
+      destination: destinationAddress,
+      blockhash: plan.blockhash,
+      lastValidBlockHeight: plan.lastValidBlockHeight,
+      priorityFee: plan.priorityFee,
+      totalUsd,
+      rentLamports: rent,
+      feeLamports: fees,
+      transactions: transactions.map(({ items, ...transaction }) => ({ ...transaction, transfers: items })),
+      skippedSol: lamports <= 0,
+      warning: 'Double-check the destination address in your wallet before signing. RedAlert never asks for your keys.'
     };
   }
 
-  async generateMoveAssetsInstructions(walletAddress) {
+  // Packs units ({ instructions, computeUnits, item }) into as few unsigned transactions as fit the
+  // packet size limit, each with a compute budget and priority fee. Units are never split.
+  // Pass a previous result as `reuse` to keep its blockhash, fee and batching.
+  async buildUnsignedTransactions(owner, units, reuse = null) {
+    const writable = units.flatMap(unit => unit.instructions.flatMap(ix => ix.keys.filter(key => key.isWritable).map(key => key.pubkey)));
+    const [{ blockhash, lastValidBlockHeight }, priorityFee] = reuse
+      ? [reuse, reuse.priorityFee]
+      : await Promise.all([this.connection.getLatestBlockhash('confirmed'), this.estimatePriorityFee(writable)]);
+
+    const build = batch => {
+      const computeUnits = BASE_COMPUTE_UNITS + batch.reduce((total, unit) => total + unit.computeUnits, 0);
+      const transaction = new Transaction({ feePayer: owner, blockhash, lastValidBlockHeight });
+      transaction.add(
+        ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnits }),
+        ComputeBudgetProgram.setComputeUnitPrice({ microLamports: priorityFee })
+      );
+      batch.forEach(unit => transaction.add(...unit.instructions));
+      return { transaction, computeUnits };
+    };
+    const serialize = transaction => transaction.serialize({ requireAllSignatures: false, verifySignatures: false });
+    const fits = batch => {
+      try {
+        return serialize(build(batch).transaction).length <= PACKET_DATA_SIZE;
+      } catch (error) {
+        return false; // serialize() refuses oversized transactions
+      }
+    };
+
+    // Greedily fill each transaction, or follow the batch sizes of a previous build
+    const batches = [];
+    if (reuse) {
+      let offset = 0;
+      reuse.transactions.forEach(transaction => {
+        const size = Math.min(transaction.items.length, units.length - offset);
+        if (size > 0) batches.push(units.slice(offset, offset + size));
+        offset += size;
+      });
+    } else {
+      let current = [];
+      for (const unit of units) {
+        if (current.length > 0 && !fits([...current, unit])) {
+          batches.push(current);
+          current = [];
+        }
+        current.push(unit);
+      }
+      if (current.length > 0) batches.push(current);
+    }
+
+    const transactions = batches.map(batch => {
+      const { transaction, computeUnits } = build(batch);
+      return {
+        base64: serialize(transaction).toString('base64'),
+        instructions: transaction.instructions,
+        fee: BASE_FEE_LAMPORTS + Math.ceil((computeUnits * priorityFee) / 1e6),
+        items: batch.map(unit => unit.item)
+      };
+    });
+
+    return { blockhash, lastValidBlockHeight, priorityFee, transactions };
+  }
+
+  // Median of recent non-zero priority fees on these accounts, capped so a fee spike can't drain the wallet
+  async estimatePriorityFee(accounts) {
+    if (this.priorityFee) return this.priorityFee;
+
+    try {
+      const fees = (await this.connection.getRecentPrioritizationFees({ lockedWritableAccounts: accounts.slice(0, 128) }))
+        .map(entry => entry.prioritizationFee)
+        .filter(fee => fee > 0)
+        .sort((a, b) => a - b);
+      if (fees.length === 0) return DEFAULT_PRIORITY_FEE;
+
+      const median = fees[Math.floor(fees.length / 2)];
+      return Math.min(Math.max(median, DEFAULT_PRIORITY_FEE), MAX_PRIORITY_FEE);
+    } catch (error) {
+      console.error('Could not fetch recent priority fees:', error.message);
+      return DEFAULT_PRIORITY_FEE;
+    }
+  }
+
+  // options.safeHarbor is the user's pre-registered destination, if any
+  async generateMoveAssetsInstructions(ownerId, walletAddress, options = {}) {
     try {
       const publicKey = new PublicKey(walletAddress);
       const assets = [];
@@ -288,12 +607,41 @@ class EmergencyActions {
         }
       }
 
+      // Value assets in USD so the most valuable move first
+      const prices = this.priceOracle
+        ? await this.priceOracle.getPrices(assets.map(asset => asset.mint || SOL_MINT))
+        : {};
+
+      let totalUsd = null;
+      assets.forEach(asset => {
+        const price = prices[asset.mint || SOL_MINT];
+        asset.usdValue = price !== undefined ? parseFloat(asset.amount) * price : null;
+
+        if (asset.usdValue !== null) {
+          totalUsd = (totalUsd || 0) + asset.usdValue;
+          asset.priority = asset.usdValue >= HIGH_PRIORITY_USD ? 'HIGH' : 'MEDIUM';
+        }
+      });
+
+      this.recordHistory(ownerId, walletAddress, {
+        type: 'move_guide',
+        timestamp: new Date(),
+        status: 'COMPLETE',
+        totalAssets: assets.length,
+        totalUsd
+      });
+
       return {
         walletAddress,
         timestamp: new Date(),
         totalAssets: assets.length,
-        assets: assets.sort((a, b) => (a.priority === 'HIGH' ? -1 : 1)),
-        emergencySteps: this.generateMoveAssetsSteps(assets),
+        totalUsd,
+        assets: assets.sort((a, b) => {
+          if (a.priority !== b.priority) return a.priority === 'HIGH' ? -1 : 1;
+          return (b.usdValue || 0) - (a.usdValue || 0);
+        }),
+        safeHarbor: options.safeHarbor || null,
+        emergencySteps: this.generateMoveAssetsSteps(assets, options.safeHarbor),
         securityTips: [
           '🔐 Use a completely new wallet for emergency transfers',
           '🔍 Verify recipient addresses carefully',
@@ -311,19 +659,25 @@ class EmergencyActions {
     }
   }
 
-  generateMoveAssetsSteps(assets) {
-    const steps = [
-      '🆕 Create a new secure wallet (different device if possible)',
-      '📝 Write down the new wallet address',
-      '⚡ Start with highest priority assets:'
-    ];
+  generateMoveAssetsSteps(assets, safeHarbor = null) {
+    const steps = safeHarbor
+      ? [
+        `🛟 Send everything to your safe harbor ${safeHarbor.slice(0, 8)}...${safeHarbor.slice(-8)}`,
+        '⚡ Start with highest priority assets:'
+      ]
+      : [
+        '🆕 Create a new secure wallet (different device if possible)',
+        '📝 Write down the new wallet address',
+        '⚡ Start with highest priority assets:'
+      ];
 
     const highPriority = assets.filter(a => a.priority === 'HIGH');
     highPriority.forEach((asset, index) => {
+      const value = typeof asset.usdValue === 'number' ? ` (≈ $${asset.usdValue.toFixed(2)})` : '';
       if (asset.type === 'SOL') {
-        steps.push(`   ${index + 1}. Transfer ${asset.amount} SOL (leave ~0.01 for fees)`);
+        steps.push(`   ${index + 1}. Transfer ${asset.amount} SOL${value} (leave ~0.01 for fees)`);
       } else {
-        steps.push(`   ${index + 1}. Transfer ${asset.amount} of ${asset.mint.slice(0, 8)}...`);
+        steps.push(`   ${index + 1}. Transfer ${asset.amount} of ${asset.mint.slice(0, 8)}...${value}`);
       }
     });
 
@@ -405,8 +759,77 @@ class EmergencyActions {
     return message;
   }
 
-  getEmergencyHistory(walletAddress) {
-    return this.emergencyHistory.get(walletAddress) || null;
+  // Runs the emergency analysis for several wallets, one after another to spare the RPC
+  async performCombinedEmergencyAnalysis(ownerId, walletAddresses) {
+    const analyses = [];
+    for (const walletAddress of walletAddresses) {
+      analyses.push(await this.performEmergencyAnalysis(ownerId, walletAddress));
+    }
+    return analyses;
+  }
+
+  // labels maps wallet address -> user-given label
+  formatCombinedEmergencyResponse(analyses, labels = {}) {
+    const allFindings = analyses.flatMap(analysis => analysis.findings);
+    const criticalCount = allFindings.filter(f => f.severity === 'CRITICAL').length;
+    const highCount = allFindings.filter(f => f.severity === 'HIGH').length;
+
+    let message = `🚨 **EMERGENCY ANALYSIS COMPLETE** 🚨\n\n`;
+    message += `🐙 **Wallets**: ${analyses.length}\n`;
+    message += `⏰ **Time**: ${new Date().toLocaleTimeString()}\n\n`;
+
+    if (criticalCount > 0) {
+      message += `🔴 **CRITICAL ISSUES**: ${criticalCount}\n`;
+    }
+    if (highCount > 0) {
+      message += `🟡 **HIGH RISK**: ${highCount}\n`;
+    }
+
+    // Most urgent wallets first
+    const urgency = analysis => analysis.status === 'ERROR' ? 1 :
+      analysis.findings.filter(f => f.severity === 'CRITICAL').length * 10 +
+      analysis.findings.filter(f => f.severity === 'HIGH').length;
+    const sorted = [...analyses].sort((a, b) => urgency(b) - urgency(a));
+
+    sorted.forEach(analysis => {
+      const address = `\`${analysis.walletAddress.slice(0, 8)}...${analysis.walletAddress.slice(-8)}\``;
+      const name = labels[analysis.walletAddress] ? `${labels[analysis.walletAddress]} (${address})` : address;
+      const critical = analysis.findings.filter(f => f.severity === 'CRITICAL').length;
+      const high = analysis.findings.filter(f => f.severity === 'HIGH').length;
+      const emoji = analysis.status === 'ERROR' ? '❌' : critical > 0 ? '🔴' : high > 0 ? '🟡' : '🟢';
+
+      message += `\n${emoji} **${name}**\n`;
+      if (analysis.status === 'ERROR') {
+        message += `   Analysis failed: ${analysis.error}\n`;
+        return;
+      }
+
+      const issues = analysis.findings.filter(f => f.severity !== 'INFO');
+      if (issues.length === 0) {
+        message += `   No issues found\n`;
+      }
+      issues.slice(0, 3).forEach(finding => {
+        message += `   • ${finding.issue}: ${finding.description}\n`;
+      });
+      if (issues.length > 3) {
+        message += `   • +${issues.length - 3} more\n`;
+      }
+    });
+
+    message += `\n🐙 **Your octopus is here to help! Act quickly but carefully.**`;
+
+    return message;
+  }
+
+  recordHistory(ownerId, walletAddress, entry) {
+    const history = [...this.getEmergencyHistory(ownerId, walletAddress), { walletAddress, ...entry }];
+    this.emergencyHistory.set(`${ownerId}:${walletAddress}`, history.slice(-MAX_HISTORY_PER_WALLET));
+  }
+
+  // Every emergency action an owner took for a wallet, oldest first. Keyed by owner too, so
+  // someone watching the same wallet can't see another user's analyses and sweeps
+  getEmergencyHistory(ownerId, walletAddress) {
+    return this.emergencyHistory.get(`${ownerId}:${walletAddress}`) || [];
   }
 }
 
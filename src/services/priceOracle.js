@@ -0,0 +1,144 @@
+// src/services/priceOracle.js
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const DEFAULT_TTL_MS = 60000;
+
+// Offline provider: fixed USD prices from a JSON file of { mint: price }
+class StaticPriceProvider {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.prices = null;
+  }
+
+  async getPrices(mints) {
+    if (!this.prices) {
+      this.prices = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    }
+
+    const prices = {};
+    mints.forEach(mint => {
+      if (typeof this.prices[mint] === 'number') prices[mint] = this.prices[mint];
+    });
+    return prices;
+  }
+}
+
+// HTTP provider for price APIs shaped like Jupiter's: { data: { [mint]: { price } } }
+class HttpPriceProvider {
+  constructor(baseUrl) {
+    this.baseUrl = baseUrl;
+  }
+
+  async getPrices(mints) {
+    const response = await axios.get(this.baseUrl, {
+      params: { ids: mints.join(',') },
+      timeout: 5000
+    });
+
+    const prices = {};
+    const data = response.data?.data || {};
+    mints.forEach(mint => {
+      const price = parseFloat(data[mint]?.price);
+      if (!Number.isNaN(price)) prices[mint] = price;
+    });
+    return prices;
+  }
+}
+
+class PriceOracle {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    this.cache = new Map(); // mint -> { price, fetchedAt }
+  }
+
+  // Returns { mint: usdPrice } for every mint the provider knows
+  async getPrices(mints) {
+    const unique = [...new Set(mints)];
+    const now = Date.now();
+    const stale = unique.filter(mint => {
+      const cached = this.cache.get(mint);
+      return !cached || now - cached.fetchedAt > this.ttlMs;
+    });
+
+    if (stale.length > 0) {
+      try {
+        const fresh = await this.provider.getPrices(stale);
+        stale.forEach(mint => {
+          // Cache misses too, so unknown tokens don't hit the API every time
+          this.cache.set(mint, { price: fresh[mint] ?? null, fetchedAt: now });
+        });
+      } catch (error) {
+        console.error('Price lookup failed:', error.message);
+      }
+    }
+
+    const prices = {};
+    unique.forEach(mint => {
+      const cached = this.cache.get(mint);
+      if (cached && cached.price !== null) prices[mint] = cached.price;
+    });
+    return prices;
+  }
+
+  async getPrice(mint) {
+    const prices = await this.getPrices([mint]);
+    return prices[mint] ?? null;
+  }
+
+  async getSolPrice() {
+    return this.getPrice(SOL_MINT);
+  }
+
+  // Adds usdValue to each outflow and totalUsd to the balance changes (null when nothing is priced)
+  async valueBalanceChanges(balanceChanges) {
+    if (!balanceChanges || !balanceChanges.hasOutflow) return balanceChanges;
+
+    const mints = balanceChanges.outflows.map(outflow => outflow.mint || SOL_MINT);
+    const prices = await this.getPrices(mints);
+
+    let totalUsd = null;
+    balanceChanges.outflows.forEach(outflow => {
+      const price = prices[outflow.mint || SOL_MINT];
+      outflow.usdValue = price !== undefined ? parseFloat(outflow.uiAmount) * price : null;
+      if (outflow.usdValue !== null) totalUsd = (totalUsd || 0) + outflow.usdValue;
+    });
+
+    balanceChanges.totalUsd = totalUsd;
+    return balanceChanges;
+  }
+
+  formatUsd(value) {
+    if (value === null || value === undefined) return 'n/a';
+    return `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  }
+}
+
+function createPriceOracle() {
+  const provider = process.env.PRICE_PROVIDER || 'http';
+
+  if (provider === 'static') {
+    const filePath = process.env.PRICE_FILE || path.join(__dirname, '..', 'data', 'prices.json');
+    console.log(`💲 Price oracle: static prices from ${filePath}`);
+    return new PriceOracle(new StaticPriceProvider(filePath));
+  }
+
+  if (provider === 'http') {
+    const baseUrl = process.env.PRICE_API_URL || 'https://api.jup.ag/price/v2';
+    console.log(`💲 Price oracle: ${baseUrl}`);
+    return new PriceOracle(new HttpPriceProvider(baseUrl));
+  }
+
+  throw new Error(`Unknown PRICE_PROVIDER "${provider}"`);
+}
+
+module.exports = {
+  SOL_MINT,
+  StaticPriceProvider,
+  HttpPriceProvider,
+  PriceOracle,
+  createPriceOracle
+};
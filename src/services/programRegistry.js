@@ -0,0 +1,85 @@
+// src/services/programRegistry.js
+const fs = require('fs');
+const path = require('path');
+const { PublicKey } = require('@solana/web3.js');
+
+const CATEGORIES = ['core', 'dex', 'lending', 'staking', 'bridge', 'nft', 'drainer'];
+const FLAGGED_CATEGORIES = ['drainer'];
+
+// Labels for on-chain programs keyed by base58 program ID
+class ProgramRegistry {
+  constructor(filePath, overrides = new Map()) {
+    this.filePath = filePath || path.join(__dirname, '..', 'data', 'programs.json');
+    this.programs = new Map(); // programId -> { name, category }
+    this.overrides = overrides; // programId -> { name, category, updatedBy, updatedAt } or { removed: true }
+    this.load();
+  }
+
+  load() {
+    try {
+      const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.programs.clear();
+      for (const [programId, info] of Object.entries(entries)) {
+        this.programs.set(programId, { name: info.name, category: info.category });
+      }
+      console.log(`📚 Program registry: ${this.programs.size} programs loaded`);
+    } catch (error) {
+      console.error(`Failed to load program registry from ${this.filePath}:`, error.message);
+    }
+  }
+
+  lookup(programId) {
+    const override = this.overrides.get(programId);
+    const info = override ? (override.removed ? null : override) : this.programs.get(programId);
+
+    if (!info) {
+      return { programId, name: null, category: 'unknown', known: false, flagged: false };
+    }
+
+    return {
+      programId,
+      name: info.name,
+      category: info.category,
+      known: true,
+      flagged: FLAGGED_CATEGORIES.includes(info.category)
+    };
+  }
+
+  isKnown(programId) {
+    const info = this.lookup(programId);
+    return info.known && !info.flagged;
+  }
+
+  isFlagged(programId) {
+    return this.lookup(programId).flagged;
+  }
+
+  // Runtime updates are stored as overrides on top of the bundled file
+  set(programId, category, name, updatedBy) {
+    new PublicKey(programId); // Throws on invalid program IDs
+
+    if (!CATEGORIES.includes(category)) {
+      throw new Error(`Unknown category "${category}". Use one of: ${CATEGORIES.join(', ')}`);
+    }
+
+    const entry = { name, category, updatedBy, updatedAt: new Date() };
+    this.overrides.set(programId, entry);
+    return this.lookup(programId);
+  }
+
+  remove(programId, updatedBy) {
+    const existed = this.lookup(programId).known;
+    this.overrides.set(programId, { removed: true, updatedBy, updatedAt: new Date() });
+    return existed;
+  }
+
+  list(category = null) {
+    const ids = new Set([...this.programs.keys(), ...this.overrides.keys()]);
+    return Array.from(ids)
+      .map(programId => this.lookup(programId))
+      .filter(info => info.known && (!category || info.category === category));
+  }
+}
+
+module.exports = ProgramRegistry;
+module.exports.CATEGORIES = CATEGORIES;
@@ -0,0 +1,212 @@
+// src/services/reportExporter.js
+
+const FORMATS = {
+  csv: { label: 'CSV', extension: 'csv' },
+  json: { label: 'JSON', extension: 'json' },
+  html: { label: 'HTML report', extension: 'html' }
+};
+
+const CSV_COLUMNS = [
+  'record', 'id', 'timestamp', 'updated_at', 'wallet', 'wallet_label', 'type', 'status',
+  'risk_score', 'summary', 'rules', 'signatures', 'event_count'
+];
+
+// Builds alert history and emergency action records into downloadable files
+class ReportExporter {
+  // report: { ownerId, wallets: [{ address, label }], from, to, alerts, emergencyActions }
+  // Returns { filename, content } where content is a Buffer ready for sendDocument
+  build(format, report) {
+    if (!FORMATS[format]) {
+      throw new Error(`Unknown export format "${format}". Use one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+
+    const generatedAt = new Date();
+    const stamp = generatedAt.toISOString().slice(0, 10);
+    const content = format === 'csv' ? this.toCSV(report)
+      : format === 'json' ? this.toJSON(report, generatedAt)
+        : this.toHTML(report, generatedAt);
+
+    return {
+      filename: `redalert-report-${stamp}.${FORMATS[format].extension}`,
+      content: Buffer.from(content, 'utf8')
+    };
+  }
+
+  toCSV(report) {
+    const labels = this.getLabels(report.wallets);
+    const rows = [
+      ...report.alerts.map(alert => [
+        'alert',
+        alert.id || alert.alertId,
+        this.formatDate(alert.timestamp),
+        this.formatDate(alert.updatedAt),
+        alert.walletAddress,
+        labels[alert.walletAddress] || '',
+        alert.type,
+        alert.status || 'open',
+        alert.riskScore,
+        alert.threats.join('; '),
+        (alert.firedRules || []).map(rule => rule.id).join('; '),
+        (alert.signatures || (alert.signature ? [alert.signature] : [])).join('; '),
+        alert.eventCount || 1
+      ]),
+      ...report.emergencyActions.map(action => [
+        'emergency',
+        '',
+        this.formatDate(action.timestamp),
+        '',
+        action.walletAddress,
+        labels[action.walletAddress] || '',
+        action.type,
+        action.status,
+        '',
+        this.summarizeAction(action),
+        '',
+        '',
+        ''
+      ])
+    ];
+
+    return [CSV_COLUMNS, ...rows].map(row => row.map(value => this.escapeCSV(value)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  toJSON(report, generatedAt) {
+    return JSON.stringify({
+      generatedAt,
+      period: { from: report.from, to: report.to },
+      wallets: report.wallets.map(wallet => ({ address: wallet.address, label: wallet.label || null })),
+      alerts: report.alerts.map(alert => ({
+        id: alert.id || alert.alertId,
+        walletAddress: alert.walletAddress,
+        type: alert.type,
+        category: alert.category || null,
+        status: alert.status || 'open',
+        riskScore: alert.riskScore,
+        threats: alert.threats,
+        firedRules: alert.firedRules || [],
+        signatures: alert.signatures || (alert.signature ? [alert.signature] : []),
+        balanceChanges: alert.balanceChanges || null,
+        aiAnalysis: alert.aiAnalysis || null,
+        statusHistory: alert.statusHistory || [],
+        eventCount: alert.eventCount || 1,
+        lateDetection: Boolean(alert.lateDetection),
+        timestamp: alert.timestamp,
+        updatedAt: alert.updatedAt || alert.timestamp
+      })),
+      emergencyActions: report.emergencyActions
+    }, null, 2);
+  }
+
+  // Self-contained page meant to be printed or saved as PDF from the browser
+  toHTML(report, generatedAt) {
+    const labels = this.getLabels(report.wallets);
+    const walletName = address => labels[address]
+      ? `${this.escapeHTML(labels[address])}<br><code>${address}</code>`
+      : `<code>${address}</code>`;
+
+    const alertRows = report.alerts.map(alert => `
+      <tr>
+        <td>${this.formatDate(alert.timestamp)}</td>
+        <td>${walletName(alert.walletAddress)}</td>
+        <td class="score">${alert.riskScore}</td>
+        <td>${this.escapeHTML(alert.status || 'open')}</td>
+        <td><ul>${alert.threats.map(threat => `<li>${this.escapeHTML(threat)}</li>`).join('')}</ul></td>
+        <td>${(alert.signatures || (alert.signature ? [alert.signature] : []))
+          .map(signature => `<a href="https://solscan.io/tx/${signature}">${signature.slice(0, 8)}...</a>`).join('<br>')}</td>
+      </tr>`).join('');
+
+    const actionRows = report.emergencyActions.map(action => `
+      <tr>
+        <td>${this.formatDate(action.timestamp)}</td>
+        <td>${walletName(action.walletAddress)}</td>
+        <td>${this.escapeHTML(action.type)}</td>
+        <td>${this.escapeHTML(action.status)}</td>
+        <td>${this.escapeHTML(this.summarizeAction(action))}</td>
+      </tr>`).join('');
+
+    const period = report.from || report.to
+      ? `${report.from ? this.formatDate(report.from) : 'start'} to ${report.to ? this.formatDate(report.to) : 'now'}`
+      : 'All time';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>RedAlert Security Report</title>
+<style>
+  body { font-family: -apple-system, Helvetica, Arial, sans-serif; margin: 2em; color: #222; }
+  h1 { color: #c0392b; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 2em; font-size: 0.9em; }
+  th, td { border: 1px solid #ccc; padding: 6px; text-align: left; vertical-align: top; }
+  th { background: #f4f4f4; }
+  td.score { font-weight: bold; }
+  ul { margin: 0; padding-left: 1.2em; }
+  code { font-size: 0.85em; }
+  @media print { body { margin: 0; } a { color: inherit; text-decoration: none; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>🚨 RedAlert Security Report</h1>
+<p>
+  <strong>Generated:</strong> ${this.formatDate(generatedAt)}<br>
+  <strong>Period:</strong> ${period}<br>
+  <strong>Wallets:</strong> ${report.wallets.map(wallet => walletName(wallet.address)).join(', ') || 'None'}
+</p>
+<h2>Threat Alerts (${report.alerts.length})</h2>
+${report.alerts.length > 0 ? `<table>
+  <tr><th>Time</th><th>Wallet</th><th>Risk</th><th>Status</th><th>Threats</th><th>Transactions</th></tr>${alertRows}
+</table>` : '<p>No alerts in this period.</p>'}
+<h2>Emergency Actions (${report.emergencyActions.length})</h2>
+${report.emergencyActions.length > 0 ? `<table>
+  <tr><th>Time</th><th>Wallet</th><th>Action</th><th>Status</th><th>Details</th></tr>${actionRows}
+</table>` : '<p>No emergency actions in this period.</p>'}
+</body>
+</html>
+`;
+  }
+
+  summarizeAction(action) {
+    switch (action.type) {
+      case 'analysis':
+        if (action.status === 'ERROR') return `Analysis failed: ${action.error}`;
+        return (action.findings || [])
+          .filter(finding => finding.severity !== 'INFO')
+          .map(finding => `${finding.severity}: ${finding.issue}`)
+          .join('; ') || 'No issues found';
+      case 'revoke_guide':
+        return `${(action.approvals || []).length} active approvals to revoke` +
+          `${(action.otherPermissions || []).length > 0 ? `, ${action.otherPermissions.length} other permissions` : ''}`;
+      case 'move_guide':
+        return `${action.totalAssets} assets to move${typeof action.totalUsd === 'number' ? ` (≈ $${action.totalUsd.toFixed(2)})` : ''}`;
+      default:
+        return '';
+    }
+  }
+
+  getLabels(wallets) {
+    return Object.fromEntries(wallets.filter(wallet => wallet.label).map(wallet => [wallet.address, wallet.label]));
+  }
+
+  formatDate(date) {
+    return date ? new Date(date).toISOString() : '';
+  }
+
+  // Quotes fields as needed and defuses spreadsheet formulas in free text
+  escapeCSV(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = ReportExporter;
+module.exports.FORMATS = FORMATS;
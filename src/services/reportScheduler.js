@@ -0,0 +1,221 @@
+// src/services/reportScheduler.js
+const { PublicKey } = require('@solana/web3.js');
+
+const REPORT_HOUR = 9; // Local time at which reports go out
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const CLOSED_STATUSES = ['resolved', 'false_positive'];
+
+// Sends each user a daily or weekly health digest of their wallets, in their own timezone.
+// Per-user delivery state lives in options.stateStore: userId -> { lastPeriod, lastSentAt, balances }
+class ReportScheduler {
+  constructor(options = {}) {
+    this.stateStore = options.stateStore || new Map();
+    this.settings = options.settings;
+    this.walletStore = options.walletStore;
+    this.alertStore = options.alertStore;
+    this.transactionMonitor = options.transactionMonitor;
+    this.threatAnalyzer = options.threatAnalyzer;
+    this.connection = options.connection;
+    this.send = options.send; // async (userId, message) => void
+    this.formatWalletName = options.formatWalletName || (wallet => `\`${wallet.address.slice(0, 8)}...${wallet.address.slice(-8)}\``);
+    this.reportHour = REPORT_HOUR;
+    if (Number.isInteger(options.reportHour) && options.reportHour >= 0 && options.reportHour <= 23) {
+      this.reportHour = options.reportHour;
+    } else if (options.reportHour !== undefined) {
+      console.warn(`⚠️ Invalid report hour "${options.reportHour}", sending reports at ${REPORT_HOUR}:00`);
+    }
+    this.checkIntervalMs = options.checkIntervalMs || CHECK_INTERVAL_MS;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.checkDueReports(), this.checkIntervalMs);
+    console.log(`📊 Report scheduler started (reports at ${this.reportHour}:00 local time)`);
+    this.checkDueReports();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async checkDueReports() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      for (const [userId, wallets] of this.walletStore) {
+        if (!wallets || wallets.length === 0) continue;
+
+        const settings = this.settings.get(userId);
+        if (settings.reportFrequency === 'off') continue;
+
+        const period = this.getPeriod(settings.reportFrequency, settings.timezone);
+        const state = this.stateStore.get(userId);
+
+        // First time we see this user: start counting from now rather than sending straight away
+        if (!state) {
+          this.stateStore.set(userId, { lastPeriod: period.key, lastSentAt: new Date(), balances: {} });
+          continue;
+        }
+
+        if (!period.due || state.lastPeriod === period.key) continue;
+
+        try {
+          await this.sendReport(userId, wallets, settings, state, period.key);
+        } catch (error) {
+          console.error(`Failed to send health report to ${userId}:`, error.message);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async sendReport(userId, wallets, settings, state, periodKey) {
+    const since = state.lastSentAt ? new Date(state.lastSentAt) : new Date(Date.now() - this.getPeriodLength(settings.reportFrequency));
+    const { message, balances } = await this.buildReport(userId, wallets, settings, since, state.balances || {});
+
+    await this.send(userId, message);
+
+    this.stateStore.set(userId, { lastPeriod: periodKey, lastSentAt: new Date(), balances });
+    console.log(`📊 Sent ${settings.reportFrequency} health report to ${userId}`);
+  }
+
+  // On-demand report covering the current period; doesn't move the schedule
+  async previewReport(userId) {
+    const wallets = this.walletStore.get(userId) || [];
+    const settings = this.settings.get(userId);
+    const state = this.stateStore.get(userId) || {};
+    const frequency = settings.reportFrequency === 'off' ? 'daily' : settings.reportFrequency;
+    const since = state.lastSentAt ? new Date(state.lastSentAt) : new Date(Date.now() - this.getPeriodLength(frequency));
+
+    const { message } = await this.buildReport(userId, wallets, { ...settings, reportFrequency: frequency }, since, state.balances || {});
+    return message;
+  }
+
+  // Returns { message, balances } where balances is the snapshot to compare the next report against
+  async buildReport(userId, wallets, settings, since, previousBalances) {
+    const alerts = Array.from(this.alertStore.values()).filter(alert => alert.userId === userId);
+    const balances = {};
+    let totalRaised = 0;
+    let totalResolved = 0;
+
+    let message = `*📊 ${settings.reportFrequency === 'weekly' ? 'Weekly' : 'Daily'} Health Report*\n\n`;
+    message += `🗓️ Since ${since.toLocaleString('en-GB', { timeZone: settings.timezone })} (${settings.timezone})\n\n`;
+
+    for (const wallet of wallets) {
+      const walletAlerts = alerts.filter(alert => alert.walletAddress === wallet.address);
+      const raised = walletAlerts.filter(alert => new Date(alert.timestamp) >= since);
+      const resolved = walletAlerts.filter(alert => (alert.statusHistory || []).some(change =>
+        CLOSED_STATUSES.includes(change.to) && new Date(change.at) >= since));
+      const delegations = raised.flatMap(alert => alert.delegations || []);
+      const outflowUsd = raised.reduce((total, alert) =>
+        total + (alert.balanceChanges && typeof alert.balanceChanges.totalUsd === 'number' ? alert.balanceChanges.totalUsd : 0), 0);
+
+      totalRaised += raised.length;
+      totalResolved += resolved.length;
+
+      const snapshot = await this.getBalanceSnapshot(wallet.address);
+      const previous = previousBalances[wallet.address];
+      balances[wallet.address] = snapshot || previous || null;
+
+      message += `${raised.length > 0 ? '🟡' : '🟢'} **${this.formatWalletName(wallet)}**${wallet.isActive === false ? ' ⏸️ paused' : ''}\n`;
+
+      if (snapshot) {
+        const sol = snapshot.lamports / 1e9;
+        const delta = previous ? (snapshot.lamports - previous.lamports) / 1e9 : null;
+        message += `   💰 ${sol.toFixed(4)} SOL${delta !== null && delta !== 0 ? ` (${delta > 0 ? '+' : ''}${delta.toFixed(4)})` : ''}\n`;
+
+        const changedTokens = previous
+          ? Object.keys({ ...snapshot.tokens, ...previous.tokens }).filter(mint => (snapshot.tokens[mint] || 0) !== ((previous.tokens || {})[mint] || 0)).length
+          : 0;
+        message += `   🪙 ${Object.keys(snapshot.tokens).length} tokens held${changedTokens > 0 ? `, ${changedTokens} changed` : ''}\n`;
+      } else {
+        message += `   💰 Balance unavailable\n`;
+      }
+
+      if (outflowUsd > 0) {
+        message += `   💸 ≈ $${outflowUsd.toFixed(2)} in flagged outflows\n`;
+      }
+      message += `   🚨 ${raised.length} alerts raised, ✅ ${resolved.length} resolved\n`;
+      if (delegations.length > 0) {
+        const unlimited = delegations.filter(delegation => delegation.unlimited).length;
+        message += `   🔑 ${delegations.length} new delegations${unlimited > 0 ? ` (${unlimited} unlimited!)` : ''}\n`;
+      }
+
+      const profile = this.threatAnalyzer && this.threatAnalyzer.getWalletRiskProfile(wallet.address);
+      if (profile) {
+        message += `   🧠 Risk profile: ${profile.riskScore}/100 over ${profile.totalTransactions} transactions\n`;
+      }
+      message += `\n`;
+    }
+
+    const stats = this.transactionMonitor.getMonitoringStats();
+    const uptime = this.transactionMonitor.getUptime(since.getTime());
+    const openAlerts = alerts.filter(alert => !CLOSED_STATUSES.includes(alert.status || 'open')).length;
+
+    message += `*🛡️ Monitoring*\n`;
+    message += `📡 Uptime: ${uptime !== null ? `${uptime.toFixed(1)}%` : 'Not started'}${stats.subscriptionsHealthy ? '' : ' - reconnecting now'}\n`;
+    message += `🚨 ${totalRaised} alerts raised, ✅ ${totalResolved} resolved, 📌 ${openAlerts} still open\n\n`;
+    message += openAlerts > 0
+      ? `_Review open alerts with /alerts open_`
+      : `🐙 *All quiet. Your octopus keeps watching!*`;
+
+    return { message, balances };
+  }
+
+  // { lamports, tokens: mint -> ui amount } from the RPC and the monitor's cached token accounts
+  async getBalanceSnapshot(walletAddress) {
+    try {
+      const lamports = await this.connection.getBalance(new PublicKey(walletAddress));
+      const tokens = {};
+      this.transactionMonitor.getTokenHoldings(walletAddress)
+        .filter(holding => BigInt(holding.amount) > 0n)
+        .forEach(holding => {
+          tokens[holding.mint] = (tokens[holding.mint] || 0) + Number(holding.amount) / 10 ** holding.decimals;
+        });
+      return { lamports, tokens };
+    } catch (error) {
+      console.error(`Could not snapshot balances for ${walletAddress}:`, error.message);
+      return null;
+    }
+  }
+
+  // { key, due }: key identifies the current daily or weekly period in the user's timezone
+  getPeriod(frequency, timezone, now = new Date()) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone || 'UTC',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        hourCycle: 'h23',
+        weekday: 'short'
+      }).formatToParts(now).map(part => [part.type, part.value])
+    );
+    const hour = parseInt(parts.hour);
+    const date = `${parts.year}-${parts.month}-${parts.day}`;
+
+    if (frequency !== 'weekly') {
+      return { key: date, due: hour >= this.reportHour };
+    }
+
+    // Weekly reports belong to the week starting Monday; due from Monday morning on
+    const weekday = WEEKDAYS.indexOf(parts.weekday);
+    const monday = new Date(Date.parse(`${date}T00:00:00Z`) - weekday * DAY_MS).toISOString().slice(0, 10);
+    return { key: monday, due: weekday > 0 || hour >= this.reportHour };
+  }
+
+  getPeriodLength(frequency) {
+    return frequency === 'weekly' ? 7 * DAY_MS : DAY_MS;
+  }
+}
+
+module.exports = ReportScheduler;
+module.exports.REPORT_HOUR = REPORT_HOUR;
@@ -0,0 +1,229 @@
+// src/services/ruleEngine.js
+const fs = require('fs');
+const path = require('path');
+
+const SEVERITY_ORDER = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const DEFAULT_FALSE_POSITIVE_WEIGHT = 0.5;
+
+// Non-core programs and counterparties (delegates, new authorities, receivers) of a
+// transaction's facts or a stored incident, used to recognise a repeated pattern
+function extractPattern(subject) {
+  const programs = (subject.programs || [])
+    .filter(program => program.category !== 'core')
+    .map(program => program.programId);
+
+  const counterparties = new Set();
+  (subject.delegations || []).forEach(delegation => counterparties.add(delegation.delegate));
+  (subject.authorityChanges || []).forEach(change => change.newAuthority && counterparties.add(change.newAuthority));
+  ((subject.balanceChanges && subject.balanceChanges.outflows) || []).forEach(outflow => {
+    outflow.destinations.forEach(destination => counterparties.add(destination.address));
+  });
+
+  return { programs, counterparties: Array.from(counterparties) };
+}
+
+// Evaluates declarative threat rules against facts gathered from a transaction
+class RuleEngine {
+  constructor(filePath) {
+    this.filePath = filePath || path.join(__dirname, '..', 'data', 'threatRules.json');
+    this.rules = [];
+    this.thresholds = {};
+    this.load();
+  }
+
+  load() {
+    try {
+      const config = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.rules = config.rules || [];
+      this.thresholds = config.thresholds || {};
+      console.log(`📐 Rule engine: ${this.rules.length} threat rules loaded`);
+    } catch (error) {
+      console.error(`Failed to load threat rules from ${this.filePath}:`, error.message);
+    }
+  }
+
+  getRule(ruleId) {
+    return this.rules.find(rule => rule.id === ruleId) || null;
+  }
+
+  // options.disabledRules skips rules per user, options.thresholds overrides the file's thresholds,
+  // options.feedback lists the wallet's past false positives ({ ruleIds, programs, counterparties })
+  evaluate(facts, options = {}) {
+    const disabled = new Set(options.disabledRules || []);
+    const thresholds = { ...this.thresholds, ...(options.thresholds || {}) };
+    const scope = { facts, thresholds };
+    const feedback = options.feedback || [];
+    const pattern = feedback.length > 0 ? extractPattern(facts) : null;
+
+    const firedRules = [];
+    const threats = [];
+    let riskScore = 0;
+    let floor = 0;
+
+    for (const rule of this.rules) {
+      if (disabled.has(rule.id)) continue;
+
+      const result = this.evaluateCondition(rule.when, scope);
+      if (!result.matched) continue;
+
+      // perMatch rules score and report every matching item
+      const items = rule.perMatch && result.items.length > 0 ? result.items : [null];
+      const downWeighted = pattern !== null && this.matchesFeedback(rule.id, pattern, feedback);
+      const weight = downWeighted ? (thresholds.falsePositiveWeight ?? DEFAULT_FALSE_POSITIVE_WEIGHT) : 1;
+      // maxScore caps what a perMatch rule adds for one transaction, however many items matched
+      const score = Math.round(Math.min(rule.score * items.length, rule.maxScore ?? Infinity) * weight);
+      const messages = items.map(item => this.renderMessage(rule.message, item, facts));
+
+      riskScore += score;
+      threats.push(...messages);
+      if (rule.floor && !downWeighted) floor = Math.max(floor, rule.floor);
+
+      firedRules.push({
+        id: rule.id,
+        severity: rule.severity,
+        score,
+        message: messages[0],
+        reason: downWeighted ? `${result.reason} (down-weighted: marked false positive before)` : result.reason
+      });
+    }
+
+    riskScore = Math.max(riskScore, floor > 0 ? floor : 0);
+
+    const severities = firedRules.map(rule => SEVERITY_ORDER.indexOf(rule.severity));
+    const highestSeverity = severities.length > 0 ? SEVERITY_ORDER[Math.max(...severities)] : null;
+
+    return {
+      riskScore,
+      threats,
+      firedRules,
+      type: riskScore >= thresholds.critical || highestSeverity === 'CRITICAL' ? 'CRITICAL' : 'WARNING',
+      // Some rules (e.g. new delegations) always alert regardless of the total score
+      shouldAlert: riskScore > thresholds.alert || firedRules.some(rule => this.getRule(rule.id).alwaysAlert)
+    };
+  }
+
+  // A past false positive matches when the same rule fired for an overlapping program or
+  // counterparty; entries that had neither match on the rule alone
+  matchesFeedback(ruleId, pattern, feedback) {
+    return feedback.some(entry => {
+      if (!entry.ruleIds.includes(ruleId)) return false;
+      if (entry.programs.length === 0 && entry.counterparties.length === 0) return true;
+      return entry.programs.some(programId => pattern.programs.includes(programId)) ||
+        entry.counterparties.some(address => pattern.counterparties.includes(address));
+    });
+  }
+
+  // Returns { matched, reason, items } where items are the collection entries that matched
+  evaluateCondition(condition, scope) {
+    if (!condition) return { matched: false, reason: 'no condition', items: [] };
+
+    if (condition.all) {
+      const results = condition.all.map(c => this.evaluateCondition(c, scope));
+      const matched = results.every(r => r.matched);
+      return {
+        matched,
+        reason: results.map(r => r.reason).join(' AND '),
+        items: matched ? results.flatMap(r => r.items) : []
+      };
+    }
+
+    if (condition.any) {
+      const results = condition.any.map(c => this.evaluateCondition(c, scope));
+      const hits = results.filter(r => r.matched);
+      return {
+        matched: hits.length > 0,
+        reason: (hits.length > 0 ? hits : results).map(r => r.reason).join(' OR '),
+        items: hits.flatMap(r => r.items)
+      };
+    }
+
+    if (condition.not) {
+      const result = this.evaluateCondition(condition.not, scope);
+      return { matched: !result.matched, reason: `NOT (${result.reason})`, items: [] };
+    }
+
+    if (condition.match) {
+      const collection = this.resolvePath(scope.facts, condition.match) || [];
+      const where = condition.where || {};
+      const items = collection.filter(item =>
+        Object.entries(where).every(([field, expected]) => this.compare(item[field], expected, scope))
+      );
+      return {
+        matched: items.length > 0,
+        reason: `${items.length} of ${collection.length} ${condition.match} matched ${JSON.stringify(where)}`,
+        items
+      };
+    }
+
+    if (condition.fact) {
+      const value = this.resolvePath(scope.facts, condition.fact);
+      const { fact, ...operators } = condition;
+      const matched = this.compare(value, operators, scope);
+      return { matched, reason: `${fact}=${JSON.stringify(value)} ${this.describeOperators(operators, scope)}`, items: [] };
+    }
+
+    return { matched: false, reason: `unsupported condition ${JSON.stringify(condition)}`, items: [] };
+  }
+
+  // expected is a literal, an array of allowed values, or an operator object ({ gt, gte, lt, lte, equals, in })
+  compare(value, expected, scope) {
+    if (Array.isArray(expected)) {
+      return expected.map(e => this.resolveValue(e, scope)).includes(value);
+    }
+
+    if (expected === null || typeof expected !== 'object') {
+      return value === this.resolveValue(expected, scope);
+    }
+
+    return Object.entries(expected).every(([operator, raw]) => {
+      const operand = this.resolveValue(raw, scope);
+      switch (operator) {
+        case 'equals': return value === operand;
+        case 'in': return Array.isArray(operand) && operand.includes(value);
+        case 'gt': return value !== null && value !== undefined && Number(value) > Number(operand);
+        case 'gte': return value !== null && value !== undefined && Number(value) >= Number(operand);
+        case 'lt': return value !== null && value !== undefined && Number(value) < Number(operand);
+        case 'lte': return value !== null && value !== undefined && Number(value) <= Number(operand);
+        default: return false;
+      }
+    });
+  }
+
+  // "$name" references resolve to thresholds first, then facts (e.g. "$wallet")
+  resolveValue(raw, scope) {
+    if (typeof raw !== 'string' || !raw.startsWith('$')) return raw;
+
+    const name = raw.slice(1);
+    if (scope.thresholds[name] !== undefined) return scope.thresholds[name];
+    return this.resolvePath(scope.facts, name);
+  }
+
+  resolvePath(object, pathExpression) {
+    return pathExpression.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+  }
+
+  describeOperators(operators, scope) {
+    return Object.entries(operators)
+      .map(([operator, raw]) => `${operator} ${JSON.stringify(this.resolveValue(raw, scope))}`)
+      .join(', ');
+  }
+
+  // "{field}" or "{field|filter}", looked up on the matched item first, then on the facts
+  renderMessage(template, item, facts) {
+    return template.replace(/\{([\w.]+)(?:\|(\w+))?\}/g, (placeholder, field, filter) => {
+      let value = item ? this.resolvePath(item, field) : undefined;
+      if (value === undefined) value = this.resolvePath(facts, field);
+      if (value === undefined || value === null) return 'unknown';
+
+      switch (filter) {
+        case 'short': return `${String(value).slice(0, 8)}...`;
+        case 'usd': return `$${Number(value).toFixed(2)}`;
+        case 'round': return String(Math.round(Number(value) * 10) / 10);
+        default: return String(value);
+      }
+    });
+  }
+}
+
+module.exports = RuleEngine;
+module.exports.extractPattern = extractPattern;
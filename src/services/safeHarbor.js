@@ -0,0 +1,97 @@
+// src/services/safeHarbor.js
+const { PublicKey } = require('@solana/web3.js');
+
+const DEFAULT_COOLING_OFF_MS = 48 * 60 * 60 * 1000;
+
+// Pre-registered destination for emergency evacuations, one per user, persisted in the given store:
+// userId -> { address, confirmedAt, pending: { address, requestedAt, activatesAt } | null }
+// The first address applies as soon as it's confirmed; changing or removing it later only takes
+// effect after a cooling-off period, so a hijacked chat can't silently redirect an evacuation.
+class SafeHarbor {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.coolingOffMs = options.coolingOffMs || DEFAULT_COOLING_OFF_MS;
+    this.onActivated = options.onActivated || (() => {}); // (userId, entry) after a pending change applies
+  }
+
+  // Throws if the address can't serve as a safe harbor for this user
+  validate(address, monitoredAddresses = []) {
+    let publicKey;
+    try {
+      publicKey = new PublicKey(address);
+    } catch (error) {
+      throw new Error('That is not a valid Solana address');
+    }
+
+    // Off-curve addresses (PDAs, program accounts) have no private key to recover funds with
+    if (!PublicKey.isOnCurve(publicKey.toBytes())) {
+      throw new Error('That address is not a regular wallet (it has no private key)');
+    }
+    if (monitoredAddresses.includes(publicKey.toString())) {
+      throw new Error('Use a wallet you don\'t keep your funds in - a monitored wallet could be the one under attack');
+    }
+
+    return publicKey.toString();
+  }
+
+  // Returns { applied: true } when set straight away, or { applied: false, activatesAt } while cooling off
+  request(userId, address) {
+    const entry = this.get(userId);
+
+    if (!entry || !entry.address) {
+      this.store.set(userId, { address, confirmedAt: new Date(), pending: null });
+      return { applied: true };
+    }
+
+    const now = Date.now();
+    const pending = { address, requestedAt: new Date(now), activatesAt: new Date(now + this.coolingOffMs) };
+    this.store.set(userId, { ...entry, pending });
+    return { applied: false, activatesAt: pending.activatesAt };
+  }
+
+  // Removal is a change to "no address" and cools off the same way
+  requestRemoval(userId) {
+    return this.request(userId, null);
+  }
+
+  cancelPending(userId) {
+    const entry = this.store.get(userId);
+    if (!entry || !entry.pending) return false;
+
+    this.store.set(userId, { ...entry, pending: null });
+    return true;
+  }
+
+  // The stored entry, applying a pending change whose cooling-off period is over
+  get(userId) {
+    const entry = this.store.get(userId);
+    if (!entry) return null;
+
+    if (entry.pending && new Date(entry.pending.activatesAt).getTime() <= Date.now()) {
+      const applied = { address: entry.pending.address, confirmedAt: new Date(), pending: null };
+      if (applied.address) {
+        this.store.set(userId, applied);
+      } else {
+        this.store.delete(userId);
+      }
+      this.onActivated(userId, applied);
+      return applied.address ? applied : null;
+    }
+
+    return entry;
+  }
+
+  getAddress(userId) {
+    const entry = this.get(userId);
+    return entry ? entry.address : null;
+  }
+
+  // Applies due changes for every user; run periodically so activations are announced on time
+  applyDueChanges() {
+    for (const userId of Array.from(this.store.keys())) {
+      this.get(userId);
+    }
+  }
+}
+
+module.exports = SafeHarbor;
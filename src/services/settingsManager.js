@@ -0,0 +1,116 @@
+// src/services/settingsManager.js
+
+// Sensitivity presets override the rule engine's thresholds (see src/data/threatRules.json)
+const PRESETS = {
+  low: {
+    label: 'Low',
+    description: 'Only large, clear-cut threats',
+    thresholds: { alert: 60, solOutflowLamports: 100000000, largeOutflowUsd: 5000, txPerMinute: 5 }
+  },
+  normal: {
+    label: 'Normal',
+    description: 'Balanced defaults',
+    thresholds: {}
+  },
+  paranoid: {
+    label: 'Paranoid',
+    description: 'Flag almost anything unusual',
+    thresholds: { alert: 20, solOutflowLamports: 100000, largeOutflowUsd: 100, txPerMinute: 1 }
+  }
+};
+
+const MIN_RISK_SCORE_OPTIONS = [0, 40, 60, 80];
+const REPORT_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+const DEFAULT_SETTINGS = {
+  sensitivity: 'normal',
+  minRiskScore: 0,
+  disabledRules: [],
+  reportFrequency: 'daily',
+  timezone: 'UTC', // IANA name; health reports go out in the user's morning
+  aiEnabled: true
+};
+
+// Per-user preferences persisted in the userSettings map
+class SettingsManager {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get(userId) {
+    return { ...DEFAULT_SETTINGS, ...(this.store.get(userId) || {}) };
+  }
+
+  update(userId, changes) {
+    const settings = { ...this.get(userId), ...changes };
+    this.store.set(userId, settings);
+    return settings;
+  }
+
+  setSensitivity(userId, sensitivity) {
+    if (!PRESETS[sensitivity]) {
+      throw new Error(`Unknown sensitivity "${sensitivity}". Use one of: ${Object.keys(PRESETS).join(', ')}`);
+    }
+    return this.update(userId, { sensitivity });
+  }
+
+  setMinRiskScore(userId, minRiskScore) {
+    if (!MIN_RISK_SCORE_OPTIONS.includes(minRiskScore)) {
+      throw new Error(`Minimum risk score must be one of: ${MIN_RISK_SCORE_OPTIONS.join(', ')}`);
+    }
+    return this.update(userId, { minRiskScore });
+  }
+
+  setReportFrequency(userId, reportFrequency) {
+    if (!REPORT_FREQUENCIES.includes(reportFrequency)) {
+      throw new Error(`Report frequency must be one of: ${REPORT_FREQUENCIES.join(', ')}`);
+    }
+    return this.update(userId, { reportFrequency });
+  }
+
+  setTimezone(userId, timezone) {
+    try {
+      // Normalises casing too ("europe/berlin" -> "Europe/Berlin")
+      timezone = new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone;
+    } catch (error) {
+      throw new Error(`Unknown timezone "${timezone}". Use an IANA name such as Europe/Berlin or America/New_York`);
+    }
+    return this.update(userId, { timezone });
+  }
+
+  toggleRule(userId, ruleId) {
+    const disabledRules = new Set(this.get(userId).disabledRules);
+    if (disabledRules.has(ruleId)) {
+      disabledRules.delete(ruleId);
+    } else {
+      disabledRules.add(ruleId);
+    }
+    return this.update(userId, { disabledRules: Array.from(disabledRules) });
+  }
+
+  toggleAI(userId) {
+    return this.update(userId, { aiEnabled: !this.get(userId).aiEnabled });
+  }
+
+  // Options handed to RuleEngine.evaluate; a wallet's own sensitivity overrides the user's
+  getRuleOptions(userId, walletSensitivity = null) {
+    const settings = this.get(userId);
+    const preset = PRESETS[walletSensitivity] || PRESETS[settings.sensitivity] || PRESETS.normal;
+    return {
+      disabledRules: settings.disabledRules,
+      thresholds: preset.thresholds
+    };
+  }
+
+  // Whether a scored threat is worth a notification for this user.
+  // Authority changes and new delegations (threat.category) always notify.
+  shouldNotify(userId, threat) {
+    if (threat.category) return true;
+    return threat.riskScore >= this.get(userId).minRiskScore;
+  }
+}
+
+module.exports = SettingsManager;
+module.exports.PRESETS = PRESETS;
+module.exports.MIN_RISK_SCORE_OPTIONS = MIN_RISK_SCORE_OPTIONS;
+module.exports.REPORT_FREQUENCIES = REPORT_FREQUENCIES;
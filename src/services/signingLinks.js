@@ -0,0 +1,141 @@
+// src/services/signingLinks.js
+const crypto = require('crypto');
+const { Connection, PublicKey, Transaction } = require('@solana/web3.js');
+
+const DEFAULT_TTL_MS = 15 * 60 * 1000;
+const MAX_BODY_BYTES = 4096;
+const PATH_PATTERN = /^\/pay\/([0-9a-f]{32})(\/open)?\/?(\?.*)?$/;
+
+// Solana Pay transaction requests for prepared, unsigned transactions. A link carries only a random
+// token; the wallet fetches the transaction from us, rebuilt with a fresh blockhash, and signs it itself.
+// Needs a public base URL (PUBLIC_URL) where the bot's HTTP server is reachable.
+class SigningLinks {
+  constructor(rpcUrl, options = {}) {
+    this.connection = new Connection(rpcUrl, 'confirmed');
+    this.baseUrl = options.baseUrl ? options.baseUrl.replace(/\/$/, '') : null;
+    this.icon = options.icon || null;
+    this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    this.links = new Map(); // token -> { walletAddress, instructions, label, message, expiresAt }
+  }
+
+  isEnabled() {
+    return Boolean(this.baseUrl);
+  }
+
+  // instructions are the TransactionInstructions to sign; only walletAddress may fetch them
+  create(walletAddress, instructions, { label, message }) {
+    this.prune();
+
+    const token = crypto.randomBytes(16).toString('hex');
+    this.links.set(token, {
+      walletAddress,
+      instructions,
+      label,
+      message,
+      expiresAt: Date.now() + this.ttlMs
+    });
+    return token;
+  }
+
+  // https link that redirects to the solana: URL, since Telegram buttons only accept http(s)
+  getOpenUrl(token) {
+    return `${this.baseUrl}/pay/${token}/open`;
+  }
+
+  getSolanaPayUrl(token) {
+    return `solana:${encodeURIComponent(`${this.baseUrl}/pay/${token}`)}`;
+  }
+
+  // Returns true when the request was a signing link request and has been answered
+  handleRequest(req, res) {
+    const match = PATH_PATTERN.exec(req.url || '');
+    if (!match) return false;
+
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    const [, token, open] = match;
+    const link = this.links.get(token);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return true;
+    }
+
+    if (!link || link.expiresAt < Date.now()) {
+      this.sendJson(res, 404, { error: 'This signing link has expired. Ask the bot for a new one.' });
+      return true;
+    }
+
+    if (open && req.method === 'GET') {
+      res.writeHead(302, { Location: this.getSolanaPayUrl(token) });
+      res.end();
+      return true;
+    }
+
+    if (req.method === 'GET') {
+      this.sendJson(res, 200, { label: link.label, ...(this.icon ? { icon: this.icon } : {}) });
+      return true;
+    }
+
+    if (req.method === 'POST') {
+      this.readJson(req)
+        .then(body => this.buildTransaction(link, body.account))
+        .then(transaction => this.sendJson(res, 200, { transaction, message: link.message }))
+        .catch(error => this.sendJson(res, 400, { error: error.message }));
+      return true;
+    }
+
+    this.sendJson(res, 405, { error: 'Method not allowed' });
+    return true;
+  }
+
+  async buildTransaction(link, account) {
+    if (account !== link.walletAddress) {
+      throw new Error(`This transaction must be signed by ${link.walletAddress}`);
+    }
+
+    const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash('confirmed');
+    const transaction = new Transaction({ feePayer: new PublicKey(account), blockhash, lastValidBlockHeight });
+    transaction.add(...link.instructions);
+
+    return transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64');
+  }
+
+  readJson(req) {
+    return new Promise((resolve, reject) => {
+      let raw = '';
+      req.on('data', chunk => {
+        raw += chunk;
+        if (raw.length > MAX_BODY_BYTES) {
+          reject(new Error('Request body too large'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => {
+        try {
+          resolve(JSON.parse(raw || '{}'));
+        } catch (error) {
+          reject(new Error('Invalid JSON body'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [token, link] of this.links) {
+      if (link.expiresAt < now) this.links.delete(token);
+    }
+  }
+}
+
+module.exports = SigningLinks;
@@ -0,0 +1,142 @@
+// src/services/storage.js
+const fs = require('fs');
+const path = require('path');
+
+// ISO-8601 timestamps produced by Date#toJSON
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+// Base interface every storage backend implements
+class StorageBackend {
+  // Returns an array of [key, value] entries for the collection
+  async load(collection) {
+    throw new Error(`${this.constructor.name} does not implement load(${collection})`);
+  }
+
+  // Replaces the stored collection with the given [key, value] entries
+  async save(collection, entries) {
+    throw new Error(`${this.constructor.name} does not implement save(${collection})`);
+  }
+}
+
+// Default backend: one JSON file per collection in the data directory
+class JsonFileStorage extends StorageBackend {
+  constructor(dataDir) {
+    super();
+    this.dataDir = dataDir;
+    fs.mkdirSync(this.dataDir, { recursive: true });
+  }
+
+  getFilePath(collection) {
+    return path.join(this.dataDir, `${collection}.json`);
+  }
+
+  async load(collection) {
+    const filePath = this.getFilePath(collection);
+
+    try {
+      const raw = await fs.promises.readFile(filePath, 'utf8');
+      return JSON.parse(raw, (key, value) => {
+        // Restore Date objects serialized by JSON.stringify
+        if (typeof value === 'string' && ISO_DATE_PATTERN.test(value)) {
+          return new Date(value);
+        }
+        return value;
+      });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async save(collection, entries) {
+    const filePath = this.getFilePath(collection);
+    const tmpPath = `${filePath}.tmp`;
+
+    // Write to a temp file first so a crash never leaves a half-written file
+    await fs.promises.writeFile(tmpPath, JSON.stringify(entries, null, 2));
+    await fs.promises.rename(tmpPath, filePath);
+  }
+}
+
+// Map that writes itself through a storage backend on every change
+class PersistentMap extends Map {
+  constructor(storage, collection) {
+    super();
+    this.storage = storage;
+    this.collection = collection;
+    this.saving = null;
+    this.dirty = false;
+  }
+
+  async load() {
+    try {
+      const entries = await this.storage.load(this.collection);
+      super.clear();
+      for (const [key, value] of entries) {
+        super.set(key, value);
+      }
+      console.log(`💾 Loaded ${this.size} ${this.collection} entries`);
+    } catch (error) {
+      console.error(`Failed to load ${this.collection}:`, error);
+    }
+    return this;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.scheduleSave();
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) this.scheduleSave();
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.scheduleSave();
+  }
+
+  scheduleSave() {
+    // Coalesce bursts of changes into a single write
+    this.dirty = true;
+    if (this.saving) return;
+
+    this.saving = (async () => {
+      while (this.dirty) {
+        this.dirty = false;
+        try {
+          await this.storage.save(this.collection, Array.from(this.entries()));
+        } catch (error) {
+          console.error(`Failed to save ${this.collection}:`, error);
+        }
+      }
+      this.saving = null;
+    })();
+  }
+
+  async flush() {
+    if (this.saving) await this.saving;
+  }
+}
+
+function createStorage() {
+  const backend = process.env.STORAGE_BACKEND || 'json';
+  const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+
+  if (backend === 'json') {
+    console.log(`💾 Storage: JSON files in ${dataDir}`);
+    return new JsonFileStorage(dataDir);
+  }
+
+  throw new Error(`Unknown STORAGE_BACKEND "${backend}"`);
+}
+
+module.exports = {
+  StorageBackend,
+  JsonFileStorage,
+  PersistentMap,
+  createStorage
+};
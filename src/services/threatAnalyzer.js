@@ -1,45 +1,49 @@
 // src/services/threatAnalyzer.js
 const axios = require('axios');
+const BalanceChangeAnalyzer = require('./balanceChanges');
 
 class ThreatAnalyzer {
   constructor(openaiApiKey) {
     this.openaiApiKey = openaiApiKey;
     this.threatDatabase = new Map(); // Store known threats
     this.walletProfiles = new Map(); // Store wallet behavior profiles
+    this.balanceAnalyzer = new BalanceChangeAnalyzer();
     this.initializeThreatDatabase();
   }
 
   initializeThreatDatabase() {
-    // Initialize with known threat patterns
+    // Known threat patterns, expressed as combinations of fired rule IDs
     this.threatDatabase.set('token_drainer', {
-      patterns: ['approve', 'transfer_all', 'authority_change'],
+      patterns: ['token-approval', 'unlimited-approval', 'authority-change', 'large-outflow-usd'],
       riskLevel: 'CRITICAL',
       description: 'Token drainer contract detected'
     });
     
     this.threatDatabase.set('phishing_site', {
-      patterns: ['multiple_approvals', 'unknown_program', 'urgent_transfer'],
+      patterns: ['token-approval', 'unknown-program', 'flagged-program'],
       riskLevel: 'HIGH',
       description: 'Phishing attack pattern'
     });
     
-    this.threatDatabase.set('rug_pull', {
-      patterns: ['liquidity_removal', 'massive_sell', 'dev_dump'],
+    this.threatDatabase.set('rapid_drain', {
+      patterns: ['high-frequency', 'sol-outflow', 'large-outflow-usd', 'large-raw-transfer', 'token-balance-drop'],
       riskLevel: 'CRITICAL',
-      description: 'Rug pull activity detected'
+      description: 'Rapid wallet drain in progress'
     });
     
     console.log('🧠 AI Threat Database initialized');
   }
 
-  async analyzeTransactionWithAI(walletAddress, transaction, logs, basicThreat) {
+  async analyzeTransactionWithAI(walletAddress, transaction, logs, basicThreat, options = {}) {
     try {
-      // Build wallet behavior profile
-      this.updateWalletProfile(walletAddress, transaction, logs);
+      // Build wallet behavior profile (skipped for simulations, which never happened on chain)
+      if (options.recordProfile !== false) {
+        this.updateWalletProfile(walletAddress, transaction, logs);
+      }
       
-      // Get AI analysis if we have OpenAI key
+      // Get AI analysis if we have OpenAI key and the user hasn't turned it off
       let aiAnalysis = null;
-      if (this.openaiApiKey && this.openaiApiKey !== 'your_openai_key_here') {
+      if (options.useAI !== false && this.isAIAvailable()) {
         aiAnalysis = await this.getAIAnalysis(transaction, logs, basicThreat);
       }
       
@@ -54,6 +58,10 @@ class ThreatAnalyzer {
     }
   }
 
+  isAIAvailable() {
+    return Boolean(this.openaiApiKey && this.openaiApiKey !== 'your_openai_key_here');
+  }
+
   updateWalletProfile(walletAddress, transaction, logs) {
     const profile = this.walletProfiles.get(walletAddress) || {
       firstSeen: Date.now(),
@@ -159,7 +167,12 @@ class ThreatAnalyzer {
       prompt += `- Status: ${transaction.meta.err ? 'Failed' : 'Success'}\n`;
       prompt += `- Fee: ${transaction.meta.fee} lamports\n`;
       
-      if (transaction.meta.preBalances && transaction.meta.postBalances) {
+      if (basicThreat && basicThreat.balanceChanges && basicThreat.balanceChanges.hasOutflow) {
+        const outflows = basicThreat.balanceChanges.outflows.map(outflow =>
+          `${outflow.uiAmount} ${outflow.asset} to ${outflow.destinations.map(d => d.address).join(', ') || 'unknown'}`
+        );
+        prompt += `- Monitored Wallet Outflows: ${outflows.join('; ')}\n`;
+      } else if (transaction.meta.preBalances && transaction.meta.postBalances) {
         const balanceChanges = transaction.meta.postBalances.map((post, i) => {
           const pre = transaction.meta.preBalances[i] || 0;
           return post - pre;
@@ -246,11 +259,10 @@ class ThreatAnalyzer {
 
   matchKnownThreats(threat) {
     const matches = [];
+    const firedRuleIds = (threat.firedRules || []).map(rule => rule.id);
     
     for (const [threatType, threatInfo] of this.threatDatabase) {
-      const patternMatches = threatInfo.patterns.filter(pattern => {
-        return threat.threats.some(t => t.toLowerCase().includes(pattern.toLowerCase()));
-      });
+      const patternMatches = threatInfo.patterns.filter(pattern => firedRuleIds.includes(pattern));
       
       if (patternMatches.length >= 2) {
         matches.push({
@@ -346,6 +358,67 @@ class ThreatAnalyzer {
     return message;
   }
 
+  // Pre-signing verdict for a simulated transaction; simulation is TransactionSimulator's result
+  formatSimulationVerdict(signer, threat, simulation) {
+    const verdict = threat.riskScore >= 80 ? '🔴 **DO NOT SIGN**'
+      : threat.shouldAlert ? '🟡 **SIGN WITH CAUTION**'
+        : '🟢 **NO THREATS FOUND**';
+    const { facts } = simulation;
+    const short = address => `${address.slice(0, 8)}...${address.slice(-8)}`;
+
+    let message = `🔬 **Transaction Check**\n\n`;
+    message += `${verdict}\n\n`;
+    message += `🐙 **Signer**: \`${short(signer)}\`\n`;
+    message += `📊 **Risk Score**: ${Math.min(threat.riskScore, 100)}/100\n`;
+    message += `🧪 **Simulation**: ${simulation.err ? `Fails - ${JSON.stringify(simulation.err)}` : 'Succeeds'}` +
+      `${simulation.unitsConsumed ? ` (${simulation.unitsConsumed.toLocaleString()} compute units)` : ''}\n\n`;
+
+    // What the signer would lose
+    const outflows = facts.balanceChanges ? this.balanceAnalyzer.formatSummary(facts.balanceChanges) : [];
+    message += `💸 **Balance Changes**:\n`;
+    message += outflows.length > 0 ? `${outflows.join('\n')}\n\n` : `• Nothing leaves your wallet except the network fee\n\n`;
+
+    if (facts.delegations.length > 0) {
+      message += `🔑 **Approvals Granted**:\n`;
+      facts.delegations.forEach(delegation => {
+        // The mint is unknown when the approved account isn't among the simulated token balances
+        const token = delegation.mint ? `\`${delegation.mint.slice(0, 8)}...\``
+          : delegation.tokenAccount ? `the tokens in \`${short(delegation.tokenAccount)}\`` : 'unknown mint';
+        message += `• ${delegation.unlimited ? 'UNLIMITED' : delegation.uiAmount} of ${token} to \`${short(delegation.delegate)}\`\n`;
+      });
+      message += `\n`;
+    }
+
+    if (facts.authorityChanges.length > 0) {
+      message += `👑 **Authority Changes**:\n`;
+      facts.authorityChanges.forEach(change => {
+        message += `• ${change.description}\n`;
+      });
+      message += `\n`;
+    }
+
+    if (threat.threats.length > 0) {
+      message += `⚡ **Detected Threats**:\n`;
+      threat.threats.forEach(t => {
+        message += `• ${t}\n`;
+      });
+      message += `\n`;
+    }
+
+    if (threat.knownThreats && threat.knownThreats.length > 0) {
+      message += `🧬 **Matches Known Attack**: ${threat.knownThreats.map(known => known.description).join(', ')}\n\n`;
+    }
+
+    if (threat.aiAnalysis) {
+      message += `🧠 **AI Analysis** (${threat.aiAnalysis.confidence}% confidence):\n`;
+      message += `${threat.aiAnalysis.explanation}\n\n`;
+    }
+
+    message += `_Simulated against current chain state. The outcome can differ if that state changes before you sign._`;
+
+    return message;
+  }
+
   getWalletRiskProfile(walletAddress) {
     const profile = this.walletProfiles.get(walletAddress);
     if (!profile) return null;
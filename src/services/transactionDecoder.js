@@ -0,0 +1,261 @@
+// src/services/transactionDecoder.js
+const { PublicKey, SystemProgram } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, ASSOCIATED_TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const bs58 = require('bs58');
+
+const SYSTEM_PROGRAM = SystemProgram.programId.toBase58();
+const TOKEN_PROGRAM = TOKEN_PROGRAM_ID.toBase58();
+const TOKEN_2022_PROGRAM = TOKEN_2022_PROGRAM_ID.toBase58();
+const ASSOCIATED_TOKEN_PROGRAM = ASSOCIATED_TOKEN_PROGRAM_ID.toBase58();
+
+const AUTHORITY_TYPES = ['MintTokens', 'FreezeAccount', 'AccountOwner', 'CloseAccount'];
+
+// Turns compiled instructions into typed events the threat rules can reason about
+class TransactionDecoder {
+  // Works for both getTransaction responses and bare messages (e.g. simulations)
+  decode(transaction) {
+    const message = transaction?.transaction?.message;
+    if (!message) return { accountKeys: [], signers: [], events: [], programIds: [] };
+
+    const meta = transaction.meta || null;
+    const accountKeys = this.getAccountKeys(message, meta?.loadedAddresses);
+    const signers = accountKeys.slice(0, message.header.numRequiredSignatures);
+    const events = [];
+    const programIds = new Set();
+
+    message.compiledInstructions.forEach((instruction, index) => {
+      const programId = accountKeys[instruction.programIdIndex];
+      const accounts = instruction.accountKeyIndexes.map(i => accountKeys[i]);
+      programIds.add(programId);
+
+      const event = this.decodeInstruction(programId, accounts, Buffer.from(instruction.data));
+      if (event) {
+        events.push({ ...event, programId, instructionIndex: index, inner: false });
+      }
+
+      // Inner instructions invoked by this top-level instruction (CPIs)
+      const innerGroup = (meta?.innerInstructions || []).find(group => group.index === index);
+      if (!innerGroup) return;
+
+      innerGroup.instructions.forEach(inner => {
+        const innerProgramId = accountKeys[inner.programIdIndex];
+        const innerAccounts = inner.accounts.map(i => accountKeys[i]);
+        programIds.add(innerProgramId);
+
+        const innerEvent = this.decodeInstruction(innerProgramId, innerAccounts, Buffer.from(bs58.decode(inner.data)));
+        if (innerEvent) {
+          events.push({ ...innerEvent, programId: innerProgramId, instructionIndex: index, inner: true });
+        }
+      });
+    });
+
+    return { accountKeys, signers, events, programIds: Array.from(programIds) };
+  }
+
+  // Static keys followed by v0 address lookup table keys (writable, then readonly)
+  getAccountKeys(message, loadedAddresses) {
+    const staticKeys = message.staticAccountKeys || message.accountKeys;
+    const keys = staticKeys.map(key => key.toString());
+
+    if (loadedAddresses) {
+      loadedAddresses.writable.forEach(key => keys.push(key.toString()));
+      loadedAddresses.readonly.forEach(key => keys.push(key.toString()));
+    }
+
+    return keys;
+  }
+
+  decodeInstruction(programId, accounts, data) {
+    try {
+      switch (programId) {
+        case SYSTEM_PROGRAM:
+          return this.decodeSystemInstruction(accounts, data);
+        case TOKEN_PROGRAM:
+          return this.decodeTokenInstruction(accounts, data, 'spl-token');
+        case TOKEN_2022_PROGRAM:
+          return this.decodeTokenInstruction(accounts, data, 'token-2022');
+        case ASSOCIATED_TOKEN_PROGRAM:
+          return this.decodeAssociatedTokenInstruction(accounts, data);
+        default:
+          return null;
+      }
+    } catch (error) {
+      // Truncated or unexpected data - treat as undecodable rather than failing the analysis
+      console.error(`Failed to decode instruction for ${programId}:`, error.message);
+      return null;
+    }
+  }
+
+  decodeSystemInstruction(accounts, data) {
+    const program = 'system';
+    const instruction = data.readUInt32LE(0);
+
+    switch (instruction) {
+      case 0: // CreateAccount
+        return {
+          program,
+          type: 'CreateAccount',
+          source: accounts[0],
+          account: accounts[1],
+          lamports: data.readBigUInt64LE(4).toString(),
+          owner: this.readPubkey(data, 20)
+        };
+      case 1: // Assign
+        return { program, type: 'Assign', account: accounts[0], owner: this.readPubkey(data, 4) };
+      case 2: // Transfer
+        return {
+          program,
+          type: 'Transfer',
+          source: accounts[0],
+          destination: accounts[1],
+          authority: accounts[0],
+          lamports: data.readBigUInt64LE(4).toString()
+        };
+      case 3: // CreateAccountWithSeed
+        return { program, type: 'CreateAccountWithSeed', source: accounts[0], account: accounts[1] };
+      case 8: // Allocate
+        return { program, type: 'Allocate', account: accounts[0] };
+      case 10: { // AssignWithSeed: base, seed (u64 length + bytes), owner
+        const seedLength = Number(data.readBigUInt64LE(36));
+        return { program, type: 'AssignWithSeed', account: accounts[0], owner: this.readPubkey(data, 44 + seedLength) };
+      }
+      case 11: // TransferWithSeed
+        return {
+          program,
+          type: 'TransferWithSeed',
+          source: accounts[0],
+          destination: accounts[2],
+          authority: accounts[1],
+          lamports: data.readBigUInt64LE(4).toString()
+        };
+      default:
+        return null;
+    }
+  }
+
+  // SPL Token and Token-2022 share the same base instruction layout
+  decodeTokenInstruction(accounts, data, program) {
+    const instruction = data.readUInt8(0);
+
+    switch (instruction) {
+      case 1: // InitializeAccount
+        return { program, type: 'InitializeAccount', account: accounts[0], mint: accounts[1], owner: accounts[2] };
+      case 16: // InitializeAccount2
+      case 18: // InitializeAccount3
+        return { program, type: 'InitializeAccount', account: accounts[0], mint: accounts[1], owner: this.readPubkey(data, 1) };
+      case 3: // Transfer
+        return {
+          program,
+          type: 'Transfer',
+          source: accounts[0],
+          destination: accounts[1],
+          authority: accounts[2],
+          amount: data.readBigUInt64LE(1).toString()
+        };
+      case 4: // Approve
+        return {
+          program,
+          type: 'Approve',
+          account: accounts[0],
+          delegate: accounts[1],
+          owner: accounts[2],
+          amount: data.readBigUInt64LE(1).toString()
+        };
+      case 5: // Revoke
+        return { program, type: 'Revoke', account: accounts[0], owner: accounts[1] };
+      case 6: { // SetAuthority: authority type, COption<Pubkey>
+        const authorityType = data.readUInt8(1);
+        return {
+          program,
+          type: 'SetAuthority',
+          account: accounts[0],
+          currentAuthority: accounts[1],
+          authorityType: AUTHORITY_TYPES[authorityType] || `Type${authorityType}`,
+          newAuthority: data.readUInt8(2) === 1 ? this.readPubkey(data, 3) : null
+        };
+      }
+      case 7: // MintTo
+        return { program, type: 'MintTo', mint: accounts[0], account: accounts[1], authority: accounts[2], amount: data.readBigUInt64LE(1).toString() };
+      case 8: // Burn
+        return { program, type: 'Burn', account: accounts[0], mint: accounts[1], authority: accounts[2], amount: data.readBigUInt64LE(1).toString() };
+      case 9: // CloseAccount
+        return { program, type: 'CloseAccount', account: accounts[0], destination: accounts[1], owner: accounts[2] };
+      case 10: // FreezeAccount
+        return { program, type: 'FreezeAccount', account: accounts[0], mint: accounts[1], authority: accounts[2] };
+      case 11: // ThawAccount
+        return { program, type: 'ThawAccount', account: accounts[0], mint: accounts[1], authority: accounts[2] };
+      case 12: // TransferChecked
+        return {
+          program,
+          type: 'TransferChecked',
+          source: accounts[0],
+          mint: accounts[1],
+          destination: accounts[2],
+          authority: accounts[3],
+          amount: data.readBigUInt64LE(1).toString(),
+          decimals: data.readUInt8(9)
+        };
+      case 13: // ApproveChecked
+        return {
+          program,
+          type: 'ApproveChecked',
+          account: accounts[0],
+          mint: accounts[1],
+          delegate: accounts[2],
+          owner: accounts[3],
+          amount: data.readBigUInt64LE(1).toString(),
+          decimals: data.readUInt8(9)
+        };
+      case 14: // MintToChecked
+        return { program, type: 'MintTo', mint: accounts[0], account: accounts[1], authority: accounts[2], amount: data.readBigUInt64LE(1).toString(), decimals: data.readUInt8(9) };
+      case 15: // BurnChecked
+        return { program, type: 'Burn', account: accounts[0], mint: accounts[1], authority: accounts[2], amount: data.readBigUInt64LE(1).toString(), decimals: data.readUInt8(9) };
+      default:
+        return null;
+    }
+  }
+
+  decodeAssociatedTokenInstruction(accounts, data) {
+    const program = 'associated-token';
+    const instruction = data.length === 0 ? 0 : data.readUInt8(0);
+    const types = ['CreateAssociatedAccount', 'CreateAssociatedAccountIdempotent', 'RecoverNested'];
+
+    if (!types[instruction]) return null;
+
+    if (instruction === 2) {
+      // RecoverNested: nested account, nested mint, destination, owner ATA, owner mint, wallet
+      return { program, type: 'RecoverNested', account: accounts[0], destination: accounts[2], owner: accounts[5] };
+    }
+
+    return {
+      program,
+      type: types[instruction],
+      payer: accounts[0],
+      account: accounts[1],
+      owner: accounts[2],
+      mint: accounts[3]
+    };
+  }
+
+  // Mint and decimals of a token account, from the transaction's token balance metadata
+  getTokenAccountInfo(transaction, accountKeys, tokenAccount) {
+    const meta = transaction?.meta;
+    if (!meta) return null;
+
+    const balances = [...(meta.postTokenBalances || []), ...(meta.preTokenBalances || [])];
+    const entry = balances.find(balance => accountKeys[balance.accountIndex] === tokenAccount);
+    if (!entry) return null;
+
+    return {
+      mint: entry.mint,
+      owner: entry.owner || null,
+      decimals: entry.uiTokenAmount.decimals
+    };
+  }
+
+  readPubkey(data, offset) {
+    return new PublicKey(data.subarray(offset, offset + 32)).toBase58();
+  }
+}
+
+module.exports = TransactionDecoder;
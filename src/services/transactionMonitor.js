@@ -1,51 +1,111 @@
 // src/services/transactionMonitor.js
 const { Connection, PublicKey } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, AccountLayout } = require('@solana/spl-token');
+const TransactionDecoder = require('./transactionDecoder');
+const BalanceChangeAnalyzer = require('./balanceChanges');
+const ProgramRegistry = require('./programRegistry');
+const RuleEngine = require('./ruleEngine');
+
+// Subscription supervisor tuning
+const HEARTBEAT_TIMEOUT_MS = 60000; // No slot updates for 1 minute = dead websocket
+const SUPERVISOR_INTERVAL_MS = 15000;
+const RECONNECT_BASE_DELAY_MS = 5000;
+const RECONNECT_MAX_DELAY_MS = 5 * 60 * 1000;
+const BACKFILL_PAGE_SIZE = 1000;
+const BACKFILL_MAX_PAGES = 10;
+const RECENT_SIGNATURE_LIMIT = 50;
+const FETCH_RETRY_DELAYS_MS = [1000, 3000]; // A just-notified transaction may not be served yet
+const MAX_FETCH_ROUNDS = 5; // Backfills that may retry an unavailable transaction before it's given up
+const U64_MAX = '18446744073709551615';
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+const TOKEN_PROGRAMS = [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID];
+const TOKEN_OWNER_OFFSET = 32; // mint (32) then owner (32) in the token account layout
+const MAX_OUTAGES = 200;
 
 class TransactionMonitor {
-  constructor(rpcUrl) {
+  constructor(rpcUrl, options = {}) {
     this.connection = new Connection(rpcUrl, 'confirmed');
-    this.monitoredWallets = new Map(); // walletAddress -> { userId, subscriptionId, lastCheck }
-    this.threatCallbacks = new Map(); // walletAddress -> callback function
+    this.priceOracle = options.priceOracle || null;
+    this.programRegistry = options.programRegistry || new ProgramRegistry();
+    this.ruleEngine = options.ruleEngine || new RuleEngine();
+    // (ownerId, walletAddress) -> { disabledRules, thresholds }
+    this.settingsProvider = options.settingsProvider || (() => ({}));
+    // walletAddress -> { watchers, subscriptionId, lastCheck, lastSignature, lastSlot }
+    // watchers: ownerId (user or group chat) -> { threatCallback, onCursorUpdate }
+    this.monitoredWallets = new Map();
     this.isMonitoring = false;
+    this.decoder = new TransactionDecoder();
+    this.balanceAnalyzer = new BalanceChangeAnalyzer();
+    this.mintDecimals = new Map(); // mint -> decimals
+    this.fetchRetryDelaysMs = options.fetchRetryDelaysMs || FETCH_RETRY_DELAYS_MS;
+
+    // Subscription health
+    this.slotSubscriptionId = null;
+    this.lastHeartbeat = Date.now();
+    this.subscriptionsStale = false;
+    this.reconnectAttempts = 0;
+    this.nextReconnectAt = 0;
+
+    // Uptime accounting: when monitoring began and when subscriptions were down ({ start, end }).
+    // Kept in options.stateStore under 'uptime' (pass a PersistentMap to survive restarts)
+    this.stateStore = options.stateStore || new Map();
+    this.monitoringSince = null;
+    this.outages = [];
   }
 
-  async startMonitoring(walletAddress, userId, threatCallback) {
+  // Several owners (users, group chats) can watch the same wallet; each gets its own alerts.
+  // options.lastSignature resumes from a persisted cursor,
+  // options.onCursorUpdate(walletAddress, signature) is called as it advances
+  async startMonitoring(walletAddress, ownerId, threatCallback, options = {}) {
     try {
       const publicKey = new PublicKey(walletAddress);
+      const watcher = { threatCallback, onCursorUpdate: options.onCursorUpdate || null };
+
+      // Already subscribed for another owner: just add this one
+      const existing = this.monitoredWallets.get(walletAddress);
+      if (existing) {
+        existing.watchers.set(ownerId, watcher);
+        console.log(`👀 ${walletAddress.slice(0, 8)}... now watched by ${existing.watchers.size} owners`);
+        return true;
+      }
       
       // Store monitoring info
       this.monitoredWallets.set(walletAddress, {
-        userId,
+        watchers: new Map([[ownerId, watcher]]),
         publicKey,
         lastCheck: Date.now(),
-        transactionCount: 0
+        transactionCount: 0,
+        lastSignature: options.lastSignature || null,
+        lastSlot: 0,
+        recentSignatures: [],
+        inFlightSignatures: new Set(),
+        // signature -> failed fetch rounds; the cursor waits (heldCursor) until they are analyzed
+        unfetchedSignatures: new Map(),
+        heldCursor: null,
+        backfilling: false,
+        tokenAccounts: new Map(), // token account -> { mint, amount, decimals, program }
+        programSubscriptionIds: []
       });
-      
-      this.threatCallbacks.set(walletAddress, threatCallback);
 
-      // Subscribe to account changes
-      const subscriptionId = this.connection.onAccountChange(
-        publicKey,
-        (accountInfo, context) => {
-          this.handleAccountChange(walletAddress, accountInfo, context);
-        },
-        'confirmed'
-      );
+      // Baseline balances for every SPL and Token-2022 account the wallet owns
+      await this.loadTokenAccounts(walletAddress);
 
-      // Subscribe to transaction logs
-      const logsSubscriptionId = this.connection.onLogs(
-        publicKey,
-        (logs, context) => {
-          this.handleTransactionLogs(walletAddress, logs, context);
-        },
-        'confirmed'
-      );
+      this.subscribeWallet(walletAddress);
 
-      // Update monitoring info with subscription IDs
-      const walletInfo = this.monitoredWallets.get(walletAddress);
-      walletInfo.subscriptionId = subscriptionId;
-      walletInfo.logsSubscriptionId = logsSubscriptionId;
-      this.monitoredWallets.set(walletAddress, walletInfo);
+      if (options.lastSignature) {
+        // Catch up on everything that happened while we were offline
+        this.backfillWallet(walletAddress, { late: true });
+      } else {
+        // Remember where the signature history starts so gaps can be backfilled
+        try {
+          const [latest] = await this.connection.getSignaturesForAddress(publicKey, { limit: 1 });
+          if (latest) {
+            this.advanceCursor(walletAddress, latest.signature, latest.slot);
+          }
+        } catch (error) {
+          console.error(`Could not fetch latest signature for ${walletAddress}:`, error.message);
+        }
+      }
 
       console.log(`🚨 Started monitoring wallet: ${walletAddress}`);
       
@@ -61,24 +121,90 @@ class TransactionMonitor {
     }
   }
 
-  async stopMonitoring(walletAddress) {
+  subscribeWallet(walletAddress) {
+    const walletInfo = this.monitoredWallets.get(walletAddress);
+    if (!walletInfo) return;
+
+    // Subscribe to account changes
+    walletInfo.subscriptionId = this.connection.onAccountChange(
+      walletInfo.publicKey,
+      (accountInfo, context) => {
+        this.handleHeartbeat();
+        this.handleAccountChange(walletAddress, accountInfo, context);
+      },
+      'confirmed'
+    );
+
+    // Subscribe to transaction logs
+    walletInfo.logsSubscriptionId = this.connection.onLogs(
+      walletInfo.publicKey,
+      (logs, context) => {
+        this.handleHeartbeat();
+        this.handleTransactionLogs(walletAddress, logs, context);
+      },
+      'confirmed'
+    );
+
+    // Subscribe to every token account owned by the wallet, including ones created later
+    walletInfo.programSubscriptionIds = TOKEN_PROGRAMS.map(programId =>
+      this.connection.onProgramAccountChange(
+        programId,
+        (keyedAccountInfo, context) => {
+          this.handleHeartbeat();
+          this.handleTokenAccountChange(walletAddress, programId, keyedAccountInfo, context);
+        },
+        'confirmed',
+        [{ memcmp: { offset: TOKEN_OWNER_OFFSET, bytes: walletAddress } }]
+      )
+    );
+
+    this.monitoredWallets.set(walletAddress, walletInfo);
+  }
+
+  async unsubscribeWallet(walletAddress) {
+    const walletInfo = this.monitoredWallets.get(walletAddress);
+    if (!walletInfo) return;
+
+    try {
+      // Unsubscribe from account changes
+      if (walletInfo.subscriptionId !== undefined) {
+        await this.connection.removeAccountChangeListener(walletInfo.subscriptionId);
+      }
+      
+      // Unsubscribe from logs
+      if (walletInfo.logsSubscriptionId !== undefined) {
+        await this.connection.removeOnLogsListener(walletInfo.logsSubscriptionId);
+      }
+
+      // Unsubscribe from token accounts
+      for (const subscriptionId of walletInfo.programSubscriptionIds) {
+        await this.connection.removeProgramAccountChangeListener(subscriptionId);
+      }
+    } catch (error) {
+      // Listeners on a dead socket may already be gone
+      console.error(`Error unsubscribing ${walletAddress}:`, error.message);
+    }
+
+    walletInfo.subscriptionId = undefined;
+    walletInfo.logsSubscriptionId = undefined;
+    walletInfo.programSubscriptionIds = [];
+  }
+
+  // Without ownerId every watcher is dropped; otherwise the subscription stays while others still watch
+  async stopMonitoring(walletAddress, ownerId = null) {
     try {
       const walletInfo = this.monitoredWallets.get(walletAddress);
       
       if (walletInfo) {
-        // Unsubscribe from account changes
-        if (walletInfo.subscriptionId) {
-          await this.connection.removeAccountChangeListener(walletInfo.subscriptionId);
-        }
-        
-        // Unsubscribe from logs
-        if (walletInfo.logsSubscriptionId) {
-          await this.connection.removeOnLogsListener(walletInfo.logsSubscriptionId);
+        if (ownerId !== null) {
+          walletInfo.watchers.delete(ownerId);
+          if (walletInfo.watchers.size > 0) return;
         }
+
+        await this.unsubscribeWallet(walletAddress);
         
         // Remove from monitoring
         this.monitoredWallets.delete(walletAddress);
-        this.threatCallbacks.delete(walletAddress);
         
         console.log(`🛑 Stopped monitoring wallet: ${walletAddress}`);
       }
@@ -87,248 +213,616 @@ class TransactionMonitor {
     }
   }
 
+  // Slot updates arrive roughly every 400ms while the websocket is alive
+  startHeartbeat() {
+    this.lastHeartbeat = Date.now();
+    this.slotSubscriptionId = this.connection.onSlotChange(() => this.handleHeartbeat());
+  }
+
+  handleHeartbeat() {
+    this.lastHeartbeat = Date.now();
+
+    if (this.subscriptionsStale) {
+      this.subscriptionsStale = false;
+      const outage = this.outages[this.outages.length - 1];
+      if (outage && !outage.end) outage.end = Date.now();
+      this.saveUptime();
+      this.reconnectAttempts = 0;
+      this.nextReconnectAt = 0;
+      console.log('✅ Subscriptions recovered, backfilling missed transactions');
+      this.backfillAllWallets();
+    }
+  }
+
+  isHealthy() {
+    return !this.subscriptionsStale;
+  }
+
+  async superviseSubscriptions() {
+    if (this.monitoredWallets.size === 0) return;
+
+    const silentFor = Date.now() - this.lastHeartbeat;
+    if (silentFor < HEARTBEAT_TIMEOUT_MS) return;
+
+    if (!this.subscriptionsStale) {
+      this.subscriptionsStale = true;
+      this.outages = [...this.outages, { start: this.lastHeartbeat, end: null }].slice(-MAX_OUTAGES);
+      this.saveUptime();
+      console.warn(`⚠️ No heartbeat for ${Math.round(silentFor / 1000)}s - subscriptions considered dead`);
+    }
+
+    if (Date.now() < this.nextReconnectAt) return;
+
+    this.reconnectAttempts++;
+    const delay = Math.min(
+      RECONNECT_BASE_DELAY_MS * 2 ** (this.reconnectAttempts - 1),
+      RECONNECT_MAX_DELAY_MS
+    );
+    this.nextReconnectAt = Date.now() + delay;
+
+    console.log(`🔌 Re-establishing subscriptions (attempt ${this.reconnectAttempts}, next retry in ${delay / 1000}s)`);
+    await this.resubscribeAll();
+  }
+
+  async resubscribeAll() {
+    try {
+      if (this.slotSubscriptionId !== null) {
+        await this.connection.removeSlotChangeListener(this.slotSubscriptionId);
+      }
+    } catch (error) {
+      console.error('Error removing slot listener:', error.message);
+    }
+    this.slotSubscriptionId = this.connection.onSlotChange(() => this.handleHeartbeat());
+
+    for (const walletAddress of this.monitoredWallets.keys()) {
+      await this.unsubscribeWallet(walletAddress);
+      this.subscribeWallet(walletAddress);
+    }
+  }
+
+  async backfillAllWallets() {
+    for (const walletAddress of this.monitoredWallets.keys()) {
+      await this.backfillWallet(walletAddress, { late: true });
+    }
+  }
+
+  // Replay every transaction after the wallet's cursor, oldest first. options.late marks alerts as
+  // late detections; only set it when catching up after startup or a dropped connection
+  async backfillWallet(walletAddress, options = {}) {
+    const walletInfo = this.monitoredWallets.get(walletAddress);
+    if (!walletInfo || !walletInfo.lastSignature || walletInfo.backfilling) return;
+
+    walletInfo.backfilling = true;
+
+    try {
+      const missed = await this.fetchSignaturesSince(walletInfo.publicKey, walletInfo.lastSignature);
+
+      if (missed.length > 0) {
+        console.log(`⏪ Backfilling ${missed.length} transactions for ${walletAddress.slice(0, 8)}...`);
+      }
+
+      // getSignaturesForAddress returns newest first
+      for (const entry of missed.reverse()) {
+        await this.processSignature(walletAddress, entry.signature, null, { late: Boolean(options.late) });
+      }
+    } catch (error) {
+      console.error(`Backfill failed for ${walletAddress}:`, error);
+    } finally {
+      walletInfo.backfilling = false;
+    }
+  }
+
+  async fetchSignaturesSince(publicKey, cursor) {
+    const signatures = [];
+    let before;
+
+    for (let page = 0; page < BACKFILL_MAX_PAGES; page++) {
+      const batch = await this.connection.getSignaturesForAddress(publicKey, {
+        until: cursor,
+        before,
+        limit: BACKFILL_PAGE_SIZE
+      });
+
+      signatures.push(...batch);
+      if (batch.length < BACKFILL_PAGE_SIZE) return signatures;
+
+      before = batch[batch.length - 1].signature;
+    }
+
+    console.warn(`⚠️ Backfill for ${publicKey.toString().slice(0, 8)}... capped at ${signatures.length} transactions`);
+    return signatures;
+  }
+
+  rememberSignature(walletAddress, signature) {
+    const walletInfo = this.monitoredWallets.get(walletAddress);
+    if (!walletInfo) return;
+
+    walletInfo.recentSignatures.push(signature);
+    if (walletInfo.recentSignatures.length > RECENT_SIGNATURE_LIMIT) {
+      walletInfo.recentSignatures.shift();
+    }
+  }
+
+  // The cursor only moves forward, so live and backfilled transactions can interleave. It never
+  // passes a transaction that couldn't be fetched yet, so the next backfill picks that one up again
+  advanceCursor(walletAddress, signature, slot) {
+    const walletInfo = this.monitoredWallets.get(walletAddress);
+    if (!walletInfo) return;
+
+    if (walletInfo.heldCursor && walletInfo.heldCursor.slot > slot) {
+      ({ signature, slot } = walletInfo.heldCursor);
+    }
+    if (walletInfo.unfetchedSignatures.size > 0) {
+      walletInfo.heldCursor = { signature, slot };
+      return;
+    }
+    walletInfo.heldCursor = null;
+    if (slot < walletInfo.lastSlot) return;
+
+    walletInfo.lastSignature = signature;
+    walletInfo.lastSlot = slot;
+
+    walletInfo.watchers.forEach(watcher => {
+      if (watcher.onCursorUpdate) watcher.onCursorUpdate(walletAddress, signature);
+    });
+  }
+
   handleAccountChange(walletAddress, accountInfo, context) {
     console.log(`📊 Account change detected for ${walletAddress.slice(0, 8)}...`);
     
     const walletInfo = this.monitoredWallets.get(walletAddress);
     if (!walletInfo) return;
 
-    // Analyze account changes for threats
-    const threat = this.analyzeAccountChange(walletAddress, accountInfo, context);
-    
-    if (threat) {
-      this.sendThreatAlert(walletAddress, threat);
+    // A closed account has no lamports left either
+    this.alertOnFacts(walletAddress, { walletLamports: accountInfo ? accountInfo.lamports : 0 }, {
+      source: 'Account Change',
+      context
+    });
+  }
+
+  async loadTokenAccounts(walletAddress) {
+    const walletInfo = this.monitoredWallets.get(walletAddress);
+    if (!walletInfo) return;
+
+    for (const programId of TOKEN_PROGRAMS) {
+      try {
+        const response = await this.connection.getParsedTokenAccountsByOwner(walletInfo.publicKey, { programId });
+
+        response.value.forEach(({ pubkey, account }) => {
+          const info = account.data.parsed.info;
+          this.mintDecimals.set(info.mint, info.tokenAmount.decimals);
+          walletInfo.tokenAccounts.set(pubkey.toString(), {
+            mint: info.mint,
+            amount: info.tokenAmount.amount,
+            decimals: info.tokenAmount.decimals,
+            program: programId.toString()
+          });
+        });
+      } catch (error) {
+        console.error(`Failed to load token accounts for ${walletAddress}:`, error.message);
+      }
     }
+
+    console.log(`🪙 Watching ${walletInfo.tokenAccounts.size} token accounts for ${walletAddress.slice(0, 8)}...`);
+  }
+
+  async getMintDecimals(mint) {
+    if (this.mintDecimals.has(mint)) return this.mintDecimals.get(mint);
+
+    try {
+      const mintInfo = await this.connection.getParsedAccountInfo(new PublicKey(mint));
+      const decimals = mintInfo.value?.data?.parsed?.info?.decimals ?? null;
+      if (decimals !== null) this.mintDecimals.set(mint, decimals);
+      return decimals;
+    } catch (error) {
+      console.error(`Failed to fetch decimals for ${mint}:`, error.message);
+      return null;
+    }
+  }
+
+  async handleTokenAccountChange(walletAddress, programId, keyedAccountInfo, context) {
+    const walletInfo = this.monitoredWallets.get(walletAddress);
+    if (!walletInfo) return;
+
+    try {
+      const tokenAccount = keyedAccountInfo.accountId.toString();
+      // Token-2022 extensions follow the base layout, so decode only the first part
+      const decoded = AccountLayout.decode(keyedAccountInfo.accountInfo.data.subarray(0, AccountLayout.span));
+      const mint = decoded.mint.toString();
+      const amount = decoded.amount;
+      const previous = walletInfo.tokenAccounts.get(tokenAccount);
+
+      if (!previous) {
+        const decimals = await this.getMintDecimals(mint);
+        walletInfo.tokenAccounts.set(tokenAccount, {
+          mint,
+          amount: amount.toString(),
+          decimals,
+          program: programId.toString()
+        });
+        console.log(`🆕 New token account ${tokenAccount.slice(0, 8)}... (${mint.slice(0, 8)}...) for ${walletAddress.slice(0, 8)}...`);
+        return;
+      }
+
+      const before = BigInt(previous.amount);
+      previous.amount = amount.toString();
+
+      const change = this.analyzeTokenBalanceChange(tokenAccount, previous, before, amount);
+      if (!change) return;
+
+      // Without decimals the drop is in raw base units, and pricing it would be off by 10^decimals
+      const decimalsKnown = previous.decimals !== null && previous.decimals !== undefined;
+      if (this.priceOracle && decimalsKnown) {
+        const price = await this.priceOracle.getPrice(mint);
+        if (price !== null) {
+          change.tokenChange.usdValue = parseFloat(change.facts.dropAmount) * price;
+          change.facts.dropValue = ` ≈ ${this.priceOracle.formatUsd(change.tokenChange.usdValue)}`;
+        }
+      }
+
+      this.alertOnFacts(walletAddress, change.facts, {
+        source: 'Token Balance Watch',
+        tokenChange: change.tokenChange,
+        context
+      });
+    } catch (error) {
+      console.error(`Error handling token account change for ${walletAddress}:`, error);
+    }
+  }
+
+  // Facts about a falling token balance for the token-balance rules; null when it didn't fall
+  analyzeTokenBalanceChange(tokenAccount, tokenInfo, before, after) {
+    if (before === 0n || after >= before) return null;
+
+    const drop = before - after;
+    // Basis points keep the ratio exact for large u64 amounts
+    const dropRatio = Number((drop * 10000n) / before) / 10000;
+
+    return {
+      facts: {
+        mint: tokenInfo.mint,
+        tokenDropRatio: dropRatio,
+        tokenDropPercent: Math.round(dropRatio * 100),
+        dropAmount: this.formatTokenAmount(drop.toString(), tokenInfo.decimals),
+        beforeAmount: this.formatTokenAmount(before.toString(), tokenInfo.decimals),
+        afterAmount: this.formatTokenAmount(after.toString(), tokenInfo.decimals),
+        dropValue: ''
+      },
+      tokenChange: {
+        tokenAccount,
+        mint: tokenInfo.mint,
+        decimals: tokenInfo.decimals,
+        before: before.toString(),
+        after: after.toString(),
+        delta: (-drop).toString(),
+        usdValue: null
+      }
+    };
   }
 
   async handleTransactionLogs(walletAddress, logs, context) {
     console.log(`📝 Transaction logs for ${walletAddress.slice(0, 8)}...`);
-    
+    await this.processSignature(walletAddress, logs.signature, logs);
+  }
+
+  async processSignature(walletAddress, signature, logs = null, options = {}) {
     const walletInfo = this.monitoredWallets.get(walletAddress);
     if (!walletInfo) return;
 
-    // Increment transaction count
-    walletInfo.transactionCount++;
-    walletInfo.lastActivity = Date.now();
-    this.monitoredWallets.set(walletAddress, walletInfo);
+    // Live notifications and backfill can overlap
+    if (walletInfo.recentSignatures.includes(signature) || walletInfo.inFlightSignatures.has(signature)) return;
+    walletInfo.inFlightSignatures.add(signature);
 
     try {
       // Get full transaction details
-      const signature = logs.signature;
-      const transaction = await this.connection.getTransaction(signature, {
-        commitment: 'confirmed',
-        maxSupportedTransactionVersion: 0
-      });
+      const transaction = await this.fetchTransaction(signature);
+      if (!transaction) {
+        this.recordUnfetched(walletAddress, signature);
+        return;
+      }
+
+      // Only a transaction we actually got is remembered; anything else is retried by the next backfill
+      this.rememberSignature(walletAddress, signature);
+      walletInfo.unfetchedSignatures.delete(signature);
+      walletInfo.transactionCount++;
+      walletInfo.lastActivity = Date.now();
+
+      // Backfilled transactions have no live log notification
+      const transactionLogs = logs || {
+        signature,
+        err: transaction?.meta?.err || null,
+        logs: transaction?.meta?.logMessages || []
+      };
 
-      // Analyze transaction for threats
-      const threat = await this.analyzeTransaction(walletAddress, transaction, logs);
+      // Gather the facts once, then score them with each owner's preferences
+      const facts = await this.collectTransactionFacts(walletAddress, transaction);
       
-      if (threat) {
-        this.sendThreatAlert(walletAddress, threat);
+      for (const ownerId of walletInfo.watchers.keys()) {
+        const threat = facts && this.scoreTransaction(walletAddress, facts, transaction, transactionLogs, ownerId);
+        if (!threat) continue;
+
+        if (options.late) {
+          threat.lateDetection = true;
+          threat.source = `${threat.source} (Backfill)`;
+        }
+        this.sendThreatAlert(walletAddress, threat, ownerId);
       }
 
+      this.advanceCursor(walletAddress, signature, transaction.slot);
+
     } catch (error) {
       console.error(`Error analyzing transaction for ${walletAddress}:`, error);
+    } finally {
+      walletInfo.inFlightSignatures.delete(signature);
     }
   }
 
-  analyzeAccountChange(walletAddress, accountInfo, context) {
-    // Basic account change analysis
-    const threats = [];
-    let riskScore = 0;
-
-    // Check for suspicious account changes
-    if (!accountInfo) {
-      threats.push('Account closed or emptied');
-      riskScore += 70;
-    } else {
-      // Check for unusual lamport changes
-      if (accountInfo.lamports === 0) {
-        threats.push('Account drained of SOL');
-        riskScore += 80;
+  // getTransaction, retried with a short backoff while the RPC doesn't serve it yet (or fails).
+  // Returns null if it still isn't available
+  async fetchTransaction(signature) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const transaction = await this.connection.getTransaction(signature, {
+          commitment: 'confirmed',
+          maxSupportedTransactionVersion: 0
+        });
+        if (transaction) return transaction;
+      } catch (error) {
+        console.error(`Could not fetch transaction ${signature.slice(0, 8)}...:`, error.message);
       }
+
+      if (attempt >= this.fetchRetryDelaysMs.length) return null;
+      await new Promise(resolve => setTimeout(resolve, this.fetchRetryDelaysMs[attempt]));
     }
+  }
 
-    if (riskScore > 50) {
-      return {
-        type: riskScore >= 70 ? 'CRITICAL' : 'WARNING',
-        source: 'Account Change',
-        riskScore,
-        threats,
-        timestamp: new Date(),
-        context: context
-      };
+  // Leaves the signature for the next backfill, holding the cursor back, unless it has failed too often
+  recordUnfetched(walletAddress, signature) {
+    const walletInfo = this.monitoredWallets.get(walletAddress);
+    const rounds = (walletInfo.unfetchedSignatures.get(signature) || 0) + 1;
+
+    if (rounds < MAX_FETCH_ROUNDS) {
+      walletInfo.unfetchedSignatures.set(signature, rounds);
+      console.warn(`⏳ Transaction ${signature.slice(0, 8)}... not available yet, retrying on the next backfill`);
+      return;
     }
 
-    return null;
+    console.error(`❌ Giving up on transaction ${signature.slice(0, 8)}... after ${rounds} attempts`);
+    walletInfo.unfetchedSignatures.delete(signature);
+    this.rememberSignature(walletAddress, signature);
+    if (walletInfo.heldCursor) {
+      this.advanceCursor(walletAddress, walletInfo.heldCursor.signature, walletInfo.heldCursor.slot);
+    }
   }
 
-  async analyzeTransaction(walletAddress, transaction, logs) {
-    if (!transaction) return null;
+  async analyzeTransaction(walletAddress, transaction, logs, ownerId = null) {
+    const facts = await this.collectTransactionFacts(walletAddress, transaction);
+    return facts ? this.scoreTransaction(walletAddress, facts, transaction, logs, ownerId) : null;
+  }
 
-    const threats = [];
-    let riskScore = 0;
+  async collectTransactionFacts(walletAddress, transaction) {
+    if (!transaction) return null;
 
     try {
-      // Analyze transaction logs for suspicious patterns
-      const logMessages = logs.logs || [];
-      
-      // Check for common threat patterns
-      logMessages.forEach(log => {
-        const lowerLog = log.toLowerCase();
-        
-        // Token transfer patterns
-        if (lowerLog.includes('transfer') && lowerLog.includes('authority')) {
-          threats.push('Token authority transfer detected');
-          riskScore += 60;
-        }
-        
-        // Unknown program interactions
-        if (lowerLog.includes('invoke') && !this.isKnownProgram(log)) {
-          threats.push('Interaction with unknown program');
-          riskScore += 30;
-        }
-        
-        // Large transfer patterns
-        if (lowerLog.includes('transfer') && this.detectLargeTransfer(log)) {
-          threats.push('Large token transfer detected');
-          riskScore += 40;
-        }
-        
-        // Suspicious program calls
-        if (this.detectSuspiciousProgram(log)) {
-          threats.push('Interaction with flagged program');
-          riskScore += 80;
-        }
-        
-        // Token approval patterns
-        if (lowerLog.includes('approve') || lowerLog.includes('allowance')) {
-          threats.push('Token approval detected - potential drainer');
-          riskScore += 50;
-        }
-      });
+      return await this.buildTransactionFacts(walletAddress, transaction);
+    } catch (error) {
+      console.error('Error in transaction analysis:', error);
+      return null;
+    }
+  }
 
-      // Analyze transaction structure
-      if (transaction.meta) {
-        // Check for failed transactions
-        if (transaction.meta.err) {
-          threats.push('Transaction failed - possible attack attempt');
-          riskScore += 20;
-        }
+  // Score the facts with the declarative rules, honouring the owner's preferences
+  scoreTransaction(walletAddress, facts, transaction, logs, ownerId = null) {
+    const preferences = ownerId !== null ? this.settingsProvider(ownerId, walletAddress) : {};
+    const result = this.ruleEngine.evaluate(facts, preferences);
+
+    if (!result.shouldAlert) return null;
+
+    let category = null;
+    let source = 'Transaction Analysis';
+    if (facts.authorityChanges.length > 0) {
+      category = 'AUTHORITY_CHANGE';
+      source = 'Authority Monitor';
+    } else if (facts.delegations.length > 0) {
+      category = 'NEW_DELEGATION';
+      source = 'Delegation Monitor';
+    }
 
-        // Check for multiple account interactions
-        const accountKeys = transaction.transaction?.message?.accountKeys || [];
-        if (accountKeys.length > 10) {
-          threats.push('High number of account interactions');
-          riskScore += 25;
-        }
+    return {
+      type: result.type,
+      source,
+      category,
+      riskScore: result.riskScore,
+      threats: result.threats,
+      firedRules: result.firedRules,
+      timestamp: new Date(),
+      signature: logs.signature,
+      events: facts.events,
+      delegations: facts.delegations,
+      authorityChanges: facts.authorityChanges,
+      balanceChanges: facts.balanceChanges,
+      programs: facts.programs,
+      transaction: transaction
+    };
+  }
 
-        // Check for balance changes
-        const postBalances = transaction.meta.postBalances || [];
-        const preBalances = transaction.meta.preBalances || [];
-        
-        for (let i = 0; i < postBalances.length; i++) {
-          const change = postBalances[i] - (preBalances[i] || 0);
-          if (change < -1000000) { // More than 0.001 SOL decrease
-            threats.push('Significant SOL balance decrease');
-            riskScore += 30;
-          }
-        }
+  // Everything the threat rules can reason about for one transaction
+  async buildTransactionFacts(walletAddress, transaction) {
+    const decoded = this.decoder.decode(transaction);
+    const meta = transaction.meta || null;
+
+    // What left this wallet (its own SOL and token accounts only), valued in USD when possible
+    const balanceChanges = meta ? this.balanceAnalyzer.analyze(walletAddress, transaction, decoded.accountKeys) : null;
+    if (this.priceOracle && balanceChanges) {
+      await this.priceOracle.valueBalanceChanges(balanceChanges);
+    }
+
+    // Transaction frequency over the current window
+    const walletInfo = this.monitoredWallets.get(walletAddress);
+    const transactionCount = walletInfo ? walletInfo.transactionCount : 0;
+    const minutes = walletInfo ? (Date.now() - walletInfo.lastCheck) / 1000 / 60 : 0;
+
+    return {
+      wallet: walletAddress,
+      events: decoded.events,
+      programs: decoded.programIds.map(programId => this.programRegistry.lookup(programId)),
+      delegations: this.detectDelegations(walletAddress, transaction, decoded),
+      authorityChanges: this.detectAuthorityChanges(walletAddress, decoded),
+      balanceChanges,
+      failed: !!meta?.err,
+      accountCount: decoded.accountKeys.length,
+      solOutflowLamports: balanceChanges ? Number(balanceChanges.sol.netOutflow) : 0,
+      solOutflow: balanceChanges ? balanceChanges.sol.uiNetOutflow : '0',
+      outflowUsd: typeof balanceChanges?.totalUsd === 'number' ? balanceChanges.totalUsd : null,
+      largeRawTransfer: decoded.events.some(event =>
+        event.type.startsWith('Transfer') && event.authority === walletAddress && this.detectLargeTransfer(event)
+      ),
+      transactionCount,
+      txPerMinute: minutes > 0 ? transactionCount / minutes : 0
+    };
+  }
+
+  detectDelegations(walletAddress, transaction, decoded) {
+    // Only approvals the wallet itself signed can delegate its tokens
+    if (!decoded.signers.includes(walletAddress)) return [];
+
+    return decoded.events
+      .filter(event => (event.type === 'Approve' || event.type === 'ApproveChecked') && event.owner === walletAddress)
+      .map(event => {
+        const tokenInfo = this.decoder.getTokenAccountInfo(transaction, decoded.accountKeys, event.account);
+        const mint = event.mint || tokenInfo?.mint || null;
+        const decimals = event.decimals ?? tokenInfo?.decimals ?? null;
+
+        return {
+          tokenAccount: event.account,
+          mint,
+          delegate: event.delegate,
+          program: event.program,
+          amount: event.amount,
+          decimals,
+          uiAmount: this.formatTokenAmount(event.amount, decimals),
+          unlimited: event.amount === U64_MAX
+        };
+      });
+  }
+
+  detectAuthorityChanges(walletAddress, decoded) {
+    const changes = [];
+    const short = address => `${address.slice(0, 8)}...`;
+
+    decoded.events.forEach(event => {
+      // Owner or close authority of a wallet token account handed to someone else
+      if (
+        event.type === 'SetAuthority' &&
+        event.currentAuthority === walletAddress &&
+        (event.authorityType === 'AccountOwner' || event.authorityType === 'CloseAccount') &&
+        event.newAuthority &&
+        event.newAuthority !== walletAddress
+      ) {
+        const label = event.authorityType === 'AccountOwner' ? 'owner' : 'close authority';
+        changes.push({
+          kind: event.authorityType === 'AccountOwner' ? 'OWNER_REASSIGNED' : 'CLOSE_AUTHORITY_REASSIGNED',
+          account: event.account,
+          newAuthority: event.newAuthority,
+          description: `Token account ${short(event.account)} ${label} reassigned to ${short(event.newAuthority)}`
+        });
       }
 
-      // Check transaction frequency
-      const walletInfo = this.monitoredWallets.get(walletAddress);
-      if (walletInfo && walletInfo.transactionCount > 5) {
-        const timePeriod = (Date.now() - walletInfo.lastCheck) / 1000 / 60; // minutes
-        const txPerMinute = walletInfo.transactionCount / timePeriod;
-        
-        if (txPerMinute > 2) {
-          threats.push('High transaction frequency detected');
-          riskScore += 35;
-        }
+      // Token account closed with its rent sent to a foreign address
+      if (event.type === 'CloseAccount' && event.owner === walletAddress && event.destination !== walletAddress) {
+        changes.push({
+          kind: 'ACCOUNT_CLOSED_TO_FOREIGN',
+          account: event.account,
+          newAuthority: event.destination,
+          description: `Token account ${short(event.account)} closed with funds sent to ${short(event.destination)}`
+        });
       }
 
-    } catch (error) {
-      console.error('Error in transaction analysis:', error);
-      threats.push('Analysis error occurred');
-      riskScore += 10;
-    }
+      // The wallet itself assigned to a program other than the System Program
+      if (
+        (event.type === 'Assign' || event.type === 'AssignWithSeed') &&
+        event.account === walletAddress &&
+        event.owner !== SYSTEM_PROGRAM_ID
+      ) {
+        changes.push({
+          kind: 'WALLET_ASSIGNED',
+          account: walletAddress,
+          newAuthority: event.owner,
+          description: `Wallet ownership assigned to program ${short(event.owner)}`
+        });
+      }
+    });
 
-    if (riskScore > 40) {
-      return {
-        type: riskScore >= 70 ? 'CRITICAL' : 'WARNING',
-        source: 'Transaction Analysis',
-        riskScore,
-        threats,
-        timestamp: new Date(),
-        signature: logs.signature,
-        transaction: transaction
-      };
-    }
+    return changes;
+  }
 
-    return null;
+  formatTokenAmount(amount, decimals) {
+    if (decimals === null || decimals === undefined) return `${amount} units`;
+    return this.balanceAnalyzer.toUiAmount(amount, decimals);
   }
 
-  isKnownProgram(log) {
-    const knownPrograms = [
-      'system program',
-      'token program',
-      'associated token',
-      'spl-token',
-      'jupiter',
-      'raydium',
-      'serum',
-      'orca'
-    ];
-    
-    const lowerLog = log.toLowerCase();
-    return knownPrograms.some(program => lowerLog.includes(program));
+  detectLargeTransfer(event) {
+    // Simple heuristic on raw base units (lamports or token units)
+    const amount = BigInt(event.amount || event.lamports || 0);
+    return amount > 1000000n; // Arbitrary threshold
   }
 
-  detectLargeTransfer(log) {
-    // Simple heuristic for large transfers
-    const matches = log.match(/transfer.*?(\d+)/i);
-    if (matches && matches[1]) {
-      const amount = parseInt(matches[1]);
-      return amount > 1000000; // Arbitrary threshold
+  // Scores facts from outside a transaction (balance watches, health checks) with each owner's
+  // preferences, and alerts the owners they concern; base carries the rest of the threat
+  alertOnFacts(walletAddress, facts, base) {
+    const walletInfo = this.monitoredWallets.get(walletAddress);
+    if (!walletInfo) return;
+
+    for (const ownerId of walletInfo.watchers.keys()) {
+      const result = this.ruleEngine.evaluate({ wallet: walletAddress, ...facts }, this.settingsProvider(ownerId, walletAddress));
+      if (!result.shouldAlert) continue;
+
+      this.sendThreatAlert(walletAddress, {
+        ...base,
+        type: result.type,
+        riskScore: result.riskScore,
+        threats: result.threats,
+        firedRules: result.firedRules,
+        timestamp: new Date()
+      }, ownerId);
     }
-    return false;
   }
 
-  detectSuspiciousProgram(log) {
-    const suspiciousPatterns = [
-      'drainer',
-      'stealer',
-      'malicious',
-      'phishing',
-      'unknown_program'
-    ];
-    
-    const lowerLog = log.toLowerCase();
-    return suspiciousPatterns.some(pattern => lowerLog.includes(pattern));
-  }
+  // Delivers to one owner, or to every owner watching the wallet
+  sendThreatAlert(walletAddress, threat, ownerId = null) {
+    const walletInfo = this.monitoredWallets.get(walletAddress);
+    if (!walletInfo) return;
 
-  sendThreatAlert(walletAddress, threat) {
-    const callback = this.threatCallbacks.get(walletAddress);
-    if (callback) {
-      callback(walletAddress, threat);
-    }
+    walletInfo.watchers.forEach((watcher, watcherId) => {
+      if (ownerId === null || watcherId === ownerId) {
+        watcher.threatCallback(walletAddress, threat);
+      }
+    });
   }
 
   startPeriodicChecks() {
     if (this.isMonitoring) return;
     
     this.isMonitoring = true;
+    this.restoreUptime();
+    this.startHeartbeat();
     
     // Run health checks every 30 seconds
     setInterval(() => {
       this.performPeriodicChecks();
     }, 30000);
+
+    // Watch for dead websocket subscriptions
+    setInterval(() => {
+      this.superviseSubscriptions();
+    }, SUPERVISOR_INTERVAL_MS);
     
     console.log('🔄 Started periodic monitoring checks');
   }
 
   async performPeriodicChecks() {
+    this.saveUptime(); // Marks the process as alive, so a crash can be told apart from uptime
+
     for (const [walletAddress, walletInfo] of this.monitoredWallets) {
       try {
         // Reset transaction count periodically
@@ -341,6 +835,9 @@ class TransactionMonitor {
         
         // Perform health check
         await this.performHealthCheck(walletAddress);
+
+        // Pick up anything the live stream missed
+        await this.backfillWallet(walletAddress);
         
       } catch (error) {
         console.error(`Periodic check failed for ${walletAddress}:`, error);
@@ -357,15 +854,7 @@ class TransactionMonitor {
       
       // Check for account existence
       if (!accountInfo && walletInfo.hadAccount) {
-        const threat = {
-          type: 'CRITICAL',
-          source: 'Health Check',
-          riskScore: 90,
-          threats: ['Account no longer exists - possible drain'],
-          timestamp: new Date()
-        };
-        
-        this.sendThreatAlert(walletAddress, threat);
+        this.alertOnFacts(walletAddress, { accountMissing: true }, { source: 'Health Check' });
       }
       
       // Update account status
@@ -377,13 +866,84 @@ class TransactionMonitor {
     }
   }
 
+  isWatching(walletAddress, ownerId) {
+    const walletInfo = this.monitoredWallets.get(walletAddress);
+    return Boolean(walletInfo && walletInfo.watchers.has(ownerId));
+  }
+
+  // Cached token balances for a monitored wallet
+  getTokenHoldings(walletAddress) {
+    const walletInfo = this.monitoredWallets.get(walletAddress);
+    if (!walletInfo) return [];
+
+    return Array.from(walletInfo.tokenAccounts.entries()).map(([tokenAccount, info]) => ({
+      tokenAccount,
+      ...info
+    }));
+  }
+
+  // Resumes uptime accounting from before a restart. The time the process was down counts as an outage,
+  // as does whatever was left of an outage still open when it stopped
+  restoreUptime() {
+    const now = Date.now();
+    const saved = this.stateStore.get('uptime');
+
+    if (!saved || !saved.monitoringSince) {
+      this.monitoringSince = now;
+    } else {
+      const outages = saved.outages || [];
+      const wasDown = outages.some(outage => !outage.end);
+
+      this.monitoringSince = saved.monitoringSince;
+      this.outages = outages.map(outage => ({ start: outage.start, end: outage.end || now }));
+      if (!wasDown && saved.lastAlive && saved.lastAlive < now) {
+        this.outages = [...this.outages, { start: saved.lastAlive, end: now }].slice(-MAX_OUTAGES);
+      }
+
+      console.log(`⏱️ Restored uptime accounting since ${new Date(this.monitoringSince).toLocaleString()}`);
+    }
+
+    this.saveUptime();
+  }
+
+  saveUptime() {
+    if (!this.monitoringSince) return;
+    this.stateStore.set('uptime', {
+      monitoringSince: this.monitoringSince,
+      outages: this.outages,
+      lastAlive: Date.now()
+    });
+  }
+
+  // Share of time since `since` (or since monitoring began) that subscriptions were live, 0-100
+  getUptime(since = 0) {
+    if (!this.monitoringSince) return null;
+
+    const now = Date.now();
+    const start = Math.max(since, this.monitoringSince);
+    if (start >= now) return 100;
+
+    const downtime = this.outages.reduce((total, outage) => {
+      const overlap = Math.min(outage.end || now, now) - Math.max(outage.start, start);
+      return total + Math.max(overlap, 0);
+    }, 0);
+
+    return Math.max(0, 100 - (downtime / (now - start)) * 100);
+  }
+
   getMonitoringStats() {
     return {
       totalWallets: this.monitoredWallets.size,
+      subscriptionsHealthy: this.isHealthy(),
+      monitoringSince: this.monitoringSince ? new Date(this.monitoringSince) : null,
+      uptime: this.getUptime(),
+      lastHeartbeat: new Date(this.lastHeartbeat).toLocaleString(),
+      reconnectAttempts: this.reconnectAttempts,
       wallets: Array.from(this.monitoredWallets.entries()).map(([address, info]) => ({
         address: address.slice(0, 8) + '...',
-        userId: info.userId,
+        owners: Array.from(info.watchers.keys()),
         transactionCount: info.transactionCount,
+        tokenAccounts: info.tokenAccounts.size,
         lastActivity: info.lastActivity ? new Date(info.lastActivity).toLocaleString() : 'None'
       }))
     };
@@ -0,0 +1,239 @@
+// src/services/transactionSimulator.js
+const { Connection, PublicKey, VersionedTransaction, SystemProgram } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, AccountLayout, MintLayout, ACCOUNT_SIZE } = require('@solana/spl-token');
+
+const TOKEN_PROGRAMS = [TOKEN_PROGRAM_ID.toString(), TOKEN_2022_PROGRAM_ID.toString()];
+const MAX_ACCOUNTS_PER_REQUEST = 100;
+const LAMPORTS_PER_SIGNATURE = 5000;
+const U64_MAX = '18446744073709551615';
+
+// Dry-runs an unsigned (or signed) transaction with simulateTransaction and turns the before/after
+// account states into the same facts the live monitor scores, so it can be judged before signing
+class TransactionSimulator {
+  constructor(rpcUrl, options = {}) {
+    this.connection = new Connection(rpcUrl, 'confirmed');
+    this.transactionMonitor = options.transactionMonitor; // supplies the decoder, pricing and rule facts
+  }
+
+  // Returns { signer, facts, transaction, err, logs, unitsConsumed }
+  async simulate(base64, signer = null) {
+    let versioned;
+    try {
+      versioned = VersionedTransaction.deserialize(Buffer.from(base64.trim(), 'base64'));
+    } catch (error) {
+      throw new Error('That is not a valid base64-encoded Solana transaction');
+    }
+
+    const message = versioned.message;
+    const loadedAddresses = await this.resolveLookupTables(message);
+    const accountKeys = [
+      ...message.staticAccountKeys,
+      ...loadedAddresses.writable,
+      ...loadedAddresses.readonly
+    ].map(key => key.toString());
+
+    // Judge the transaction from the fee payer's point of view unless told otherwise
+    const signers = accountKeys.slice(0, message.header.numRequiredSignatures);
+    const subject = signer || signers[0];
+    if (!signers.includes(subject)) {
+      throw new Error(`${subject.slice(0, 8)}... does not sign this transaction`);
+    }
+
+    const preAccounts = await this.getAccounts(accountKeys);
+    const { value } = await this.connection.simulateTransaction(versioned, {
+      sigVerify: false,
+      replaceRecentBlockhash: true,
+      commitment: 'confirmed',
+      accounts: { encoding: 'base64', addresses: accountKeys }
+    });
+
+    // A failed simulation returns no account states: nothing would change
+    const postAccounts = value.accounts
+      ? value.accounts.map(account => account && {
+        lamports: account.lamports,
+        owner: new PublicKey(account.owner),
+        data: Buffer.from(account.data[0], 'base64')
+      })
+      : preAccounts;
+
+    const preTokens = this.decodeTokenAccounts(preAccounts);
+    const postTokens = this.decodeTokenAccounts(postAccounts);
+    const decimals = await this.getMintDecimals([...preTokens, ...postTokens].filter(Boolean).map(token => token.mint));
+
+    const transaction = {
+      transaction: { message },
+      meta: {
+        err: value.err,
+        fee: LAMPORTS_PER_SIGNATURE * signers.length,
+        preBalances: preAccounts.map(account => (account ? account.lamports : 0)),
+        postBalances: postAccounts.map(account => (account ? account.lamports : 0)),
+        preTokenBalances: this.toTokenBalances(preTokens, decimals),
+        postTokenBalances: this.toTokenBalances(postTokens, decimals),
+        innerInstructions: [],
+        logMessages: value.logs || [],
+        loadedAddresses
+      }
+    };
+
+    const facts = await this.transactionMonitor.buildTransactionFacts(subject, transaction);
+
+    // Instructions run through other programs (CPIs) aren't decoded, but their effects show in the state diff
+    this.addStateChanges(subject, facts, accountKeys, { preAccounts, postAccounts, preTokens, postTokens, decimals });
+
+    return {
+      signer: subject,
+      facts,
+      transaction,
+      err: value.err,
+      logs: value.logs || [],
+      unitsConsumed: value.unitsConsumed || null
+    };
+  }
+
+  async resolveLookupTables(message) {
+    const loaded = { writable: [], readonly: [] };
+
+    for (const lookup of message.addressTableLookups || []) {
+      const { value: table } = await this.connection.getAddressLookupTable(lookup.accountKey);
+      if (!table) {
+        throw new Error(`Address lookup table ${lookup.accountKey.toString().slice(0, 8)}... not found`);
+      }
+      lookup.writableIndexes.forEach(index => loaded.writable.push(table.state.addresses[index]));
+      lookup.readonlyIndexes.forEach(index => loaded.readonly.push(table.state.addresses[index]));
+    }
+
+    return loaded;
+  }
+
+  async getAccounts(addresses) {
+    const accounts = [];
+    for (let i = 0; i < addresses.length; i += MAX_ACCOUNTS_PER_REQUEST) {
+      const chunk = addresses.slice(i, i + MAX_ACCOUNTS_PER_REQUEST).map(address => new PublicKey(address));
+      accounts.push(...await this.connection.getMultipleAccountsInfo(chunk));
+    }
+    return accounts;
+  }
+
+  // Token account state per account index (null for anything that isn't a token account)
+  decodeTokenAccounts(accounts) {
+    return accounts.map(account => {
+      if (!account || !TOKEN_PROGRAMS.includes(account.owner.toString()) || account.data.length < ACCOUNT_SIZE) {
+        return null;
+      }
+
+      const decoded = AccountLayout.decode(account.data.subarray(0, ACCOUNT_SIZE));
+      return {
+        mint: decoded.mint.toString(),
+        owner: decoded.owner.toString(),
+        program: account.owner.toString(),
+        amount: decoded.amount.toString(),
+        delegate: decoded.delegateOption ? decoded.delegate.toString() : null,
+        delegatedAmount: decoded.delegatedAmount.toString(),
+        closeAuthority: decoded.closeAuthorityOption ? decoded.closeAuthority.toString() : null
+      };
+    });
+  }
+
+  // Uses the monitor's cache, fetching whatever it hasn't seen yet
+  async getMintDecimals(mints) {
+    const cache = this.transactionMonitor.mintDecimals;
+    const missing = Array.from(new Set(mints)).filter(mint => !cache.has(mint));
+
+    if (missing.length > 0) {
+      const accounts = await this.getAccounts(missing);
+      accounts.forEach((account, index) => {
+        if (account && account.data.length >= MintLayout.span) {
+          cache.set(missing[index], MintLayout.decode(account.data.subarray(0, MintLayout.span)).decimals);
+        }
+      });
+    }
+
+    return cache;
+  }
+
+  // Same shape as getTransaction's meta.preTokenBalances / postTokenBalances
+  toTokenBalances(tokens, decimals) {
+    return tokens
+      .map((token, accountIndex) => {
+        if (!token) return null;
+        const tokenDecimals = decimals.get(token.mint) ?? 0;
+        const uiAmountString = this.transactionMonitor.balanceAnalyzer.toUiAmount(token.amount, tokenDecimals);
+        return {
+          accountIndex,
+          mint: token.mint,
+          owner: token.owner,
+          programId: token.program,
+          uiTokenAmount: {
+            amount: token.amount,
+            decimals: tokenDecimals,
+            uiAmount: Number(uiAmountString),
+            uiAmountString
+          }
+        };
+      })
+      .filter(Boolean);
+  }
+
+  // New delegations and authority changes on the signer's accounts, read from before/after state
+  addStateChanges(signer, facts, accountKeys, state) {
+    const short = address => `${address.slice(0, 8)}...`;
+    const hasChange = (account, kind) => facts.authorityChanges.some(change => change.account === account && change.kind === kind);
+
+    accountKeys.forEach((address, index) => {
+      const before = state.preTokens[index];
+      const after = state.postTokens[index];
+      if (!before || before.owner !== signer || !after) return;
+
+      if (after.owner !== signer && !hasChange(address, 'OWNER_REASSIGNED')) {
+        facts.authorityChanges.push({
+          kind: 'OWNER_REASSIGNED',
+          account: address,
+          newAuthority: after.owner,
+          description: `Token account ${short(address)} owner reassigned to ${short(after.owner)}`
+        });
+      }
+
+      if (after.closeAuthority && after.closeAuthority !== signer && after.closeAuthority !== before.closeAuthority &&
+        !hasChange(address, 'CLOSE_AUTHORITY_REASSIGNED')) {
+        facts.authorityChanges.push({
+          kind: 'CLOSE_AUTHORITY_REASSIGNED',
+          account: address,
+          newAuthority: after.closeAuthority,
+          description: `Token account ${short(address)} close authority reassigned to ${short(after.closeAuthority)}`
+        });
+      }
+
+      const newDelegation = after.delegate &&
+        (after.delegate !== before.delegate || BigInt(after.delegatedAmount) > BigInt(before.delegatedAmount));
+      if (newDelegation && !facts.delegations.some(delegation => delegation.tokenAccount === address)) {
+        const decimals = state.decimals.get(after.mint) ?? null;
+        facts.delegations.push({
+          tokenAccount: address,
+          mint: after.mint,
+          delegate: after.delegate,
+          program: after.program === TOKEN_PROGRAM_ID.toString() ? 'spl-token' : 'token-2022',
+          amount: after.delegatedAmount,
+          decimals,
+          uiAmount: this.transactionMonitor.formatTokenAmount(after.delegatedAmount, decimals),
+          unlimited: after.delegatedAmount === U64_MAX
+        });
+      }
+    });
+
+    // The wallet itself handed to a program
+    const signerIndex = accountKeys.indexOf(signer);
+    const before = state.preAccounts[signerIndex];
+    const after = state.postAccounts[signerIndex];
+    if (before && after && before.owner.equals(SystemProgram.programId) && !after.owner.equals(SystemProgram.programId) &&
+      !hasChange(signer, 'WALLET_ASSIGNED')) {
+      facts.authorityChanges.push({
+        kind: 'WALLET_ASSIGNED',
+        account: signer,
+        newAuthority: after.owner.toString(),
+        description: `Wallet ownership assigned to program ${short(after.owner.toString())}`
+      });
+    }
+  }
+}
+
+module.exports = TransactionSimulator;
@@ -0,0 +1,137 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const AlertPipeline = require('../src/services/alertPipeline');
+
+const OWNER = 'user-1';
+const WALLET = 'Wallet1111111111111111111111111111111111111';
+const MINUTE = 60 * 1000;
+
+function threat(overrides = {}) {
+  return {
+    type: 'HIGH',
+    source: 'Transaction Monitor',
+    riskScore: 60,
+    threats: ['Large outflow: $1,200.00 left the wallet'],
+    firedRules: [{ id: 'large-outflow-usd', score: 40 }],
+    ...overrides
+  };
+}
+
+// Moves the incident's history into the past instead of waiting
+function age(incident, ms) {
+  ['timestamp', 'updatedAt', 'alertedAt'].forEach(field => {
+    incident[field] = new Date(new Date(incident[field]).getTime() - ms);
+  });
+}
+
+test('merges activity within the correlation window into one incident', () => {
+  const pipeline = new AlertPipeline(new Map());
+  const first = pipeline.ingest(OWNER, WALLET, threat({ signature: 'sig-1' }));
+  const second = pipeline.ingest(OWNER, WALLET, threat({
+    signature: 'sig-2',
+    riskScore: 80,
+    threats: ['New delegation: UNLIMITED EPjFWdd5... to Drainer1...'],
+    firedRules: [{ id: 'unlimited-approval', score: 70 }]
+  }));
+
+  assert.equal(first.action, 'new');
+  assert.equal(second.action, 'update');
+  assert.equal(second.incident, first.incident);
+  assert.deepEqual(second.incident.signatures, ['sig-1', 'sig-2']);
+  assert.equal(second.incident.riskScore, 80);
+});
+
+test('suppresses a repeat of the same transaction', () => {
+  const pipeline = new AlertPipeline(new Map());
+  const { incident } = pipeline.ingest(OWNER, WALLET, threat({ signature: 'sig-1' }));
+  age(incident, 10 * MINUTE);
+
+  const repeat = pipeline.ingest(OWNER, WALLET, threat({ signature: 'sig-1' }));
+
+  assert.equal(repeat.action, 'suppress');
+  assert.equal(repeat.incident.suppressedCount, 1);
+});
+
+test('opens a new incident for an unseen transaction during the cooldown', () => {
+  const pipeline = new AlertPipeline(new Map());
+  const { incident } = pipeline.ingest(OWNER, WALLET, threat({ signature: 'sig-1' }));
+  age(incident, 10 * MINUTE);
+
+  const next = pipeline.ingest(OWNER, WALLET, threat({ signature: 'sig-2' }));
+
+  assert.equal(next.action, 'new');
+  assert.notEqual(next.incident.id, incident.id);
+  assert.deepEqual(next.incident.signatures, ['sig-2']);
+  assert.equal(incident.suppressedCount, 0);
+});
+
+test('suppresses a signature-less repeat during the cooldown', () => {
+  const pipeline = new AlertPipeline(new Map());
+  const watch = { source: 'Balance Watch', firedRules: [{ id: 'token-balance-drop', score: 60 }] };
+  const { incident } = pipeline.ingest(OWNER, WALLET, threat(watch));
+  age(incident, 10 * MINUTE);
+
+  const repeat = pipeline.ingest(OWNER, WALLET, threat(watch));
+
+  assert.equal(repeat.action, 'suppress');
+  assert.equal(repeat.incident, incident);
+});
+
+test('alerts again once the cooldown has passed', () => {
+  const pipeline = new AlertPipeline(new Map());
+  const watch = { source: 'Balance Watch', firedRules: [{ id: 'token-balance-drop', score: 60 }] };
+  const { incident } = pipeline.ingest(OWNER, WALLET, threat(watch));
+  age(incident, 16 * MINUTE);
+
+  assert.equal(pipeline.ingest(OWNER, WALLET, threat(watch)).action, 'new');
+});
+
+test('closed incidents never absorb new activity', () => {
+  const pipeline = new AlertPipeline(new Map());
+  const { incident } = pipeline.ingest(OWNER, WALLET, threat({ signature: 'sig-1' }));
+  pipeline.setStatus(incident.id, 'resolved', OWNER);
+
+  assert.equal(pipeline.ingest(OWNER, WALLET, threat({ signature: 'sig-1' })).action, 'new');
+});
+
+test('keeps incidents and feedback apart per owner', () => {
+  const pipeline = new AlertPipeline(new Map());
+  const { incident } = pipeline.ingest(OWNER, WALLET, threat({ signature: 'sig-1' }));
+  pipeline.setStatus(incident.id, 'false_positive', OWNER);
+
+  assert.equal(pipeline.ingest('user-2', WALLET, threat({ signature: 'sig-1' })).action, 'new');
+  assert.equal(pipeline.getFeedback(OWNER, WALLET).length, 1);
+  assert.deepEqual(pipeline.getFeedback('user-2', WALLET), []);
+});
+
+test('suppressed repeats do not keep an incident open forever', () => {
+  const pipeline = new AlertPipeline(new Map());
+  const watch = { source: 'Balance Watch', firedRules: [{ id: 'token-balance-drop', score: 60 }] };
+  const { incident } = pipeline.ingest(OWNER, WALLET, threat(watch));
+
+  // The same finding every 84 seconds: quiet through the cooldown, then a fresh alert
+  const actions = [];
+  for (let i = 0; i < 11; i++) {
+    age(incident, 1.4 * MINUTE);
+    actions.push(pipeline.ingest(OWNER, WALLET, threat(watch)).action);
+  }
+
+  assert.deepEqual(actions, [...Array(10).fill('suppress'), 'new']);
+});
+
+test('stops extending an incident after its maximum span', () => {
+  const pipeline = new AlertPipeline(new Map());
+  const { incident } = pipeline.ingest(OWNER, WALLET, threat({ signature: 'sig-0' }));
+
+  // A new transaction every minute keeps updating the incident, up to 30 minutes after its first alert
+  const actions = [];
+  for (let i = 1; i <= 29; i++) {
+    age(incident, MINUTE);
+    actions.push(pipeline.ingest(OWNER, WALLET, threat({ signature: `sig-${i}` })).action);
+  }
+  age(incident, 1.5 * MINUTE);
+  actions.push(pipeline.ingest(OWNER, WALLET, threat({ signature: 'sig-30' })).action);
+
+  assert.deepEqual(actions, [...Array(29).fill('update'), 'new']);
+  assert.equal(incident.signatures.length, 30);
+});
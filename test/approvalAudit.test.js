@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PublicKey, Keypair } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const ApprovalAudit = require('../src/services/approvalAudit');
+const { TOKEN_METADATA_PROGRAM_ID } = ApprovalAudit;
+
+// 80-byte TokenRecord accounts as the token metadata program stores them: key 11, bump, state,
+// then Option<u64> rule set revision, Option<Pubkey> delegate, Option<u8> role, Option<Pubkey> locked transfer
+const LOCKED_STAKING_RECORD = Buffer.from(
+  '0bfe010001ab0b1fb8f45b13b9ed6edf0387d3f43e4d47201efc6a203d5ac61f548459aaa0010300000000' +
+  '00000000000000000000000000000000000000000000000000000000000000000000000000', 'hex');
+const LOCKED_STAKING_DELEGATE = 'CWgZ9tEDGR5ScGtq8UPzcVx4AD75otE6WMgEY6DzDjzX';
+const UNLOCKED_RECORD = Buffer.from(
+  '0bfd00010200000000000000000000000000000000000000000000000000000000000000000000000000' +
+  '00000000000000000000000000000000000000000000000000000000000000000000000000', 'hex');
+
+test('decodes a token record with a delegate', () => {
+  assert.equal(LOCKED_STAKING_RECORD.length, 80);
+  assert.deepEqual(new ApprovalAudit().decodeTokenRecord(LOCKED_STAKING_RECORD), {
+    state: 'Locked',
+    delegate: LOCKED_STAKING_DELEGATE,
+    role: 'Staking'
+  });
+});
+
+test('skips the rule set revision when decoding a token record', () => {
+  assert.deepEqual(new ApprovalAudit().decodeTokenRecord(UNLOCKED_RECORD), {
+    state: 'Unlocked',
+    delegate: null,
+    role: null
+  });
+});
+
+test('ignores other metadata accounts', () => {
+  const holderDelegate = Buffer.from(LOCKED_STAKING_RECORD);
+  holderDelegate[0] = 14;
+
+  assert.equal(new ApprovalAudit().decodeTokenRecord(holderDelegate), null);
+});
+
+function tokenAccount(address, info) {
+  return {
+    pubkey: new PublicKey(address),
+    account: { data: { parsed: { info: { state: 'initialized', ...info } } } }
+  };
+}
+
+// A connection serving the given token accounts and metadata accounts (address -> data)
+function mockConnection(tokenAccounts, metadataAccounts) {
+  return {
+    getParsedTokenAccountsByOwner: async (owner, { programId }) => ({
+      value: programId.equals(TOKEN_PROGRAM_ID) ? tokenAccounts : []
+    }),
+    getMultipleAccountsInfo: async keys => keys.map(key => {
+      const data = metadataAccounts.get(key.toString());
+      return data ? { owner: TOKEN_METADATA_PROGRAM_ID, data } : null;
+    }),
+    getMultipleParsedAccounts: async keys => ({ value: keys.map(() => null) })
+  };
+}
+
+test('reports a pNFT delegate once and never offers a plain Revoke for frozen accounts', async () => {
+  const wallet = Keypair.generate().publicKey.toString();
+  const pnft = { account: Keypair.generate().publicKey.toString(), mint: Keypair.generate().publicKey.toString() };
+  const frozen = { account: Keypair.generate().publicKey.toString(), mint: Keypair.generate().publicKey.toString() };
+  const delegate = Keypair.generate().publicKey.toString();
+  const nftAmount = { amount: '1', decimals: 0, uiAmountString: '1' };
+  const approval = { amount: '1', decimals: 0, uiAmountString: '1' };
+
+  const recordAddress = PublicKey.findProgramAddressSync(
+    [
+      Buffer.from('metadata'),
+      TOKEN_METADATA_PROGRAM_ID.toBuffer(),
+      new PublicKey(pnft.mint).toBuffer(),
+      Buffer.from('token_record'),
+      new PublicKey(pnft.account).toBuffer()
+    ],
+    TOKEN_METADATA_PROGRAM_ID
+  )[0].toString();
+
+  const audit = new ApprovalAudit({
+    connection: mockConnection([
+      // A pNFT mirrors its Metaplex delegate onto the frozen token account
+      tokenAccount(pnft.account, { mint: pnft.mint, tokenAmount: nftAmount, state: 'frozen', delegate: LOCKED_STAKING_DELEGATE, delegatedAmount: approval }),
+      tokenAccount(frozen.account, { mint: frozen.mint, tokenAmount: nftAmount, state: 'frozen', delegate, delegatedAmount: approval })
+    ], new Map([[recordAddress, LOCKED_STAKING_RECORD]]))
+  });
+
+  const { permissions } = await audit.audit(wallet);
+  const byAccount = new Map(permissions.map(permission => [permission.tokenAccount, permission]));
+
+  assert.equal(permissions.length, 2);
+  assert.equal(byAccount.get(pnft.account).kind, 'PNFT_DELEGATE');
+  assert.equal(byAccount.get(pnft.account).role, 'Staking');
+  assert.equal(byAccount.get(pnft.account).locked, true);
+  assert.equal(byAccount.get(frozen.account).kind, 'TOKEN_DELEGATE');
+  assert.ok(permissions.every(permission => !permission.revocable));
+});
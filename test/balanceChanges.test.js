@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BalanceChangeAnalyzer = require('../src/services/balanceChanges');
+
+const WALLET = 'Wallet1111111111111111111111111111111111111';
+const ATTACKER = 'Attacker11111111111111111111111111111111111';
+const WALLET_ATA = 'WalletAta111111111111111111111111111111111';
+const ATTACKER_ATA = 'AttackerAta11111111111111111111111111111111';
+const POOL_VAULT = 'PoolVault111111111111111111111111111111111';
+const MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const FEE = 5000;
+
+const analyzer = new BalanceChangeAnalyzer();
+
+function tokenBalance(accountIndex, owner, amount) {
+  return { accountIndex, mint: MINT, owner, uiTokenAmount: { amount: String(amount), decimals: 6 } };
+}
+
+test('does not count the network fee as an outflow for the fee payer', () => {
+  const result = analyzer.analyze(WALLET, {
+    meta: { fee: FEE, preBalances: [1000000000, 0], postBalances: [1000000000 - FEE, 0] }
+  }, [WALLET, ATTACKER]);
+
+  assert.equal(result.sol.feePaidByWallet, true);
+  assert.equal(result.sol.fee, String(FEE));
+  assert.equal(result.sol.netOutflow, '0');
+  assert.equal(result.hasOutflow, false);
+});
+
+test('reports SOL sent by the fee payer without the fee', () => {
+  const result = analyzer.analyze(WALLET, {
+    meta: { fee: FEE, preBalances: [3000000000, 0], postBalances: [1500000000 - FEE, 1500000000] }
+  }, [WALLET, ATTACKER]);
+
+  assert.deepEqual(result.outflows, [{
+    asset: 'SOL',
+    mint: null,
+    decimals: 9,
+    amount: '1500000000',
+    uiAmount: '1.5',
+    destinations: [{ address: ATTACKER, amount: '1500000000', uiAmount: '1.5' }]
+  }]);
+});
+
+test('counts every lamport lost when someone else paid the fee', () => {
+  const result = analyzer.analyze(WALLET, {
+    meta: { fee: FEE, preBalances: [1000000000, 2000000], postBalances: [1000000000 - FEE + 1000000, 1000000] }
+  }, [ATTACKER, WALLET]);
+
+  assert.equal(result.sol.feePaidByWallet, false);
+  assert.equal(result.sol.netOutflow, '1000000');
+  assert.deepEqual(result.outflows[0].destinations.map(destination => destination.address), [ATTACKER]);
+});
+
+test('keys token destinations by owner, falling back to the token account', () => {
+  const result = analyzer.analyze(WALLET, {
+    meta: {
+      fee: FEE,
+      preBalances: [1000000000, 0, 0, 0],
+      postBalances: [1000000000 - FEE, 0, 0, 0],
+      preTokenBalances: [tokenBalance(1, WALLET, 10000000), tokenBalance(2, ATTACKER, 0), tokenBalance(3, undefined, 0)],
+      postTokenBalances: [tokenBalance(1, WALLET, 0), tokenBalance(2, ATTACKER, 7500000), tokenBalance(3, undefined, 2500000)]
+    }
+  }, [WALLET, WALLET_ATA, ATTACKER_ATA, POOL_VAULT]);
+
+  assert.equal(result.outflows.length, 1);
+  assert.equal(result.outflows[0].mint, MINT);
+  assert.equal(result.outflows[0].uiAmount, '10');
+  assert.deepEqual(result.outflows[0].destinations, [
+    { address: ATTACKER, tokenAccount: ATTACKER_ATA, amount: '7500000', uiAmount: '7.5' },
+    { address: POOL_VAULT, tokenAccount: POOL_VAULT, amount: '2500000', uiAmount: '2.5' }
+  ]);
+  assert.deepEqual(result.tokens, [{ mint: MINT, decimals: 6, pre: '10000000', post: '0', delta: '-10000000', uiDelta: '-10' }]);
+});
+
+test("doesn't list the wallet's own token accounts as destinations", () => {
+  // Creating its own ATA: the rent moves from the wallet into an account it owns
+  const result = analyzer.analyze(WALLET, {
+    meta: {
+      fee: FEE,
+      preBalances: [1000000000, 0, 0],
+      postBalances: [1000000000 - FEE - 2039280 - 1000, 2039280, 1000],
+      preTokenBalances: [],
+      postTokenBalances: [tokenBalance(1, WALLET, 0)]
+    }
+  }, [WALLET, WALLET_ATA, ATTACKER]);
+
+  assert.equal(result.outflows[0].amount, String(2039280 + 1000));
+  assert.deepEqual(result.outflows[0].destinations.map(destination => destination.address), [ATTACKER]);
+});
+
+test('converts raw amounts to UI amounts', () => {
+  assert.equal(analyzer.toUiAmount('1500000', 6), '1.5');
+  assert.equal(analyzer.toUiAmount('1000000', 6), '1');
+  assert.equal(analyzer.toUiAmount('42', 6), '0.000042');
+  assert.equal(analyzer.toUiAmount('42', 0), '42');
+  assert.equal(analyzer.toUiAmount('1500000', null), '1500000');
+  assert.equal(analyzer.toUiAmount(1500000n, undefined), '1500000');
+});
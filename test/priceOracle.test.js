@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PriceOracle, StaticPriceProvider, SOL_MINT } = require('../src/services/priceOracle');
+
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const UNKNOWN_MINT = 'UnknownMint1111111111111111111111111111111';
+
+// Counts the mints each lookup asks the provider for
+function countingProvider(prices) {
+  const provider = {
+    calls: [],
+    async getPrices(mints) {
+      provider.calls.push(mints);
+      const result = {};
+      mints.forEach(mint => {
+        if (prices[mint] !== undefined) result[mint] = prices[mint];
+      });
+      return result;
+    }
+  };
+  return provider;
+}
+
+function withClock(t, start) {
+  let now = start;
+  t.mock.method(Date, 'now', () => now);
+  return { advance: ms => { now += ms; } };
+}
+
+test('serves cached prices until the TTL expires', async t => {
+  const clock = withClock(t, 1000);
+  const provider = countingProvider({ [SOL_MINT]: 150 });
+  const oracle = new PriceOracle(provider, { ttlMs: 60000 });
+
+  assert.equal(await oracle.getSolPrice(), 150);
+  clock.advance(60000);
+  assert.equal(await oracle.getSolPrice(), 150);
+  assert.equal(provider.calls.length, 1);
+
+  clock.advance(1);
+  assert.equal(await oracle.getSolPrice(), 150);
+  assert.equal(provider.calls.length, 2);
+});
+
+test('caches misses so unknown mints are not fetched again', async t => {
+  withClock(t, 1000);
+  const provider = countingProvider({ [SOL_MINT]: 150 });
+  const oracle = new PriceOracle(provider);
+
+  assert.equal(await oracle.getPrice(UNKNOWN_MINT), null);
+  assert.equal(await oracle.getPrice(UNKNOWN_MINT), null);
+  assert.deepEqual(provider.calls, [[UNKNOWN_MINT]]);
+
+  // Only the mint it hasn't seen goes to the provider
+  assert.deepEqual(await oracle.getPrices([UNKNOWN_MINT, SOL_MINT]), { [SOL_MINT]: 150 });
+  assert.deepEqual(provider.calls[1], [SOL_MINT]);
+});
+
+test('returns no prices when the provider fails', async t => {
+  t.mock.method(console, 'error', () => {});
+  const oracle = new PriceOracle({ getPrices: async () => { throw new Error('rate limited'); } });
+
+  assert.deepEqual(await oracle.getPrices([SOL_MINT]), {});
+});
+
+test('values outflows and totals only what is priced', async () => {
+  const oracle = new PriceOracle(countingProvider({ [SOL_MINT]: 150, [USDC_MINT]: 1 }));
+  const balanceChanges = {
+    hasOutflow: true,
+    outflows: [
+      { mint: null, uiAmount: '2' },
+      { mint: USDC_MINT, uiAmount: '12.5' },
+      { mint: UNKNOWN_MINT, uiAmount: '1000' }
+    ]
+  };
+
+  await oracle.valueBalanceChanges(balanceChanges);
+
+  assert.deepEqual(balanceChanges.outflows.map(outflow => outflow.usdValue), [300, 12.5, null]);
+  assert.equal(balanceChanges.totalUsd, 312.5);
+});
+
+test('leaves totalUsd null when no outflow is priced', async () => {
+  const oracle = new PriceOracle(countingProvider({}));
+  const balanceChanges = { hasOutflow: true, outflows: [{ mint: UNKNOWN_MINT, uiAmount: '5' }] };
+
+  await oracle.valueBalanceChanges(balanceChanges);
+
+  assert.equal(balanceChanges.outflows[0].usdValue, null);
+  assert.equal(balanceChanges.totalUsd, null);
+});
+
+test('does not price balance changes without an outflow', async () => {
+  const provider = countingProvider({ [SOL_MINT]: 150 });
+  const oracle = new PriceOracle(provider);
+  const balanceChanges = { hasOutflow: false, outflows: [] };
+
+  assert.equal(await oracle.valueBalanceChanges(balanceChanges), balanceChanges);
+  assert.equal(balanceChanges.totalUsd, undefined);
+  assert.equal(provider.calls.length, 0);
+});
+
+test('static provider reads prices from a JSON file', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prices-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'prices.json');
+  fs.writeFileSync(filePath, JSON.stringify({ [SOL_MINT]: 150, [USDC_MINT]: 'not a number' }));
+
+  const provider = new StaticPriceProvider(filePath);
+
+  assert.deepEqual(await provider.getPrices([SOL_MINT, USDC_MINT, UNKNOWN_MINT]), { [SOL_MINT]: 150 });
+});
@@ -0,0 +1,17 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ReportScheduler = require('../src/services/reportScheduler');
+
+test('uses the configured report hour', () => {
+  assert.equal(new ReportScheduler({ reportHour: 0 }).reportHour, 0);
+  assert.equal(new ReportScheduler({ reportHour: 18 }).reportHour, 18);
+  assert.equal(new ReportScheduler().reportHour, ReportScheduler.REPORT_HOUR);
+});
+
+test('falls back to the default report hour for invalid values', t => {
+  t.mock.method(console, 'warn', () => {});
+
+  [NaN, -1, 24, 7.5].forEach(reportHour => {
+    assert.equal(new ReportScheduler({ reportHour }).reportHour, ReportScheduler.REPORT_HOUR);
+  });
+});
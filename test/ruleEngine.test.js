@@ -0,0 +1,156 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RuleEngine = require('../src/services/ruleEngine');
+
+const RULES = {
+  thresholds: { alert: 40, critical: 70, outflowLamports: 1000000, falsePositiveWeight: 0.5 },
+  rules: [
+    {
+      id: 'authority-change',
+      when: { match: 'authorityChanges' },
+      perMatch: true,
+      score: 60,
+      floor: 90,
+      severity: 'CRITICAL',
+      alwaysAlert: true,
+      message: '{description}'
+    },
+    {
+      id: 'approval',
+      when: { match: 'delegations', where: { unlimited: false } },
+      perMatch: true,
+      score: 25,
+      severity: 'HIGH',
+      alwaysAlert: true,
+      message: 'Delegation of {uiAmount} to {delegate|short}'
+    },
+    {
+      id: 'unknown-program',
+      when: { match: 'programs', where: { known: false } },
+      perMatch: true,
+      score: 15,
+      maxScore: 30,
+      severity: 'MEDIUM',
+      message: 'Unknown program {programId|short}'
+    },
+    {
+      id: 'sol-outflow',
+      when: { fact: 'solOutflowLamports', gt: '$outflowLamports' },
+      score: 45,
+      severity: 'MEDIUM',
+      message: 'Sent {solOutflow} SOL'
+    }
+  ]
+};
+
+const DELEGATE = 'Delegate1111111111111111111111111111111111';
+const PROGRAM = id => ({ programId: `Program${id}111111111111111111111111111111111`, known: false, category: 'unknown' });
+
+let dir;
+let engine;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+  const filePath = path.join(dir, 'threatRules.json');
+  fs.writeFileSync(filePath, JSON.stringify(RULES));
+  engine = new RuleEngine(filePath);
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function facts(overrides = {}) {
+  return { authorityChanges: [], delegations: [], programs: [], solOutflowLamports: 0, ...overrides };
+}
+
+test('scores nothing when no rule matches', () => {
+  assert.deepEqual(engine.evaluate(facts()), { riskScore: 0, threats: [], firedRules: [], type: 'WARNING', shouldAlert: false });
+});
+
+test('scores and reports every item of a perMatch rule', () => {
+  const result = engine.evaluate(facts({
+    delegations: [
+      { delegate: DELEGATE, uiAmount: '5', unlimited: false },
+      { delegate: DELEGATE, uiAmount: '7', unlimited: false },
+      { delegate: DELEGATE, uiAmount: 'all', unlimited: true }
+    ]
+  }));
+
+  assert.equal(result.riskScore, 50);
+  assert.deepEqual(result.threats, ['Delegation of 5 to Delegate...', 'Delegation of 7 to Delegate...']);
+  assert.equal(result.firedRules[0].score, 50);
+  assert.equal(result.firedRules[0].message, 'Delegation of 5 to Delegate...');
+});
+
+test('caps a perMatch rule at its maxScore', () => {
+  const result = engine.evaluate(facts({ programs: [PROGRAM(1), PROGRAM(2), PROGRAM(3)] }));
+
+  assert.equal(result.riskScore, 30);
+  assert.equal(result.threats.length, 3);
+  assert.equal(result.shouldAlert, false);
+});
+
+test('alerts through alwaysAlert rules below the alert threshold', () => {
+  const result = engine.evaluate(facts({ delegations: [{ delegate: DELEGATE, uiAmount: '1', unlimited: false }] }));
+
+  assert.equal(result.riskScore, 25);
+  assert.equal(result.shouldAlert, true);
+  assert.equal(result.type, 'WARNING');
+});
+
+test('raises the score to a fired rule\'s floor', () => {
+  const result = engine.evaluate(facts({ authorityChanges: [{ description: 'Owner reassigned', newAuthority: DELEGATE }] }));
+
+  assert.equal(result.riskScore, 90);
+  assert.equal(result.type, 'CRITICAL');
+  assert.deepEqual(result.threats, ['Owner reassigned']);
+});
+
+test('compares facts against thresholds, which users can override', () => {
+  const outflow = facts({ solOutflowLamports: 2000000, solOutflow: '0.002' });
+
+  assert.equal(engine.evaluate(outflow).riskScore, 45);
+  assert.equal(engine.evaluate(outflow).shouldAlert, true);
+  assert.deepEqual(engine.evaluate(outflow, { thresholds: { outflowLamports: 5000000 } }).firedRules, []);
+  assert.equal(engine.evaluate(outflow, { thresholds: { alert: 60 } }).shouldAlert, false);
+});
+
+test('skips rules the user disabled', () => {
+  const result = engine.evaluate(
+    facts({ solOutflowLamports: 2000000, programs: [PROGRAM(1)] }),
+    { disabledRules: ['sol-outflow'] }
+  );
+
+  assert.deepEqual(result.firedRules.map(rule => rule.id), ['unknown-program']);
+  assert.equal(result.riskScore, 15);
+});
+
+test('down-weights rules marked as false positives for the same counterparty', () => {
+  const change = facts({ authorityChanges: [{ description: 'Owner reassigned', newAuthority: DELEGATE }] });
+  const feedback = [{ ruleIds: ['authority-change'], programs: [], counterparties: [DELEGATE] }];
+
+  const result = engine.evaluate(change, { feedback });
+
+  // Half the score, and the floor no longer applies
+  assert.equal(result.riskScore, 30);
+  assert.match(result.firedRules[0].reason, /down-weighted/);
+
+  const other = [{ ruleIds: ['authority-change'], programs: [], counterparties: ['Someone11111111111111111111111111111111111'] }];
+  assert.equal(engine.evaluate(change, { feedback: other }).riskScore, 90);
+});
+
+test('ships a rule file every rule of which can be evaluated', () => {
+  const shipped = new RuleEngine();
+  const ids = shipped.rules.map(rule => rule.id);
+
+  assert.ok(shipped.rules.length > 0);
+  assert.equal(new Set(ids).size, ids.length);
+  shipped.rules.forEach(rule => {
+    assert.equal(typeof rule.score, 'number', rule.id);
+    assert.ok(['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'].includes(rule.severity), rule.id);
+    assert.doesNotMatch(shipped.evaluateCondition(rule.when, { facts: {}, thresholds: shipped.thresholds }).reason, /unsupported/, rule.id);
+  });
+  ['alert', 'critical'].forEach(name => assert.equal(typeof shipped.thresholds[name], 'number'));
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ThreatAnalyzer = require('../src/services/threatAnalyzer');
+
+const SIGNER = 'Signer1111111111111111111111111111111111111';
+const DELEGATE = 'Delegate1111111111111111111111111111111111';
+const TOKEN_ACCOUNT = 'TokenAccount111111111111111111111111111111';
+
+function verdict(t, delegation) {
+  t.mock.method(console, 'log', () => {});
+  const analyzer = new ThreatAnalyzer(null);
+  const threat = { riskScore: 70, shouldAlert: true, threats: [] };
+  const simulation = {
+    err: null,
+    unitsConsumed: null,
+    facts: { balanceChanges: null, delegations: [delegation], authorityChanges: [] }
+  };
+  return analyzer.formatSimulationVerdict(SIGNER, threat, simulation);
+}
+
+test('lists approvals by mint in the /check verdict', t => {
+  const message = verdict(t, {
+    tokenAccount: TOKEN_ACCOUNT,
+    mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+    delegate: DELEGATE,
+    uiAmount: '25',
+    unlimited: false
+  });
+
+  assert.match(message, /• 25 of `EPjFWdd5\.\.\.` to `Delegate\.\.\.11111111`/);
+});
+
+test('falls back to the token account when an approval has no known mint', t => {
+  const message = verdict(t, { tokenAccount: TOKEN_ACCOUNT, mint: null, delegate: DELEGATE, uiAmount: '25 units', unlimited: true });
+
+  assert.match(message, /• UNLIMITED of the tokens in `TokenAcc\.\.\.11111111` to `Delegate\.\.\.11111111`/);
+});
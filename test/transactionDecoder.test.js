@@ -0,0 +1,235 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const bs58 = require('bs58');
+const {
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  TransactionInstruction,
+  TransactionMessage,
+  AddressLookupTableAccount
+} = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  AuthorityType,
+  createApproveInstruction,
+  createApproveCheckedInstruction,
+  createTransferCheckedInstruction,
+  createSetAuthorityInstruction
+} = require('@solana/spl-token');
+const TransactionDecoder = require('../src/services/transactionDecoder');
+
+const U64_MAX = 18446744073709551615n;
+const BLOCKHASH = PublicKey.default.toBase58();
+const key = () => Keypair.generate().publicKey;
+
+const payer = key();
+const decoder = new TransactionDecoder();
+
+function compile(instructions, lookupTables = []) {
+  return new TransactionMessage({ payerKey: payer, recentBlockhash: BLOCKHASH, instructions })
+    .compileToV0Message(lookupTables);
+}
+
+function decodeEvents(instructions) {
+  return decoder.decode({ transaction: { message: compile(instructions) }, meta: null }).events;
+}
+
+test('decodes System CreateAccount with the new owner program', () => {
+  const account = key();
+  const owner = key();
+  const [event] = decodeEvents([
+    SystemProgram.createAccount({ fromPubkey: payer, newAccountPubkey: account, lamports: 2039280, space: 165, programId: owner })
+  ]);
+
+  assert.deepEqual(event, {
+    program: 'system',
+    type: 'CreateAccount',
+    source: payer.toBase58(),
+    account: account.toBase58(),
+    lamports: '2039280',
+    owner: owner.toBase58(),
+    programId: SystemProgram.programId.toBase58(),
+    instructionIndex: 0,
+    inner: false
+  });
+});
+
+test('decodes System Assign and AssignWithSeed past the seed', () => {
+  const owner = key();
+  const base = key();
+  const seeded = key();
+  const [assign, assignWithSeed] = decodeEvents([
+    SystemProgram.assign({ accountPubkey: payer, programId: owner }),
+    SystemProgram.assign({ accountPubkey: seeded, basePubkey: base, seed: 'vault-seed', programId: owner })
+  ]);
+
+  assert.equal(assign.type, 'Assign');
+  assert.equal(assign.account, payer.toBase58());
+  assert.equal(assign.owner, owner.toBase58());
+  assert.equal(assignWithSeed.type, 'AssignWithSeed');
+  assert.equal(assignWithSeed.account, seeded.toBase58());
+  assert.equal(assignWithSeed.owner, owner.toBase58());
+});
+
+test('decodes System Transfer and TransferWithSeed account order', () => {
+  const destination = key();
+  const base = key();
+  const seeded = key();
+  const [transfer, transferWithSeed] = decodeEvents([
+    SystemProgram.transfer({ fromPubkey: payer, toPubkey: destination, lamports: 1500000000 }),
+    SystemProgram.transfer({
+      fromPubkey: seeded,
+      basePubkey: base,
+      toPubkey: destination,
+      lamports: 42,
+      seed: 'savings',
+      programId: SystemProgram.programId
+    })
+  ]);
+
+  assert.equal(transfer.type, 'Transfer');
+  assert.equal(transfer.source, payer.toBase58());
+  assert.equal(transfer.destination, destination.toBase58());
+  assert.equal(transfer.lamports, '1500000000');
+
+  assert.equal(transferWithSeed.type, 'TransferWithSeed');
+  assert.equal(transferWithSeed.source, seeded.toBase58());
+  assert.equal(transferWithSeed.authority, base.toBase58());
+  assert.equal(transferWithSeed.destination, destination.toBase58());
+  assert.equal(transferWithSeed.lamports, '42');
+});
+
+test('decodes unlimited Approve and ApproveChecked decimals', () => {
+  const account = key();
+  const mint = key();
+  const delegate = key();
+  const [approve, approveChecked] = decodeEvents([
+    createApproveInstruction(account, delegate, payer, U64_MAX),
+    createApproveCheckedInstruction(account, mint, delegate, payer, 2500000n, 6, [], TOKEN_2022_PROGRAM_ID)
+  ]);
+
+  assert.equal(approve.program, 'spl-token');
+  assert.equal(approve.type, 'Approve');
+  assert.equal(approve.account, account.toBase58());
+  assert.equal(approve.delegate, delegate.toBase58());
+  assert.equal(approve.owner, payer.toBase58());
+  assert.equal(approve.amount, U64_MAX.toString());
+
+  assert.equal(approveChecked.program, 'token-2022');
+  assert.equal(approveChecked.type, 'ApproveChecked');
+  assert.equal(approveChecked.mint, mint.toBase58());
+  assert.equal(approveChecked.delegate, delegate.toBase58());
+  assert.equal(approveChecked.owner, payer.toBase58());
+  assert.equal(approveChecked.amount, '2500000');
+  assert.equal(approveChecked.decimals, 6);
+});
+
+test('decodes TransferChecked amount and decimals', () => {
+  const source = key();
+  const mint = key();
+  const destination = key();
+  const [event] = decodeEvents([
+    createTransferCheckedInstruction(source, mint, destination, payer, 123456789n, 9)
+  ]);
+
+  assert.equal(event.type, 'TransferChecked');
+  assert.equal(event.source, source.toBase58());
+  assert.equal(event.mint, mint.toBase58());
+  assert.equal(event.destination, destination.toBase58());
+  assert.equal(event.authority, payer.toBase58());
+  assert.equal(event.amount, '123456789');
+  assert.equal(event.decimals, 9);
+});
+
+test('decodes SetAuthority with and without a new authority', () => {
+  const account = key();
+  const attacker = key();
+  const [ownerChange, closeCleared] = decodeEvents([
+    createSetAuthorityInstruction(account, payer, AuthorityType.AccountOwner, attacker),
+    createSetAuthorityInstruction(account, payer, AuthorityType.CloseAccount, null)
+  ]);
+
+  assert.equal(ownerChange.type, 'SetAuthority');
+  assert.equal(ownerChange.account, account.toBase58());
+  assert.equal(ownerChange.currentAuthority, payer.toBase58());
+  assert.equal(ownerChange.authorityType, 'AccountOwner');
+  assert.equal(ownerChange.newAuthority, attacker.toBase58());
+
+  assert.equal(closeCleared.authorityType, 'CloseAccount');
+  assert.equal(closeCleared.newAuthority, null);
+});
+
+test('decodes inner instructions from their bs58 data', () => {
+  const router = key();
+  const account = key();
+  const delegate = key();
+  const approve = createApproveInstruction(account, delegate, payer, 1000n);
+
+  // The top-level call to an unknown program brings the accounts the inner Approve uses
+  const message = compile([
+    new TransactionInstruction({
+      programId: router,
+      keys: [
+        { pubkey: account, isSigner: false, isWritable: true },
+        { pubkey: delegate, isSigner: false, isWritable: false },
+        { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false }
+      ],
+      data: Buffer.alloc(0)
+    })
+  ]);
+  const indexOf = pubkey => message.staticAccountKeys.findIndex(candidate => candidate.equals(pubkey));
+
+  const { events, programIds } = decoder.decode({
+    transaction: { message },
+    meta: {
+      innerInstructions: [{
+        index: 0,
+        instructions: [{
+          programIdIndex: indexOf(TOKEN_PROGRAM_ID),
+          accounts: approve.keys.map(meta => indexOf(meta.pubkey)),
+          data: bs58.encode(approve.data)
+        }]
+      }]
+    }
+  });
+
+  assert.deepEqual(programIds.sort(), [router.toBase58(), TOKEN_PROGRAM_ID.toBase58()].sort());
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, 'Approve');
+  assert.equal(events[0].inner, true);
+  assert.equal(events[0].instructionIndex, 0);
+  assert.equal(events[0].account, account.toBase58());
+  assert.equal(events[0].delegate, delegate.toBase58());
+  assert.equal(events[0].amount, '1000');
+});
+
+test('resolves v0 lookup table accounts, writable before readonly', () => {
+  const source = key();
+  const mint = key();
+  const destination = key();
+  const lookupTable = new AddressLookupTableAccount({
+    key: key(),
+    state: {
+      deactivationSlot: U64_MAX,
+      lastExtendedSlot: 0,
+      lastExtendedSlotStartIndex: 0,
+      authority: undefined,
+      addresses: [mint, source, destination]
+    }
+  });
+  const message = compile([createTransferCheckedInstruction(source, mint, destination, payer, 5n, 0)], [lookupTable]);
+  const [lookup] = message.addressTableLookups;
+  const addresses = indexes => indexes.map(index => lookupTable.state.addresses[index]);
+
+  const { accountKeys, events } = decoder.decode({
+    transaction: { message },
+    meta: { loadedAddresses: { writable: addresses(lookup.writableIndexes), readonly: addresses(lookup.readonlyIndexes) } }
+  });
+
+  assert.deepEqual(accountKeys.slice(-3), [source, destination, mint].map(pubkey => pubkey.toBase58()));
+  assert.equal(events[0].source, source.toBase58());
+  assert.equal(events[0].mint, mint.toBase58());
+  assert.equal(events[0].destination, destination.toBase58());
+});
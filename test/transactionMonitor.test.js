@@ -0,0 +1,168 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PublicKey, Keypair } = require('@solana/web3.js');
+const { AccountLayout, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const TransactionMonitor = require('../src/services/transactionMonitor');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.parse('2026-01-01T00:00:00Z');
+
+function monitorAt(t, now, saved) {
+  t.mock.method(Date, 'now', () => now);
+  t.mock.method(console, 'log', () => {});
+  const stateStore = new Map(saved ? [['uptime', saved]] : []);
+  const monitor = new TransactionMonitor('http://127.0.0.1:8899', { stateStore });
+  monitor.restoreUptime();
+  return { monitor, stateStore };
+}
+
+test('starts uptime accounting on first run', t => {
+  const { monitor, stateStore } = monitorAt(t, START + 10 * HOUR);
+
+  assert.equal(monitor.monitoringSince, START + 10 * HOUR);
+  assert.deepEqual(stateStore.get('uptime'), { monitoringSince: START + 10 * HOUR, outages: [], lastAlive: START + 10 * HOUR });
+  assert.equal(monitor.getUptime(), 100);
+});
+
+test('counts the time the process was down as an outage after a restart', t => {
+  const { monitor } = monitorAt(t, START + 10 * HOUR, { monitoringSince: START, outages: [], lastAlive: START + 9 * HOUR });
+
+  assert.equal(monitor.monitoringSince, START);
+  assert.deepEqual(monitor.outages, [{ start: START + 9 * HOUR, end: START + 10 * HOUR }]);
+  assert.equal(monitor.getUptime(), 90);
+});
+
+test('closes an outage left open when the process stopped', t => {
+  const { monitor } = monitorAt(t, START + 10 * HOUR, {
+    monitoringSince: START,
+    outages: [{ start: START + HOUR, end: START + 2 * HOUR }, { start: START + 8 * HOUR, end: null }],
+    lastAlive: START + 9 * HOUR
+  });
+
+  assert.deepEqual(monitor.outages, [{ start: START + HOUR, end: START + 2 * HOUR }, { start: START + 8 * HOUR, end: START + 10 * HOUR }]);
+  assert.equal(monitor.getUptime(), 70);
+});
+
+// A watched wallet without subscriptions; transactions are looked up in `served` (signature -> responses)
+function watchedWallet(t, served) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const monitor = new TransactionMonitor('http://127.0.0.1:8899', { fetchRetryDelaysMs: [0] });
+  const wallet = 'Wallet1111111111111111111111111111111111111';
+  const cursors = [];
+  const fetches = [];
+
+  monitor.connection.getTransaction = async signature => {
+    fetches.push(signature);
+    const responses = served[signature] || [];
+    return responses.length > 1 ? responses.shift() : responses[0] || null;
+  };
+  monitor.collectTransactionFacts = async () => null;
+  monitor.monitoredWallets.set(wallet, {
+    watchers: new Map([['user-1', { threatCallback: () => {}, onCursorUpdate: (address, signature) => cursors.push(signature) }]]),
+    lastSignature: 'sig-0',
+    lastSlot: 100,
+    transactionCount: 0,
+    recentSignatures: [],
+    inFlightSignatures: new Set(),
+    unfetchedSignatures: new Map(),
+    heldCursor: null
+  });
+
+  return { monitor, wallet, walletInfo: monitor.monitoredWallets.get(wallet), cursors, fetches };
+}
+
+test('retries a transaction the RPC does not serve yet', async t => {
+  const { monitor, wallet, walletInfo, cursors, fetches } = watchedWallet(t, { 'sig-1': [null, { slot: 101, meta: {} }] });
+
+  await monitor.processSignature(wallet, 'sig-1');
+
+  assert.deepEqual(fetches, ['sig-1', 'sig-1']);
+  assert.deepEqual(walletInfo.recentSignatures, ['sig-1']);
+  assert.deepEqual(cursors, ['sig-1']);
+});
+
+test('leaves an unavailable transaction for the next backfill without moving the cursor past it', async t => {
+  const served = { 'sig-1': [null], 'sig-2': [{ slot: 102, meta: {} }] };
+  const { monitor, wallet, walletInfo, cursors } = watchedWallet(t, served);
+
+  await monitor.processSignature(wallet, 'sig-1');
+  await monitor.processSignature(wallet, 'sig-2');
+
+  assert.deepEqual(walletInfo.recentSignatures, ['sig-2']);
+  assert.equal(walletInfo.lastSignature, 'sig-0');
+  assert.deepEqual(cursors, []);
+
+  // The next backfill finds it, and the cursor catches up with the newest analyzed transaction
+  served['sig-1'] = [{ slot: 101, meta: {} }];
+  await monitor.processSignature(wallet, 'sig-1');
+  await monitor.processSignature(wallet, 'sig-2');
+
+  assert.deepEqual(walletInfo.recentSignatures, ['sig-2', 'sig-1']);
+  assert.equal(walletInfo.lastSignature, 'sig-2');
+  assert.equal(walletInfo.lastSlot, 102);
+  assert.deepEqual(cursors, ['sig-2']);
+});
+
+test('gives up on a transaction that never becomes available', async t => {
+  t.mock.method(console, 'error', () => {});
+  const { monitor, wallet, walletInfo } = watchedWallet(t, { 'sig-2': [{ slot: 102, meta: {} }] });
+
+  await monitor.processSignature(wallet, 'sig-2');
+  for (let round = 0; round < 5; round++) {
+    await monitor.processSignature(wallet, 'sig-1');
+  }
+
+  assert.equal(walletInfo.unfetchedSignatures.size, 0);
+  assert.equal(walletInfo.lastSignature, 'sig-2');
+});
+
+// Feeds a token account update that drops the balance from 10,000,000 to 2,000,000 base units
+async function dropTokenBalance(t, decimals) {
+  t.mock.method(console, 'log', () => {});
+  const priceOracle = { getPrice: async () => 2, formatUsd: value => `$${value.toFixed(2)}` };
+  const monitor = new TransactionMonitor('http://127.0.0.1:8899', { priceOracle });
+  const wallet = Keypair.generate().publicKey;
+  const mint = Keypair.generate().publicKey;
+  const tokenAccount = Keypair.generate().publicKey;
+  const alerts = [];
+
+  monitor.alertOnFacts = (walletAddress, facts, base) => alerts.push({ facts, base });
+  monitor.monitoredWallets.set(wallet.toString(), {
+    tokenAccounts: new Map([[tokenAccount.toString(), { mint: mint.toString(), amount: '10000000', decimals, program: TOKEN_PROGRAM_ID.toString() }]])
+  });
+
+  const data = Buffer.alloc(AccountLayout.span);
+  AccountLayout.encode({
+    mint,
+    owner: wallet,
+    amount: 2000000n,
+    delegateOption: 0,
+    delegate: PublicKey.default,
+    state: 1,
+    isNativeOption: 0,
+    isNative: 0n,
+    delegatedAmount: 0n,
+    closeAuthorityOption: 0,
+    closeAuthority: PublicKey.default
+  }, data);
+
+  await monitor.handleTokenAccountChange(wallet.toString(), TOKEN_PROGRAM_ID, { accountId: tokenAccount, accountInfo: { data } }, {});
+  return alerts[0];
+}
+
+test('prices a token balance drop when decimals are known', async t => {
+  const { facts, base } = await dropTokenBalance(t, 6);
+
+  assert.equal(facts.dropAmount, '8');
+  assert.equal(base.tokenChange.usdValue, 16);
+  assert.equal(facts.dropValue, ' ≈ $16.00');
+});
+
+test('leaves a token balance drop unpriced when decimals are unknown', async t => {
+  const { facts, base } = await dropTokenBalance(t, null);
+
+  assert.equal(facts.dropAmount, '8000000 units');
+  assert.equal(base.tokenChange.usdValue, null);
+  assert.equal(facts.dropValue, '');
+});
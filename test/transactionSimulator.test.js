@@ -0,0 +1,175 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction
+} = require('@solana/web3.js');
+const { AccountLayout, TOKEN_PROGRAM_ID, createApproveInstruction } = require('@solana/spl-token');
+const TransactionMonitor = require('../src/services/transactionMonitor');
+const TransactionSimulator = require('../src/services/transactionSimulator');
+
+const U64_MAX = 18446744073709551615n;
+const FEE = 5000;
+
+const signer = Keypair.generate().publicKey;
+const attacker = Keypair.generate().publicKey;
+const mint = Keypair.generate().publicKey;
+const tokenAccount = Keypair.generate().publicKey;
+const drainer = Keypair.generate().publicKey; // an unregistered program
+
+function tokenAccountData({ owner = signer, amount = 100000000n, delegate = null, delegatedAmount = 0n } = {}) {
+  const data = Buffer.alloc(AccountLayout.span);
+  AccountLayout.encode({
+    mint,
+    owner,
+    amount,
+    delegateOption: delegate ? 1 : 0,
+    delegate: delegate || PublicKey.default,
+    state: 1,
+    isNativeOption: 0,
+    isNative: 0n,
+    delegatedAmount,
+    closeAuthorityOption: 0,
+    closeAuthority: PublicKey.default
+  }, data);
+  return data;
+}
+
+function encode(instructions) {
+  const message = new TransactionMessage({ payerKey: signer, recentBlockhash: PublicKey.default.toBase58(), instructions })
+    .compileToV0Message();
+  return Buffer.from(new VersionedTransaction(message).serialize()).toString('base64');
+}
+
+// A simulator whose RPC serves `before` (address -> account) and simulates to `after`,
+// or fails with `err` and no account states
+function simulatorFor(t, before, { after = null, err = null } = {}) {
+  t.mock.method(console, 'log', () => {});
+  const monitor = new TransactionMonitor('http://127.0.0.1:8899');
+  monitor.mintDecimals.set(mint.toString(), 6);
+  const simulator = new TransactionSimulator('http://127.0.0.1:8899', { transactionMonitor: monitor });
+
+  simulator.connection = {
+    getMultipleAccountsInfo: async keys => keys.map(key => before[key.toString()] || null),
+    simulateTransaction: async (transaction, config) => ({
+      value: {
+        err,
+        logs: err ? ['Program failed: custom program error: 0x1'] : [],
+        unitsConsumed: 4200,
+        accounts: after && config.accounts.addresses.map(address => {
+          const account = after[address] || before[address];
+          return account
+            ? { lamports: account.lamports, owner: account.owner.toString(), data: [account.data.toString('base64'), 'base64'] }
+            : null;
+        })
+      }
+    })
+  };
+
+  return simulator;
+}
+
+const wallet = lamports => ({ lamports, owner: SystemProgram.programId, data: Buffer.alloc(0) });
+const tokenState = options => ({ lamports: 2039280, owner: TOKEN_PROGRAM_ID, data: tokenAccountData(options) });
+
+test('turns the simulated state diff into outflows and approvals', async t => {
+  const before = {
+    [signer.toString()]: wallet(5000000000),
+    [tokenAccount.toString()]: tokenState()
+  };
+  const after = {
+    [signer.toString()]: wallet(3000000000 - FEE),
+    [attacker.toString()]: wallet(2000000000),
+    [tokenAccount.toString()]: tokenState({ delegate: attacker, delegatedAmount: U64_MAX })
+  };
+  const simulator = simulatorFor(t, before, { after });
+
+  const result = await simulator.simulate(encode([
+    createApproveInstruction(tokenAccount, attacker, signer, U64_MAX),
+    SystemProgram.transfer({ fromPubkey: signer, toPubkey: attacker, lamports: 2000000000 })
+  ]));
+
+  assert.equal(result.signer, signer.toString());
+  assert.equal(result.err, null);
+  assert.equal(result.unitsConsumed, 4200);
+
+  const [outflow] = result.facts.balanceChanges.outflows;
+  assert.equal(outflow.asset, 'SOL');
+  assert.equal(outflow.amount, '2000000000');
+  assert.deepEqual(outflow.destinations.map(destination => destination.address), [attacker.toString()]);
+
+  assert.equal(result.facts.delegations.length, 1);
+  assert.equal(result.facts.delegations[0].tokenAccount, tokenAccount.toString());
+  assert.equal(result.facts.delegations[0].mint, mint.toString());
+  assert.equal(result.facts.delegations[0].delegate, attacker.toString());
+  assert.equal(result.facts.delegations[0].unlimited, true);
+});
+
+test('reads changes made through other programs from the state diff', async t => {
+  const before = {
+    [signer.toString()]: wallet(5000000000),
+    [tokenAccount.toString()]: tokenState()
+  };
+  const after = {
+    [signer.toString()]: { lamports: 5000000000 - FEE, owner: drainer, data: Buffer.alloc(0) },
+    [tokenAccount.toString()]: tokenState({ owner: attacker, delegate: attacker, delegatedAmount: 5000000n })
+  };
+  const simulator = simulatorFor(t, before, { after });
+
+  // Nothing the decoder understands: the drainer program does the work through CPIs
+  const result = await simulator.simulate(encode([new TransactionInstruction({
+    programId: drainer,
+    keys: [
+      { pubkey: signer, isSigner: true, isWritable: true },
+      { pubkey: tokenAccount, isSigner: false, isWritable: true }
+    ],
+    data: Buffer.from([1])
+  })]));
+
+  assert.deepEqual(
+    result.facts.authorityChanges.map(change => [change.kind, change.account, change.newAuthority]),
+    [
+      ['OWNER_REASSIGNED', tokenAccount.toString(), attacker.toString()],
+      ['WALLET_ASSIGNED', signer.toString(), drainer.toString()]
+    ]
+  );
+  assert.equal(result.facts.delegations.length, 1);
+  assert.equal(result.facts.delegations[0].uiAmount, '5');
+  assert.equal(result.facts.delegations[0].unlimited, false);
+});
+
+test('reports a failed simulation without any state change', async t => {
+  const before = {
+    [signer.toString()]: wallet(5000000000),
+    [tokenAccount.toString()]: tokenState()
+  };
+  const err = { InstructionError: [0, { Custom: 1 }] };
+  const simulator = simulatorFor(t, before, { err });
+
+  const result = await simulator.simulate(encode([
+    createApproveInstruction(tokenAccount, attacker, signer, U64_MAX)
+  ]));
+
+  assert.deepEqual(result.err, err);
+  assert.deepEqual(result.logs, ['Program failed: custom program error: 0x1']);
+  assert.deepEqual(result.transaction.meta.preBalances, result.transaction.meta.postBalances);
+  assert.equal(result.facts.balanceChanges.hasOutflow, false);
+  assert.deepEqual(result.facts.authorityChanges, []);
+});
+
+test('rejects data that is not a transaction', async t => {
+  const simulator = simulatorFor(t, {});
+
+  await assert.rejects(simulator.simulate('not a transaction'), /not a valid base64-encoded Solana transaction/);
+});
+
+test('only judges a transaction for one of its signers', async t => {
+  const simulator = simulatorFor(t, {});
+  const transaction = encode([SystemProgram.transfer({ fromPubkey: signer, toPubkey: attacker, lamports: 1 })]);
+
+  await assert.rejects(simulator.simulate(transaction, attacker.toString()), /does not sign this transaction/);
+});